@@ -0,0 +1,303 @@
+// connector.js — polls the plant DCS for mill feeder flows (t/h) and unit generation (MW)
+// over Modbus TCP or OPC UA, and hands every sample to a callback (server.js stores them as flow readings).
+// simulator.js serves the same tags over Modbus TCP for offline testing.
+//
+// Config:
+// {
+//   enabled: true,
+//   protocol: 'modbus' | 'opcua',
+//   pollMs: 5000,
+//   modbus: { host, port: 502, unitId: 1, timeoutMs: 3000 },
+//   opcua: { endpoint: 'opc.tcp://host:4840', timeoutMs: 5000 },
+//   mills: [{ mill: 0, ...tag }],          // one tag per mill index
+//   generation: { ...tag } | null
+// }
+// Modbus tag: { register, function: 3 (holding) | 4 (input), type: 'uint16'|'int16'|'uint32'|'int32'|'float32',
+//               wordOrder: 'big'|'little', scale: 1, offset: 0 }   register = 0-based protocol address
+// OPC UA tag: { nodeId: 'ns=2;s=MillA.Flow', scale: 1, offset: 0 }
+const net = require('net');
+
+const TAG_TYPES = { uint16: 1, int16: 1, uint32: 2, int32: 2, float32: 2 };
+const DEFAULT_POLL_MS = 5000;
+const MIN_POLL_MS = 500;
+
+/* -------------------- Config validation -------------------- */
+function validateTag(tag, protocol, where, errors) {
+  if (!tag || typeof tag !== 'object') {
+    errors.push(`${where}: tag must be an object`);
+    return;
+  }
+  if (protocol === 'modbus') {
+    if (!Number.isInteger(tag.register) || tag.register < 0 || tag.register > 65535) errors.push(`${where}: register must be 0-65535`);
+    if (tag.function !== undefined && tag.function !== 3 && tag.function !== 4) errors.push(`${where}: function must be 3 (holding) or 4 (input)`);
+    if (tag.type !== undefined && !TAG_TYPES[tag.type]) errors.push(`${where}: type must be one of ${Object.keys(TAG_TYPES).join(', ')}`);
+    if (tag.wordOrder !== undefined && tag.wordOrder !== 'big' && tag.wordOrder !== 'little') errors.push(`${where}: wordOrder must be big or little`);
+  } else if (typeof tag.nodeId !== 'string' || !tag.nodeId.trim()) {
+    errors.push(`${where}: nodeId is required`);
+  }
+  ['scale', 'offset'].forEach(k => {
+    if (tag[k] !== undefined && !Number.isFinite(Number(tag[k]))) errors.push(`${where}: ${k} must be a number`);
+  });
+}
+
+/**
+ * Check a connector config; millCount bounds the mill indices.
+ * Returns a list of problems (empty when valid).
+ */
+function validateConnectorConfig(config, millCount) {
+  const errors = [];
+  const c = config || {};
+  if (!['modbus', 'opcua'].includes(c.protocol)) errors.push('protocol must be modbus or opcua');
+  if (c.pollMs !== undefined && (!Number.isFinite(Number(c.pollMs)) || Number(c.pollMs) < MIN_POLL_MS)) errors.push(`pollMs must be at least ${MIN_POLL_MS}`);
+  if (c.protocol === 'modbus' && (!c.modbus || typeof c.modbus.host !== 'string' || !c.modbus.host)) errors.push('modbus.host is required');
+  if (c.protocol === 'opcua' && (!c.opcua || !/^opc\.tcp:\/\//.test(String(c.opcua.endpoint || '')))) errors.push('opcua.endpoint must be an opc.tcp:// url');
+  if (!Array.isArray(c.mills)) errors.push('mills must be an array');
+  else {
+    const seen = new Set();
+    c.mills.forEach((t, i) => {
+      const m = t && t.mill;
+      if (!Number.isInteger(m) || m < 0 || m >= millCount) errors.push(`mills[${i}]: mill must be an integer between 0 and ${millCount - 1}`);
+      else if (seen.has(m)) errors.push(`mills[${i}]: mill ${m} is mapped twice`);
+      seen.add(m);
+      validateTag(t, c.protocol, `mills[${i}]`, errors);
+    });
+  }
+  if (c.generation !== undefined && c.generation !== null) validateTag(c.generation, c.protocol, 'generation', errors);
+  return errors;
+}
+
+function scaled(raw, tag) {
+  const scale = tag.scale !== undefined ? Number(tag.scale) : 1;
+  const offset = tag.offset !== undefined ? Number(tag.offset) : 0;
+  return raw * scale + offset;
+}
+
+/* -------------------- Modbus TCP client -------------------- */
+// just enough of the protocol for reading registers: MBAP header + function 3/4
+class ModbusTcpClient {
+  constructor(opts) {
+    this.host = opts.host;
+    this.port = opts.port || 502;
+    this.unitId = opts.unitId !== undefined ? opts.unitId : 1;
+    this.timeoutMs = opts.timeoutMs || 3000;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = new Map();   // transaction id -> { resolve, reject, timer }
+    this.nextTid = 1;
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => socket.destroy(new Error(`Modbus connect timeout (${this.host}:${this.port})`)), this.timeoutMs);
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        resolve();
+      });
+      socket.on('data', chunk => this._onData(chunk));
+      socket.on('error', err => {
+        clearTimeout(timer);
+        if (!this.socket) reject(err);
+        this._failAll(err);
+      });
+      socket.on('close', () => {
+        this.socket = null;
+        this._failAll(new Error('Modbus connection closed'));
+      });
+    });
+  }
+
+  close() {
+    if (this.socket) this.socket.destroy();
+    this.socket = null;
+  }
+
+  /* resolves with the register bytes (2 per register) */
+  readRegisters(fn, address, count) {
+    if (!this.socket) return Promise.reject(new Error('Modbus not connected'));
+    const tid = this.nextTid;
+    this.nextTid = (this.nextTid % 0xffff) + 1;
+    const frame = Buffer.alloc(12);
+    frame.writeUInt16BE(tid, 0);
+    frame.writeUInt16BE(0, 2);          // protocol id
+    frame.writeUInt16BE(6, 4);          // bytes after this field
+    frame.writeUInt8(this.unitId, 6);
+    frame.writeUInt8(fn, 7);
+    frame.writeUInt16BE(address, 8);
+    frame.writeUInt16BE(count, 10);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(tid);
+        reject(new Error(`Modbus read timeout (register ${address})`));
+      }, this.timeoutMs);
+      this.pending.set(tid, { resolve, reject, timer });
+      this.socket.write(frame);
+    });
+  }
+
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 7) {
+      const len = this.buffer.readUInt16BE(4);
+      if (this.buffer.length < 6 + len) return;
+      const frame = this.buffer.subarray(0, 6 + len);
+      this.buffer = this.buffer.subarray(6 + len);
+
+      const tid = frame.readUInt16BE(0);
+      const req = this.pending.get(tid);
+      if (!req) continue;
+      this.pending.delete(tid);
+      clearTimeout(req.timer);
+      const fn = frame.readUInt8(7);
+      if (fn & 0x80) req.reject(new Error(`Modbus exception ${frame.readUInt8(8)} for function ${fn & 0x7f}`));
+      else req.resolve(frame.subarray(9, 9 + frame.readUInt8(8)));
+    }
+  }
+
+  _failAll(err) {
+    for (const req of this.pending.values()) {
+      clearTimeout(req.timer);
+      req.reject(err);
+    }
+    this.pending.clear();
+  }
+}
+
+function decodeRegisters(bytes, tag) {
+  const type = tag.type || 'uint16';
+  let buf = bytes;
+  if (TAG_TYPES[type] === 2 && tag.wordOrder === 'little') {
+    buf = Buffer.concat([bytes.subarray(2, 4), bytes.subarray(0, 2)]);
+  }
+  switch (type) {
+    case 'int16': return buf.readInt16BE(0);
+    case 'uint32': return buf.readUInt32BE(0);
+    case 'int32': return buf.readInt32BE(0);
+    case 'float32': return buf.readFloatBE(0);
+    default: return buf.readUInt16BE(0);
+  }
+}
+
+function modbusSource(config) {
+  const client = new ModbusTcpClient(config.modbus);
+  async function readTag(tag) {
+    const bytes = await client.readRegisters(tag.function || 3, tag.register, TAG_TYPES[tag.type || 'uint16']);
+    return scaled(decodeRegisters(bytes, tag), tag);
+  }
+  return {
+    async read(tags) {
+      await client.connect();
+      const values = [];
+      for (const tag of tags) values.push(await readTag(tag));
+      return values;
+    },
+    close() { client.close(); }
+  };
+}
+
+/* -------------------- OPC UA -------------------- */
+function opcuaSource(config) {
+  // loaded on first use so Modbus-only installs never pay for the OPC UA stack
+  const { OPCUAClient, AttributeIds } = require('node-opcua-client');
+  let client = null;
+  let session = null;
+
+  async function ensureSession() {
+    if (session) return session;
+    client = OPCUAClient.create({
+      endpointMustExist: false,
+      connectionStrategy: { maxRetry: 0 },
+      requestedSessionTimeout: 60 * 1000
+    });
+    client.on('connection_lost', () => { session = null; });
+    await client.connect(config.opcua.endpoint);
+    session = await client.createSession();
+    return session;
+  }
+
+  return {
+    async read(tags) {
+      const s = await ensureSession();
+      const dataValues = await s.read(tags.map(t => ({ nodeId: t.nodeId, attributeId: AttributeIds.Value })));
+      return dataValues.map((dv, i) => {
+        if (!dv.statusCode.isGood()) throw new Error(`OPC UA ${tags[i].nodeId}: ${dv.statusCode.name}`);
+        return scaled(Number(dv.value.value), tags[i]);
+      });
+    },
+    close() {
+      const c = client;
+      const s = session;
+      session = null;
+      client = null;
+      Promise.resolve()
+        .then(() => s && s.close())
+        .then(() => c && c.disconnect())
+        .catch(() => { /* closing anyway */ });
+    }
+  };
+}
+
+/* -------------------- Polling loop -------------------- */
+/**
+ * Poll the configured tags every pollMs.
+ * onSample({ ts, flows: [t/h | null per mill], generation: MW | null }) is awaited before the next poll.
+ * A failed poll drops the connection; the next poll reconnects.
+ */
+function createConnector(config, millCount, onSample, log) {
+  const logger = log || console;
+  const pollMs = Math.max(MIN_POLL_MS, Number(config.pollMs) || DEFAULT_POLL_MS);
+  const tags = config.mills.slice();
+  const hasGeneration = !!config.generation;
+  if (hasGeneration) tags.push(config.generation);
+
+  const status = { running: false, protocol: config.protocol, pollMs, samples: 0, errors: 0, lastSampleAt: null, lastError: null, lastErrorAt: null };
+  let source = null;
+  let timer = null;
+
+  async function poll() {
+    timer = null;
+    try {
+      if (!source) source = config.protocol === 'opcua' ? opcuaSource(config) : modbusSource(config);
+      const values = await source.read(tags);
+      const flows = new Array(millCount).fill(null);
+      config.mills.forEach((t, i) => {
+        if (Number.isFinite(values[i])) flows[t.mill] = Math.max(0, values[i]);
+      });
+      const generation = hasGeneration && Number.isFinite(values[values.length - 1]) ? values[values.length - 1] : null;
+      const ts = new Date();
+      await onSample({ ts, flows, generation });
+      status.samples++;
+      status.lastSampleAt = ts;
+    } catch (err) {
+      status.errors++;
+      status.lastError = err.message || String(err);
+      status.lastErrorAt = new Date();
+      logger.error('DCS connector poll failed:', status.lastError);
+      if (source) source.close();
+      source = null;
+    }
+    if (status.running) timer = setTimeout(poll, pollMs);
+  }
+
+  return {
+    start() {
+      if (status.running) return;
+      status.running = true;
+      poll();
+    },
+    stop() {
+      status.running = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      if (source) source.close();
+      source = null;
+    },
+    status() {
+      return Object.assign({}, status);
+    }
+  };
+}
+
+module.exports = { createConnector, validateConnectorConfig, ModbusTcpClient };
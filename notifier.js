@@ -0,0 +1,336 @@
+// notifier.js — delivers notifications (alarm raised / cleared, blend saved) by SMTP email and HTTP webhooks.
+// server.js queues them in the notifications collection and retries failed deliveries; this file only knows
+// how to talk to the outside. notify-sink.js is a local SMTP sink + HTTP receiver for testing.
+//
+// Config:
+// {
+//   enabled: true,
+//   plant: 'Unit 1',                        // name in subjects and payloads
+//   smtp: { host, port: 25, secure: false, starttls: true, user, pass, from, timeoutMs: 10000 },
+//   channels: [
+//     { name: 'shift', type: 'email', to: ['shift@plant', ...], events: ['alarm-raised'], minPriority: 'high' },
+//     { name: 'scada', type: 'webhook', url: 'http://host/hook', headers: {}, events: ['alarm-raised', 'blend-saved'], timeoutMs: 5000 }
+//   ],
+//   retry: { attempts: 4, backoffMs: 30000 },   // attempts per notification; the wait doubles after each failure
+//   dedupMinutes: 30,                           // the same alarm goes to a channel at most once per window
+//   quietHours: { start: '22:00', end: '06:00', bypassPriority: 'critical' } | null   // server local time
+// }
+// secure = implicit TLS (port 465); starttls = upgrade when the server offers it. user/pass use AUTH PLAIN.
+// Blend events count as priority 'low' for minPriority and quiet hours.
+//
+// Payload (webhook body, and the facts listed in the email):
+// { event, plant, at, priority, mill, millLabel, metric, value, limit, message, ...event specific (alarmId, blend, summary) }
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const NOTIFY_EVENTS = ['alarm-raised', 'alarm-cleared', 'blend-saved'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY = { attempts: 4, backoffMs: 30000 };
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+$/;
+const CLOCK_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/* -------------------- Config validation -------------------- */
+/**
+ * Check a notifier config. Returns a list of problems (empty when valid).
+ */
+function validateNotifierConfig(config) {
+  const errors = [];
+  const c = config || {};
+  if (typeof c.enabled !== 'boolean') errors.push('enabled must be true or false');
+  if (!Array.isArray(c.channels)) errors.push('channels must be an array');
+  const channels = Array.isArray(c.channels) ? c.channels : [];
+  const names = new Set();
+  channels.forEach((ch, i) => {
+    const where = `channels[${i}]`;
+    if (!ch || typeof ch !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof ch.name !== 'string' || !ch.name.trim()) errors.push(`${where}: name is required`);
+    else if (names.has(ch.name)) errors.push(`${where}: name ${ch.name} is used twice`);
+    names.add(ch.name);
+    if (ch.type === 'email') {
+      if (!Array.isArray(ch.to) || !ch.to.length || ch.to.some(a => !EMAIL_RE.test(String(a)))) errors.push(`${where}: to must be a list of email addresses`);
+    } else if (ch.type === 'webhook') {
+      if (!/^https?:\/\//.test(String(ch.url || ''))) errors.push(`${where}: url must be an http:// or https:// url`);
+      if (ch.headers !== undefined && (typeof ch.headers !== 'object' || Array.isArray(ch.headers))) errors.push(`${where}: headers must be an object`);
+    } else {
+      errors.push(`${where}: type must be email or webhook`);
+    }
+    if (!Array.isArray(ch.events) || !ch.events.length || ch.events.some(e => !NOTIFY_EVENTS.includes(e))) {
+      errors.push(`${where}: events must list some of ${NOTIFY_EVENTS.join(', ')}`);
+    }
+    if (ch.minPriority !== undefined && !PRIORITIES.includes(ch.minPriority)) errors.push(`${where}: minPriority must be one of ${PRIORITIES.join(', ')}`);
+  });
+  if (channels.some(ch => ch && ch.type === 'email')) {
+    const s = c.smtp || {};
+    if (typeof s.host !== 'string' || !s.host) errors.push('smtp.host is required for email channels');
+    if (!EMAIL_RE.test(String(s.from || ''))) errors.push('smtp.from must be an email address');
+    if (s.port !== undefined && (!Number.isInteger(s.port) || s.port < 1 || s.port > 65535)) errors.push('smtp.port must be 1-65535');
+  }
+  if (c.retry !== undefined) {
+    const r = c.retry || {};
+    if (!Number.isInteger(r.attempts) || r.attempts < 1 || r.attempts > 20) errors.push('retry.attempts must be an integer between 1 and 20');
+    if (!Number.isFinite(r.backoffMs) || r.backoffMs < 1000) errors.push('retry.backoffMs must be at least 1000');
+  }
+  if (c.dedupMinutes !== undefined && (!Number.isFinite(c.dedupMinutes) || c.dedupMinutes < 0)) errors.push('dedupMinutes must be a number >= 0');
+  if (c.quietHours !== undefined && c.quietHours !== null) {
+    const q = c.quietHours;
+    if (!CLOCK_RE.test(String(q.start)) || !CLOCK_RE.test(String(q.end))) errors.push('quietHours.start / end must be HH:MM');
+    if (q.bypassPriority !== undefined && !PRIORITIES.includes(q.bypassPriority)) errors.push(`quietHours.bypassPriority must be one of ${PRIORITIES.join(', ')}`);
+  }
+  return errors;
+}
+
+/* -------------------- Routing -------------------- */
+function priorityAtLeast(priority, min) {
+  return PRIORITIES.indexOf(priority || 'low') >= PRIORITIES.indexOf(min || 'low');
+}
+
+/* channels of the config that take this event at this priority */
+function channelsFor(config, event, priority) {
+  return (config.channels || []).filter(ch => ch.events.includes(event) && priorityAtLeast(priority, ch.minPriority));
+}
+
+function clockMinutes(hhmm) {
+  const m = CLOCK_RE.exec(String(hhmm));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/* true when `date` (server local time) falls in the quiet hours and `priority` does not bypass them */
+function isQuiet(quietHours, priority, date) {
+  if (!quietHours) return false;
+  const start = clockMinutes(quietHours.start);
+  const end = clockMinutes(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const inside = start < end ? (now >= start && now < end) : (now >= start || now < end);
+  return inside && !priorityAtLeast(priority, quietHours.bypassPriority || 'critical');
+}
+
+/* wait before attempt n + 1 after n failed attempts */
+function retryDelayMs(config, attempts) {
+  const retry = config.retry || DEFAULT_RETRY;
+  return retry.backoffMs * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/* -------------------- Email text -------------------- */
+function formatEmail(payload) {
+  let subject;
+  if (payload.event === 'alarm-raised') subject = `${String(payload.priority).toUpperCase()} alarm: ${payload.message}`;
+  else if (payload.event === 'alarm-cleared') subject = `Alarm cleared: ${payload.message}`;
+  else subject = payload.message;
+
+  const facts = [
+    ['Plant', payload.plant],
+    ['Time', new Date(payload.at).toString()],
+    ['Priority', payload.priority],
+    ['Mill', payload.millLabel],
+    ['Metric', payload.metric],
+    ['Value', payload.value],
+    ['Limit', payload.limit]
+  ].filter(f => f[1] !== null && f[1] !== undefined && f[1] !== '');
+  const lines = [payload.message, ''].concat(facts.map(f => `${f[0]}: ${f[1]}`));
+  if (payload.summary) {
+    lines.push('');
+    Object.keys(payload.summary).forEach(k => {
+      if (payload.summary[k] !== null) lines.push(`${k}: ${payload.summary[k]}`);
+    });
+  }
+  return { subject: `[${payload.plant}] ${subject}`, text: lines.join('\r\n') + '\r\n' };
+}
+
+/* -------------------- SMTP client -------------------- */
+// just enough of the protocol to hand one message to a relay: EHLO, STARTTLS, AUTH PLAIN, MAIL / RCPT / DATA
+class SmtpClient {
+  constructor(opts) {
+    this.host = opts.host;
+    this.secure = !!opts.secure;
+    this.port = opts.port || (this.secure ? 465 : 25);
+    this.starttls = opts.starttls !== false;
+    this.user = opts.user || '';
+    this.pass = opts.pass || '';
+    this.timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.name = os.hostname() || 'localhost';
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;   // { resolve, reject } of the pending _reply()
+    this.error = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => socket.destroy(new Error(`SMTP connect timeout (${this.host}:${this.port})`)), this.timeoutMs);
+      socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.once('error', err => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      this._attach(socket);
+    });
+  }
+
+  close() {
+    if (this.socket) this.socket.destroy();
+    this.socket = null;
+  }
+
+  _attach(socket) {
+    this.socket = socket;
+    socket.on('data', chunk => this._onData(chunk));
+    socket.on('error', err => this._fail(err));
+    socket.on('close', () => this._fail(new Error('SMTP connection closed')));
+  }
+
+  _upgrade() {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({ socket: plain, servername: this.host });
+      socket.once('secureConnect', resolve);
+      socket.once('error', reject);
+      this._attach(socket);
+    });
+  }
+
+  _onData(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let i;
+    while ((i = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, i).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(i + 1);
+      this.lines.push(line);
+      if (!/^\d{3}(?: |$)/.test(line)) continue;   // "250-..." continues a multi-line reply
+      const reply = { code: Number(line.slice(0, 3)), lines: this.lines };
+      this.lines = [];
+      if (this.waiting) {
+        const w = this.waiting;
+        this.waiting = null;
+        w.resolve(reply);
+      } else {
+        this.replies.push(reply);
+      }
+    }
+  }
+
+  _fail(err) {
+    this.error = this.error || err;
+    if (this.waiting) {
+      const w = this.waiting;
+      this.waiting = null;
+      w.reject(err);
+    }
+  }
+
+  _reply() {
+    if (this.replies.length) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiting = null;
+        reject(new Error('SMTP reply timeout'));
+      }, this.timeoutMs);
+      this.waiting = {
+        resolve: r => { clearTimeout(timer); resolve(r); },
+        reject: e => { clearTimeout(timer); reject(e); }
+      };
+    });
+  }
+
+  /* send a line (null = only read, e.g. the greeting) and check the reply class (2 = ok, 3 = go on) */
+  async _command(line, expect, label) {
+    if (line !== null) this.socket.write(line + '\r\n');
+    const reply = await this._reply();
+    if (Math.floor(reply.code / 100) !== expect) {
+      throw new Error(`SMTP ${label || (line ? line.split(' ')[0] : 'greeting')} failed: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  async send(mail) {
+    await this.connect();
+    try {
+      await this._command(null, 2);
+      let ehlo = await this._command(`EHLO ${this.name}`, 2);
+      if (!this.secure && this.starttls && ehlo.lines.some(l => /^\d{3}[ -]STARTTLS\b/i.test(l))) {
+        await this._command('STARTTLS', 2);
+        await this._upgrade();
+        ehlo = await this._command(`EHLO ${this.name}`, 2);
+      }
+      if (this.user) {
+        await this._command('AUTH PLAIN ' + Buffer.from(`\0${this.user}\0${this.pass}`).toString('base64'), 2, 'AUTH');
+      }
+      await this._command(`MAIL FROM:<${mail.from}>`, 2);
+      for (const rcpt of mail.to) await this._command(`RCPT TO:<${rcpt}>`, 2);
+      await this._command('DATA', 3);
+      await this._command(buildMessage(mail, this.name) + '\r\n.', 2, 'DATA');
+      await this._command('QUIT', 2).catch(() => { /* delivered already */ });
+    } finally {
+      this.close();
+    }
+  }
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/* RFC 5322 message; the body is base64 so no line can end the DATA early */
+function buildMessage(mail, hostName) {
+  const body = Buffer.from(mail.text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${mail.from}`,
+    `To: ${mail.to.join(', ')}`,
+    `Subject: ${encodeHeader(mail.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${hostName}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/* -------------------- Delivery -------------------- */
+async function postWebhook(channel, payload) {
+  const res = await fetch(channel.url, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json' }, channel.headers || {}),
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(channel.timeoutMs || DEFAULT_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`Webhook ${channel.name}: HTTP ${res.status}`);
+}
+
+/**
+ * Deliver one payload on one channel; rejects with the reason when it did not go out.
+ */
+async function deliver(config, channel, payload) {
+  if (channel.type === 'webhook') return postWebhook(channel, payload);
+  const { subject, text } = formatEmail(payload);
+  const smtp = config.smtp || {};
+  return new SmtpClient(smtp).send({ from: smtp.from, to: channel.to, subject, text });
+}
+
+module.exports = {
+  NOTIFY_EVENTS,
+  validateNotifierConfig,
+  channelsFor,
+  isQuiet,
+  retryDelayMs,
+  formatEmail,
+  deliver,
+  SmtpClient
+};
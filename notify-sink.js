@@ -0,0 +1,124 @@
+// notify-sink.js — offline stand-ins for a mail relay and a webhook receiver, to try notifications locally.
+// Usage: node notify-sink.js [--smtp 2525] [--http 8025] [--fail 0]
+//   SMTP: accepts every message (any AUTH, no TLS) and prints it decoded.
+//   HTTP: accepts POSTs on any path and prints the JSON body; --fail N answers 500 to the first N requests,
+//         to watch the retries.
+// On start it prints a matching notifications config to paste into Plant Settings.
+const net = require('net');
+const http = require('http');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf('--' + name);
+  return (i >= 0 && process.argv[i + 1] !== undefined) ? Number(process.argv[i + 1]) : fallback;
+}
+
+const SMTP_PORT = arg('smtp', 2525);
+const HTTP_PORT = arg('http', 8025);
+let failuresLeft = arg('fail', 0);
+
+/* headers + decoded body of a received message */
+function decodeMessage(raw) {
+  const split = raw.indexOf('\r\n\r\n');
+  const head = split >= 0 ? raw.slice(0, split) : raw;
+  let body = split >= 0 ? raw.slice(split + 4) : '';
+  const headers = {};
+  head.split(/\r\n(?![ \t])/).forEach(line => {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).toLowerCase()] = line.slice(i + 1).trim();
+  });
+  const subject = (headers.subject || '').replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, b64) => Buffer.from(b64, 'base64').toString('utf8'));
+  if (/base64/i.test(headers['content-transfer-encoding'] || '')) body = Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  return { from: headers.from, to: headers.to, subject, body };
+}
+
+const smtp = net.createServer(socket => {
+  let buffer = '';
+  let inData = false;
+  let data = '';
+  const reply = line => socket.write(line + '\r\n');
+  reply('220 notify-sink ESMTP');
+
+  function command(line) {
+    const verb = line.split(' ')[0].toUpperCase();
+    switch (verb) {
+      case 'EHLO': return reply('250-notify-sink\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME');
+      case 'HELO': case 'MAIL': case 'RCPT': case 'RSET': case 'NOOP': return reply('250 OK');
+      case 'AUTH': return reply('235 Authenticated');
+      case 'DATA':
+        inData = true;
+        data = '';
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'QUIT':
+        reply('221 Bye');
+        return socket.end();
+      default: return reply('502 Command not implemented');
+    }
+  }
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      if (!inData) {
+        command(line);
+        continue;
+      }
+      if (line !== '.') {
+        data += (line.startsWith('..') ? line.slice(1) : line) + '\r\n';
+        continue;
+      }
+      inData = false;
+      const msg = decodeMessage(data);
+      console.log(`\n[smtp] ${new Date().toISOString()} from ${msg.from} to ${msg.to}\nSubject: ${msg.subject}\n${msg.body}`);
+      reply('250 Queued');
+    }
+  });
+  socket.on('error', () => { /* client went away */ });
+});
+
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`\n[http] ${req.method} ${req.url} -> 500 (failing on purpose, ${failuresLeft} left)`);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      return res.end('{"error":"sink failing on purpose"}');
+    }
+    let shown = body;
+    try { shown = JSON.stringify(JSON.parse(body), null, 2); } catch (e) { /* not JSON, print as is */ }
+    console.log(`\n[http] ${new Date().toISOString()} ${req.method} ${req.url}\n${shown}`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+});
+
+smtp.listen(SMTP_PORT, () => {
+  receiver.listen(HTTP_PORT, () => {
+    console.log(`SMTP sink on port ${SMTP_PORT}, webhook receiver on port ${HTTP_PORT}`);
+    const config = {
+      enabled: true,
+      plant: 'Local test',
+      smtp: { host: '127.0.0.1', port: SMTP_PORT, starttls: false, from: 'bunkers@localhost' },
+      channels: [
+        { name: 'shift', type: 'email', to: ['shift@localhost'], events: ['alarm-raised', 'alarm-cleared', 'blend-saved'] },
+        { name: 'hook', type: 'webhook', url: `http://127.0.0.1:${HTTP_PORT}/notify`, events: ['alarm-raised', 'alarm-cleared', 'blend-saved'] }
+      ],
+      retry: { attempts: 3, backoffMs: 5000 },
+      dedupMinutes: 30,
+      quietHours: null
+    };
+    console.log('Notifications config:\n' + JSON.stringify(config, null, 2));
+  });
+});
+
+function shutdown() {
+  smtp.close();
+  receiver.close();
+  process.exit(0);
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
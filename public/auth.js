@@ -0,0 +1,45 @@
+/* auth.js — session check + logout shared by the app pages (include in <head> before other scripts) */
+window.CURRENT_USER = window.CURRENT_USER || null;
+
+/* resolves with the logged-in user, or redirects to the login page */
+window.AUTH_READY = (async function checkSession(){
+  try{
+    const res = await fetch('/api/auth/me', { credentials: 'same-origin' });
+    if(res.ok){
+      const data = await res.json();
+      window.CURRENT_USER = data.user || null;
+      return window.CURRENT_USER;
+    }
+  }catch(e){ console.error('[auth] session check failed', e); }
+  window.location.href = '/public/login.html';
+  return null;
+})();
+
+function hasPermission(permission){
+  const u = window.CURRENT_USER;
+  return !!(u && Array.isArray(u.permissions) && u.permissions.indexOf(permission) >= 0);
+}
+window.hasPermission = hasPermission;
+
+/* elements tagged data-permission="x" are hidden (or disabled, for form fields) when the user lacks x */
+function applyPermissionsToDOM(root){
+  (root || document).querySelectorAll('[data-permission]').forEach(el => {
+    const allowed = hasPermission(el.dataset.permission);
+    if(/^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName)) el.disabled = !allowed;
+    else el.style.display = allowed ? '' : 'none';
+  });
+}
+window.applyPermissionsToDOM = applyPermissionsToDOM;
+
+document.addEventListener('DOMContentLoaded', function(){
+  window.AUTH_READY.then(() => applyPermissionsToDOM());
+});
+
+async function logoutUser(){
+  try{
+    await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+  }catch(e){ /* ignore - we leave the page either way */ }
+  window.CURRENT_USER = null;
+  window.location.href = '/public/login.html';
+}
+window.logoutUser = logoutUser;
@@ -102,10 +102,31 @@ async function fetchCoalDB(){
   try{ const res = await fetch(API_BASE + '/coal'); if(!res.ok) return []; return await res.json(); }
   catch(e){ console.error('coal fetch err', e); return []; }
 }
+// at the operating point: fresh measured flows / generation drive the figures (planned ones in plannedFlows / plannedGeneration)
 async function fetchBlendLatest(){
-  try{ const res = await fetch(API_BASE + '/blend/latest'); if(!res.ok) return null; return await res.json(); }
+  try{ const res = await fetch(API_BASE + '/blend/latest?live=true'); if(!res.ok) return null; return await res.json(); }
   catch(e){ console.error('blend fetch err', e); return null; }
 }
+async function fetchBlendById(id){
+  try{ const res = await fetch(API_BASE + '/blend/' + encodeURIComponent(id)); if(!res.ok) return null; return await res.json(); }
+  catch(e){ console.error('blend fetch err', e); return null; }
+}
+// ?blend=<id> in the page url shows that past blend instead of the latest one
+function fetchBlendForView(){
+  const id = new URLSearchParams(window.location.search).get('blend');
+  return id ? fetchBlendById(id) : fetchBlendLatest();
+}
+// latest measured values: { flows: [plant flow unit per mill, null = no recent reading], mills: [{ flow, stale }], generation: { mw, ts, stale } | null }
+async function fetchMeasuredFlows(){
+  try{ const res = await fetch(API_BASE + '/flows/latest'); if(!res.ok) return null; return await res.json(); }
+  catch(e){ console.error('flows fetch err', e); return null; }
+}
+async function fetchBlendDiff(blend){
+  // revision 1 has nothing to compare against
+  if(!blend || !blend._id || !(Number(blend.rev) > 1)) return null;
+  try{ const res = await fetch(API_BASE + '/blend/' + blend._id + '/diff'); if(!res.ok) return null; return await res.json(); }
+  catch(e){ console.error('blend diff fetch err', e); return null; }
+}
 function safeNum(v){ return (v === null || typeof v === 'undefined' || isNaN(Number(v))) ? null : Number(v); }
 // function findCoalColor(coalNameOrId, coalDB){
 //   if(!coalNameOrId) return null;
@@ -246,112 +267,41 @@ function getBottomGcvForBunker(blend, coalDB, bunkerIndex){
   return null;
 }
 
-/* ---------- NextBlendBinder: use DB timers (or fallback percent flow calc) to drive active layer countdowns ---------- */
-
-function parseTimerToSeconds(timerVal){
-  if(timerVal === null || typeof timerVal === 'undefined') return null;
-  if(typeof timerVal === 'number' && Number.isFinite(timerVal)) return Math.max(0, Math.floor(timerVal));
-  if(typeof timerVal === 'object'){
-    if(timerVal.$numberInt) return Math.max(0, Number(timerVal.$numberInt) | 0);
-    if(timerVal.$numberDouble) return Math.max(0, Math.floor(Number(timerVal.$numberDouble)));
-    try { timerVal = String(timerVal); } catch(e){ return null; }
-  }
-  const s = String(timerVal).trim();
-  if(!s) return null;
-  if(s.indexOf(':') >= 0){
-    const parts = s.split(':').map(x => Number(x.replace(/^0+/, '') || 0));
-    if(parts.length === 3 && parts.every(p => !isNaN(p))){
-      return parts[0]*3600 + parts[1]*60 + parts[2];
-    } else if(parts.length === 2 && parts.every(p => !isNaN(p))){
-      return parts[0]*60 + parts[1];
-    }
-    const m = s.match(/(\d+)/g);
-    if(m && m.length) return Math.max(0, Number(m.join('')));
-    return null;
-  }
-  const n = Number(s.replace(/[^0-9\.\-]/g,''));
-  return Number.isFinite(n) ? Math.max(0, Math.floor(n)) : null;
-}
-
-function buildSequencesFromBlend(blend){
-  const BUNKER_COUNT = (Array.isArray(blend && blend.bunkers) ? blend.bunkers.length : 8);
-  const capacity = safeNum(blend && blend.bunkerCapacity);
-  const seqs = Array.from({length: BUNKER_COUNT}, () => []);
-  for(let b = 0; b < BUNKER_COUNT; b++){
-    const fVal = getBunkerFlow(blend, b);
-    const bdata = (Array.isArray(blend && blend.bunkers) && blend.bunkers[b]) ? blend.bunkers[b] : { layers: [] };
-    const layers = Array.isArray(bdata.layers) ? bdata.layers.slice() : [];
-    // iterate bottom->top (last -> first)
-    for(let li = layers.length - 1; li >= 0; li--){
-      const L = layers[li];
-      if(!L){ seqs[b].push(null); continue; }
-      // prefer explicit layer.timer
-      const tsec = parseTimerToSeconds(L.timer);
-      if(tsec !== null && !isNaN(tsec)){
-        seqs[b].push(Math.max(0, Math.floor(tsec)));
-        continue;
-      }
-      // otherwise use percent -> seconds if possible
-      const rawPct = (L.percent === undefined || L.percent === null) ? (L.percentages ? L.percentages : 0) : L.percent;
-      let pct = 0;
-      if(Array.isArray(rawPct) && rawPct.length) pct = safeNum(rawPct[0]) || 0;
-      else pct = safeNum(rawPct) || 0;
-      if(pct === 0){
-        seqs[b].push(null);
-        continue;
-      }
-      if(capacity !== null && fVal !== null && fVal > 0){
-        const hours = (pct / 100) * Number(capacity) / Number(fVal);
-        const seconds = Math.max(0, Math.ceil(hours * 3600));
-        seqs[b].push(seconds);
-      } else {
-        seqs[b].push(null);
-      }
-    }
-  }
-  return seqs;
-}
+/* ---------- NextBlendBinder: displays the server drain schedule as active layer countdowns ---------- */
 
 class NextBlendBinder {
   constructor(blend){
     this.blend = blend || null;
-    this.sequences = buildSequencesFromBlend(this.blend || {});
+    this.schedule = null;
+    const count = window.NUM_BUNKERS || (Array.isArray(this.blend && this.blend.bunkers) ? this.blend.bunkers.length : 8);
+    // layer durations per bunker, bottom -> top (null = unknown)
+    this.sequences = Array.from({length: count}, () => []);
     // active index per bunker (index into sequences[b], 0 = bottom)
-    this.activeIdx = Array.from({length: this.sequences.length}, () => null);
+    this.activeIdx = Array.from({length: count}, () => null);
     // remaining seconds per bunker
-    this.remaining = Array.from({length: this.sequences.length}, () => null);
+    this.remaining = Array.from({length: count}, () => null);
     this._tickHandle = null;
     this._lastDispatchedSnapshot = null;
-    // initialize active / remaining
-    this._resetFromSequences();
+    this._loadSchedule();
   }
 
-  _resetFromSequences(){
-    for(let b = 0; b < this.sequences.length; b++){
-      const seq = this.sequences[b] || [];
-      // find first valid (non-null) element (bottom-most)
-      let found = null;
-      for(let i = 0; i < seq.length; i++){ if(seq[i] !== null && typeof seq[i] !== 'undefined'){ found = i; break; } }
-      if(found !== null){
-        this.activeIdx[b] = found;
-        this.remaining[b] = seq[found];
-      } else {
-        this.activeIdx[b] = null;
-        this.remaining[b] = null;
-      }
-    }
-    this._maybeDispatch();
+  async _loadSchedule(){
+    const id = this.blend && this.blend._id;
+    const schedule = id ? await fetchDrainSchedule(id) : null;
+    // ignore a late answer for a blend that has been replaced meanwhile
+    if((this.blend && this.blend._id) !== id) return;
+    this.schedule = schedule;
+    this._tick();
   }
 
   updateBlend(newBlend){
+    const sameBlend = newBlend && this.blend && String(newBlend._id) === String(this.blend._id);
     this.blend = newBlend || null;
-    const newSeq = buildSequencesFromBlend(this.blend || {});
-    // replace sequences, and attempt to preserve remaining if possible:
-    // simple approach: if the previous remaining is null or we can't map, reset to DB values
-    this.sequences = newSeq;
-    this.activeIdx = Array.from({length: this.sequences.length}, () => null);
-    this.remaining = Array.from({length: this.sequences.length}, () => null);
-    this._resetFromSequences();
+    // drain times of the live blend follow the measured flows, so they are re-read with it
+    if(!sameBlend || (newBlend && newBlend.operatingPoint)){
+      this.schedule = null;
+      this._loadSchedule();
+    }
   }
 
   start(){
@@ -366,41 +316,15 @@ class NextBlendBinder {
   }
 
   _tick(){
-    let changed = false;
+    const now = scheduleNow();
     for(let b = 0; b < this.sequences.length; b++){
-      const rem = this.remaining[b];
-      if(rem === null || typeof rem === 'undefined') continue;
-      if(rem > 0){
-        this.remaining[b] = rem - 1;
-        changed = true;
-      } else {
-        // rem === 0 -> advance to next valid element in that sequence
-        const seq = this.sequences[b] || [];
-        const currIdx = this.activeIdx[b];
-        let nextIdx = null;
-        if(Array.isArray(seq)){
-          for(let i = (currIdx === null ? 0 : currIdx + 1); i < seq.length; i++){
-            if(seq[i] !== null && typeof seq[i] !== 'undefined'){
-              nextIdx = i;
-              break;
-            }
-          }
-        }
-        if(nextIdx !== null){
-          this.activeIdx[b] = nextIdx;
-          this.remaining[b] = seq[nextIdx];
-          changed = true;
-        } else {
-          // no more layers -> clear
-          if(this.activeIdx[b] !== null || this.remaining[b] !== null){
-            this.activeIdx[b] = null;
-            this.remaining[b] = null;
-            changed = true;
-          }
-        }
-      }
+      const st = drainStateAt(this.schedule, b, now);
+      this.sequences[b] = st.sequence;
+      const active = st.sequence.length > 0 && !st.done;
+      this.activeIdx[b] = active ? st.idx : null;
+      this.remaining[b] = active ? st.remaining : null;
     }
-    if(changed) this._maybeDispatch();
+    this._maybeDispatch();
   }
 
   _maybeDispatch(force){
@@ -419,14 +343,10 @@ class NextBlendBinder {
   getActiveLayer(bunkerIndex){
     try{
       if(!this.blend || !Array.isArray(this.blend.bunkers) || !Array.isArray(this.blend.bunkers[bunkerIndex].layers)) return null;
-      const layers = this.blend.bunkers[bunkerIndex].layers;
       const idxInSeq = this.activeIdx[bunkerIndex];
-      if(idxInSeq === null || typeof idxInSeq === 'undefined') return null;
-      // sequences are built bottom->top by iterating layers from end->0; mapping:
-      // originalLayerIndex = layers.length - 1 - idxInSeq
-      const orig = (layers.length - 1 - idxInSeq);
-      if(orig < 0 || orig >= layers.length) return null;
-      return layers[orig] || null;
+      if(idxInSeq === null || typeof idxInSeq === 'undefined' || !this.schedule) return null;
+      const entry = this.schedule.bunkers[bunkerIndex] && this.schedule.bunkers[bunkerIndex].layers[idxInSeq];
+      return entry ? (this.blend.bunkers[bunkerIndex].layers[entry.layerIndex] || null) : null;
     }catch(e){
       return null;
     }
@@ -452,7 +372,7 @@ function computeDerivedMetrics(blend, coalDB){
     let sumNumerator = 0;
     let sumFlowsForNumerator = 0;
 
-    const bunkerCount = (Array.isArray(blend.bunkers) ? blend.bunkers.length : 8);
+    const bunkerCount = window.NUM_BUNKERS || (Array.isArray(blend.bunkers) ? blend.bunkers.length : 8);
     for(let b = 0; b < bunkerCount; b++){
       const flowVal = getBunkerFlow(blend, b);
       const bottomGcv = getBottomGcvForBunker(blend, coalDB, b);
@@ -469,11 +389,11 @@ function computeDerivedMetrics(blend, coalDB){
 
     const avgGCV = (totalFlow && totalFlow > 0) ? (sumNumerator / totalFlow) : null;
 
-    // generation fallback
+    // kcal/kWh in whatever units GCV and flow are entered (plant.js, same formula as the server)
     const generation = safeNum(blend.generation);
     let heatRate = null;
     if(avgGCV !== null && totalFlow !== null && generation !== null && generation > 0){
-      heatRate = (avgGCV * Number(totalFlow)) / Number(generation);
+      heatRate = plantHeatRate(totalFlow, avgGCV, generation);
     }
 
     return { avgGCV: (avgGCV === null ? null : Number(avgGCV)), heatRate: (heatRate === null ? null : Number(heatRate)), totalFlow: (totalFlow === null ? null : Number(totalFlow)) };
@@ -483,6 +403,24 @@ function computeDerivedMetrics(blend, coalDB){
   }
 }
 
+/**
+ * computeCostMetrics - fuel cost at the blend's current flows (measured flows are overlaid on blend.flows)
+ * from the per-mill cost per tonne stored with the blend; blends saved without it keep their stored figures
+ * returns { costRate: per t, costPerHour, costPerMWh } (null = unknown)
+ */
+function computeCostMetrics(blend){
+  const stored = { costRate: safeNum(blend.costRate), costPerHour: safeNum(blend.costPerHour), costPerMWh: safeNum(blend.costPerMWh) };
+  if(!Array.isArray(blend.costPerMill) || !blend.costPerMill.length) return stored;
+  let perHour = 0, flow = 0;
+  blend.costPerMill.forEach((c, m) => {
+    const f = getBunkerFlow(blend, m);
+    if(f !== null && f > 0){ perHour += plantFlowToTph(f) * (Number(c) || 0); flow += plantFlowToTph(f); }
+  });
+  if(!(flow > 0)) return stored;
+  const generation = safeNum(blend.generation);
+  return { costRate: perHour / flow, costPerHour: perHour, costPerMWh: (generation !== null && generation > 0) ? perHour / generation : null };
+}
+
 /**
  * recomputeAndPopulate - reuses window.LATEST_BLEND & window.COAL_DB to recompute summary metrics
  */
@@ -500,8 +438,10 @@ function recomputeAndPopulate(){
       avgGCV: (derived.avgGCV !== null ? derived.avgGCV : (blend.avgGCV !== undefined ? blend.avgGCV : null)),
       avgAFT: (blend.avgAFT !== undefined ? blend.avgAFT : null),
       heatRate: (derived.heatRate !== null ? derived.heatRate : (blend.heatRate !== undefined ? blend.heatRate : null)),
-      costRate: (blend.costRate !== undefined ? blend.costRate : null)
+      ashIndices: blend.ashIndices || null,
+      costBreakdown: blend.costBreakdown || null
     };
+    Object.assign(metrics, computeCostMetrics(blend));
     populateStats(metrics);
   }catch(e){ console.error('recomputeAndPopulate err', e); }
 }
@@ -511,13 +451,27 @@ function recomputeAndPopulate(){
 
 /* ---------- Tooltip helpers (floating DOM tooltip) ---------- */
 const coalTip = document.getElementById('coalTooltip');
-function buildTooltipHtml({name, pct, gcv, cost, aft}){
+function ashLevelChip(level){
+  if(!level) return '';
+  const c = (window.plantAshLevelColors || {})[level] || ['#111', '#eee'];
+  return `<span style="color:${c[0]};background:${c[1]};border-radius:6px;padding:0 5px;font-size:10px;font-weight:700;">${level}</span>`;
+}
+
+/* slagging / fouling indices as "label: value level" lines (nothing for blends saved without them) */
+function ashIndexLines(indices){
+  if(!indices || !window.plantAshIndexList) return [];
+  return plantAshIndexList(indices).filter(x => x.value !== null).map(x => `${x.label}: ${x.value.toFixed(2)} ${ashLevelChip(x.level)}`);
+}
+
+function buildTooltipHtml({name, pct, tons, gcv, cost, aft, ash}){
   const lines = [];
   if(name) lines.push(`<strong>${name}</strong>`);
   if(typeof pct !== 'undefined') lines.push(`%: ${pct}`);
+  if(typeof tons !== 'undefined' && tons !== null) lines.push(`Tons: ${tons}`);
   if(typeof gcv !== 'undefined') lines.push(`GCV: ${gcv}`);
   if(typeof cost !== 'undefined') lines.push(`Cost: ${cost}`);
   if(typeof aft !== 'undefined' && aft !== null) lines.push(`AFT: ${aft}`);
+  ashIndexLines(ash).forEach(l => lines.push(l));
   return lines.join('<br>');
 }
 function showCoalRectTooltip(ev, rowIndex, millIndex, layerData){
@@ -525,9 +479,11 @@ function showCoalRectTooltip(ev, rowIndex, millIndex, layerData){
     coalTip.innerHTML = buildTooltipHtml({
       name: layerData.coal || layerData.name || 'No name',
       pct: layerData.percent != null ? layerData.percent : '--',
+      tons: layerData.tons != null ? Number(layerData.tons).toFixed(1) : null,
       gcv: layerData.gcv != null ? layerData.gcv : '--',
       cost: layerData.cost != null ? layerData.cost : '--',
-      aft: (window.LATEST_BLEND && Array.isArray(window.LATEST_BLEND.aftPerMill)) ? (window.LATEST_BLEND.aftPerMill[millIndex] || '--') : '--'
+      aft: (window.LATEST_BLEND && Array.isArray(window.LATEST_BLEND.aftPerMill)) ? (window.LATEST_BLEND.aftPerMill[millIndex] || '--') : '--',
+      ash: (window.LATEST_BLEND && Array.isArray(window.LATEST_BLEND.ashIndicesPerMill)) ? window.LATEST_BLEND.ashIndicesPerMill[millIndex] : null
     });
     coalTip.style.display = 'block';
     coalTip.setAttribute('aria-hidden','false');
@@ -578,6 +534,7 @@ const filtered = layers
     percent: safeNum(l.percent) || 0,
     gcv: safeNum(l.gcv),
     cost: safeNum(l.cost),
+    tons: safeNum(l.tons),
     rowIndex: (typeof l.rowIndex !== 'undefined' && l.rowIndex !== null) ? l.rowIndex : null,
     color: (typeof l.color !== 'undefined' && l.color !== null) ? String(l.color) : null  // <- NEW
   }))
@@ -630,8 +587,171 @@ function populateStats(metrics){
   setText('TOTALFLOW', (metrics.totalFlow !== undefined) ? Number(metrics.totalFlow).toFixed(2) : '--');
   setText('AVGGCV', (metrics.avgGCV !== undefined) ? Number(metrics.avgGCV).toFixed(2) : '--');
   setText('AVGAFT', (metrics.avgAFT !== undefined && metrics.avgAFT !== null) ? Number(metrics.avgAFT).toFixed(2) : '--');
-  setText('HEATRATE', (metrics.heatRate !== undefined && metrics.heatRate !== null) ? Number(metrics.heatRate).toFixed(2) : '--');
-  setText('COSTRATE', (metrics.costRate !== undefined) ? Number(metrics.costRate).toFixed(2) : '--');
+  setText('HEATRATE', (metrics.heatRate !== undefined && metrics.heatRate !== null) ? Number(metrics.heatRate).toFixed(0) : '--');
+  const efficiency = (metrics.heatRate !== undefined && metrics.heatRate !== null && window.plantUnitEfficiency) ? plantUnitEfficiency(Number(metrics.heatRate)) : null;
+  setText('UNITEFF', efficiency !== null ? efficiency.toFixed(1) : '--');
+  setText('COSTRATE', (metrics.costRate !== undefined && metrics.costRate !== null) ? Number(metrics.costRate).toFixed(2) : '--');
+  setText('COSTPERHOUR', (metrics.costPerHour !== undefined && metrics.costPerHour !== null) ? Number(metrics.costPerHour).toFixed(0) : '--');
+  setText('COSTPERMWH', (metrics.costPerMWh !== undefined && metrics.costPerMWh !== null) ? Number(metrics.costPerMWh).toFixed(2) : '--');
+
+  // share of the fuel bill per coal (at the flows the blend was saved with)
+  const costEl = document.getElementById('costBreakdown');
+  if(costEl){
+    costEl.innerHTML = (Array.isArray(metrics.costBreakdown) ? metrics.costBreakdown : []).map(c =>
+      `<div class="stat-row" style="font-weight:600;font-size:12px;"><div class="stat-label">${c.coal}</div><div class="stat-value">${Number(c.share).toFixed(0)}% · ${Number(c.costPerTonne).toFixed(0)}/t</div></div>`
+    ).join('');
+  }
+
+  // slagging / fouling indices, flow-weighted over the mills
+  const ashEl = document.getElementById('ashIndices');
+  if(ashEl && window.plantAshIndexList){
+    ashEl.innerHTML = plantAshIndexList(metrics.ashIndices).map(x =>
+      `<div class="stat-row"><div class="stat-label">${x.label}</div><div class="stat-value">${x.value === null ? '--' : x.value.toFixed(2)} ${ashLevelChip(x.level)}</div></div>`
+    ).join('');
+  }
+}
+
+/* ---------- SO2 estimate vs emission norms ---------- */
+// { norms, current, next, upcoming, firstBreachAt } for the layers being fired now and after each change
+async function fetchBlendEmissions(blend){
+  if(!blend || !blend._id) return null;
+  try{ const res = await fetch(API_BASE + '/blend/' + blend._id + '/emissions'); if(!res.ok) return null; return await res.json(); }
+  catch(e){ console.error('emissions fetch err', e); return null; }
+}
+
+function fmtClock(t){ return new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }); }
+
+function describeSo2Breach(state){
+  return state.breaches.map(b => b.norm === 'so2LimitMgNm3'
+    ? `${b.value.toFixed(0)} mg/Nm³ (limit ${b.limit})`
+    : `${b.value.toFixed(0)} kg/h (limit ${b.limit})`).join(', ');
+}
+
+function renderEmissions(blend, em){
+  const statsEl = document.getElementById('so2Stats');
+  const warnEl = document.getElementById('so2Warning');
+  const fmt = (v, d) => (v === null || typeof v === 'undefined') ? '--' : Number(v).toFixed(d);
+  if(statsEl){
+    const limit = em && em.norms && em.norms.so2LimitMgNm3 ? ` / ${em.norms.so2LimitMgNm3}` : '';
+    const cur = em ? em.current : null;
+    statsEl.innerHTML = !blend ? '' :
+      `<div class="stat-row"><div class="stat-label">Sulphur (%)</div><div class="stat-value">${fmt(blend.avgSulphur, 2)}</div></div>` +
+      `<div class="stat-row"><div class="stat-label">SO₂ (kg/h)</div><div class="stat-value">${fmt(cur ? cur.kgPerHour : blend.so2KgPerHour, 0)}</div></div>` +
+      `<div class="stat-row"><div class="stat-label">SO₂ (mg/Nm³)</div><div class="stat-value">${fmt(cur ? cur.mgPerNm3 : blend.so2MgPerNm3, 0)}${limit}` +
+      `${cur && cur.breaches.length ? ' ' + ashLevelChip('severe') : ''}</div></div>`;
+  }
+  if(!warnEl) return;
+  const lines = [];
+  if(em && em.current && em.current.breaches.length){
+    lines.push(`SO₂ above norm now: ${describeSo2Breach(em.current)}`);
+  }
+  const coming = em && Array.isArray(em.upcoming) ? em.upcoming.find(s => s.breaches.length) : null;
+  if(coming && !(em.current && em.current.breaches.length)){
+    const change = coming.changes.map(c => `${c.label}: ${c.from || '--'} → ${c.to || 'empty'}`).join(', ');
+    lines.push(`SO₂ will exceed the norm at ${fmtClock(coming.at)}${change ? ` (${change})` : ''}: ${describeSo2Breach(coming)}`);
+  }
+  warnEl.hidden = !lines.length;
+  warnEl.innerHTML = lines.map(l => `<div>${l}</div>`).join('');
+}
+
+/* ---------- alarms (server-side limit rules, GET /api/alarms) ---------- */
+const ALARM_PRIORITY_COLORS = { low: ['#1e3a8a', '#dbeafe'], medium: ['#92400e', '#fef3c7'], high: ['#9a3412', '#ffedd5'], critical: ['#991b1b', '#fee2e2'] };
+const ALARM_PRIORITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+const ALARM_LIST_SHOWN = 8;
+
+async function fetchAlarms(){
+  try{ const res = await fetch(API_BASE + '/alarms?limit=50'); if(!res.ok) return null; return await res.json(); }
+  catch(e){ console.error('alarms fetch err', e); return null; }
+}
+
+function alarmChip(priority){
+  const c = ALARM_PRIORITY_COLORS[priority] || ['#111', '#eee'];
+  return `<span style="color:${c[0]};background:${c[1]};border-radius:6px;padding:0 5px;font-size:10px;font-weight:700;">${priority}</span>`;
+}
+
+function alarmStatus(a){
+  if(a.active) return a.acknowledgedAt ? 'active, acknowledged' : 'active';
+  return `cleared ${fmtClock(a.clearedAt)}` + (a.acknowledgedAt ? '' : ', not acknowledged');
+}
+
+/* banner = most severe unacknowledged open alarm; list = open alarms first, then the latest cleared ones */
+function renderAlarms(data){
+  const banner = document.getElementById('alarmBanner');
+  const listEl = document.getElementById('alarmList');
+  const items = (data && Array.isArray(data.items)) ? data.items : [];
+  const byUrgency = (a, b) => (ALARM_PRIORITY_RANK[b.priority] - ALARM_PRIORITY_RANK[a.priority]) || (new Date(b.raisedAt) - new Date(a.raisedAt));
+  const open = items.filter(a => a.active).sort(byUrgency);
+  const unacked = open.filter(a => !a.acknowledgedAt);
+
+  if(banner){
+    banner.hidden = !unacked.length;
+    if(unacked.length){
+      const top = unacked[0];
+      const c = ALARM_PRIORITY_COLORS[top.priority] || ['#111', '#eee'];
+      banner.style.color = c[0];
+      banner.style.background = c[1];
+      banner.innerHTML = `${alarmChip(top.priority)} ${top.message} <span style="font-weight:400;">since ${fmtClock(top.raisedAt)}</span>` +
+        (unacked.length > 1 ? ` <span style="font-weight:400;">(+${unacked.length - 1} more unacknowledged)</span>` : '');
+    }
+  }
+  if(!listEl) return;
+  const shown = open.concat(items.filter(a => !a.active)).slice(0, ALARM_LIST_SHOWN);
+  const canAck = window.hasPermission && hasPermission('alarms:ack');
+  listEl.innerHTML = !shown.length ? '' :
+    '<div class="stat-row"><div class="stat-label">Alarms</div><div class="stat-value">' + (data.open ? data.open.total : open.length) + ' open</div></div>' +
+    shown.map(a => `<div style="font-size:11px;margin:3px 0;${a.active ? '' : 'opacity:0.6;'}">${alarmChip(a.priority)} ${a.message}` +
+      `<div style="color:#6b7280;">${fmtClock(a.raisedAt)} · ${alarmStatus(a)}` +
+      (!a.acknowledgedAt && canAck ? ` <button type="button" data-ack="${a._id}" style="font-size:10px;padding:0 6px;">Ack</button>` : '') +
+      '</div></div>').join('');
+}
+
+async function refreshAlarms(){ renderAlarms(await fetchAlarms()); }
+
+async function acknowledgeAlarm(id){
+  try{
+    const res = await fetch(API_BASE + '/alarms/' + encodeURIComponent(id) + '/acknowledge', { method: 'POST' });
+    if(!res.ok && res.status !== 409) console.error('acknowledge failed', res.status);
+  }catch(e){ console.error('acknowledge err', e); }
+  refreshAlarms();
+}
+
+/* ---------- revision + "what changed" lines in the stats panel ---------- */
+function millName(m){ return window.plantMillLabel ? plantMillLabel(Number(m)) : `Mill ${String.fromCharCode(65 + Number(m))}`; }
+function fmtChangeVal(v){ return (v === null || typeof v === 'undefined') ? '--' : (typeof v === 'number' ? Number(v.toFixed(2)) : String(v)); }
+
+function describeBlendDiff(diff){
+  const lines = [];
+  if(!diff) return lines;
+  (diff.rows || []).forEach(r => {
+    (r.coal || []).forEach(c => lines.push(`Row ${r.rowIndex} · ${millName(c.mill)}: ${fmtChangeVal(c.from)} → ${fmtChangeVal(c.to)}`));
+    (r.percentages || []).forEach(p => lines.push(`Row ${r.rowIndex} · ${millName(p.mill)}: ${fmtChangeVal(p.from)}% → ${fmtChangeVal(p.to)}%`));
+    if(r.gcv) lines.push(`Row ${r.rowIndex} GCV: ${fmtChangeVal(r.gcv.from)} → ${fmtChangeVal(r.gcv.to)}`);
+    if(r.cost) lines.push(`Row ${r.rowIndex} Cost: ${fmtChangeVal(r.cost.from)} → ${fmtChangeVal(r.cost.to)}`);
+  });
+  (diff.flows || []).forEach(f => lines.push(`Flow ${millName(f.mill)}: ${fmtChangeVal(f.from)} → ${fmtChangeVal(f.to)}`));
+  if(diff.generation) lines.push(`Generation: ${fmtChangeVal(diff.generation.from)} → ${fmtChangeVal(diff.generation.to)}`);
+  (diff.perMill || []).forEach(pm => {
+    if(pm.aft) lines.push(`AFT ${millName(pm.mill)}: ${fmtChangeVal(pm.aft.from)} → ${fmtChangeVal(pm.aft.to)}`);
+    if(pm.gcv) lines.push(`GCV ${millName(pm.mill)}: ${fmtChangeVal(pm.gcv.from)} → ${fmtChangeVal(pm.gcv.to)}`);
+  });
+  return lines;
+}
+
+function renderRevisionInfo(blend, diff){
+  const revEl = document.getElementById('REVISION');
+  const listEl = document.getElementById('revisionChanges');
+  if(revEl){
+    if(!blend) revEl.innerText = '--';
+    else {
+      const saved = blend.createdAt ? new Date(blend.createdAt) : null;
+      const when = saved ? ` (${String(saved.getHours()).padStart(2,'0')}:${String(saved.getMinutes()).padStart(2,'0')})` : '';
+      revEl.innerText = `#${blend.rev || 1}${when}${blend.approvedAt ? ' ✓' : ''}`;
+    }
+  }
+  if(listEl){
+    const lines = describeBlendDiff(diff);
+    listEl.innerHTML = lines.map(l => `<div title="${l}">${l}</div>`).join('');
+  }
 }
 
 /* ---------- render overview (all bunkers) ---------- */
@@ -682,7 +802,7 @@ function renderSingle(bunkerIndex, blend, coalDB){
   // render to single svg with larger strokes and open top
   renderBunkerIntoSVG(singleSvg, bdata, coalDB, bunkerIndex, true, 1.6);
 
-  singleLabel.textContent = `Bunker ${bunkerIndex + 1}`;
+  singleLabel.textContent = window.plantMillLabel ? plantMillLabel(bunkerIndex) : `Bunker ${bunkerIndex + 1}`;
 
   // show single and hide overview
   const ov = document.getElementById('overviewView');
@@ -710,10 +830,14 @@ function renderSingle(bunkerIndex, blend, coalDB){
 
 /* ---------- refresh main data and render according to active tab ---------- */
 async function refreshAndRender(activeMode, activeIndex){
-  const [coalDB, blend] = await Promise.all([ fetchCoalDB(), fetchBlendLatest() ]);
+  const [coalDB, blend, measured] = await Promise.all([ fetchCoalDB(), fetchBlendForView(), fetchMeasuredFlows() ]);
   window.COAL_DB = coalDB || [];
   try { syncColorMapFromCoalDB(window.COAL_DB); } catch(e){ /* ignore */ }
+  // stale readings are left out: those mills run on the planned flow
+  window.LIVE_FLOWS = (measured && Array.isArray(measured.mills)) ? measured.mills.map(r => r.stale ? null : r.flow) : null;
+  window.LIVE_GENERATION = (measured && measured.generation && !measured.generation.stale) ? safeNum(measured.generation.mw) : null;
   window.LATEST_BLEND = blend || null;
+  if(applyMeasuredFlows(blend)) dispatchFlows();
 
     // --- binder: keep client-side timer sequences in sync with latest blend ---
   try{
@@ -728,8 +852,12 @@ async function refreshAndRender(activeMode, activeIndex){
 
   if(!blend){
     populateStats({});
+    renderRevisionInfo(null, null);
+    renderEmissions(null, null);
     return;
   }
+  fetchBlendDiff(blend).then(diff => renderRevisionInfo(blend, diff)).catch(e => console.error('revision info err', e));
+  fetchBlendEmissions(blend).then(em => renderEmissions(blend, em)).catch(e => console.error('emissions err', e));
   // compute derived avgGCV & heatRate client-side (prefer bottom-coal * flow approach)
   try{
     // keep server-provided COAL_DB already loaded above
@@ -740,8 +868,10 @@ async function refreshAndRender(activeMode, activeIndex){
       avgGCV: (derived.avgGCV !== null ? derived.avgGCV : (blend.avgGCV !== undefined ? blend.avgGCV : null)),
       avgAFT: (blend.avgAFT !== undefined ? blend.avgAFT : null),
       heatRate: (derived.heatRate !== null ? derived.heatRate : (blend.heatRate !== undefined ? blend.heatRate : null)),
-      costRate: (blend.costRate !== undefined ? blend.costRate : null)
+      ashIndices: blend.ashIndices || null,
+      costBreakdown: blend.costBreakdown || null
     };
+    Object.assign(metrics, computeCostMetrics(blend));
     populateStats(metrics);
   }catch(e){
     // fallback to server-provided values if anything goes wrong
@@ -751,7 +881,11 @@ async function refreshAndRender(activeMode, activeIndex){
       avgGCV: blend.avgGCV,
       avgAFT: blend.avgAFT,
       heatRate: blend.heatRate,
-      costRate: blend.costRate
+      costRate: blend.costRate,
+      costPerHour: blend.costPerHour,
+      costPerMWh: blend.costPerMWh,
+      ashIndices: blend.ashIndices || null,
+      costBreakdown: blend.costBreakdown || null
     });
   }
 
@@ -763,6 +897,65 @@ async function refreshAndRender(activeMode, activeIndex){
   }
 }
 
+/* ---------- measured flows ---------- */
+window.LIVE_FLOWS = window.LIVE_FLOWS || null;
+window.LIVE_GENERATION = (window.LIVE_GENERATION !== undefined) ? window.LIVE_GENERATION : null;
+
+/* overlay the latest measured flows and generation on the blend (planned values stay in
+   blend.plannedFlows / blend.plannedGeneration); totalFlow, heat rate etc. then follow the unit, not the last save */
+function applyMeasuredFlows(blend){
+  if(!blend || isPinnedRevision()) return false;
+  const liveGen = safeNum(window.LIVE_GENERATION);
+  if(liveGen !== null){
+    if(blend.plannedGeneration === undefined) blend.plannedGeneration = (blend.generation !== undefined) ? blend.generation : null;
+    blend.generation = liveGen;
+  }
+  const measured = window.LIVE_FLOWS;
+  if(!Array.isArray(measured) || !measured.some(v => safeNum(v) !== null)) return liveGen !== null;
+  if(!Array.isArray(blend.plannedFlows)) blend.plannedFlows = Array.isArray(blend.flows) ? blend.flows.slice() : [];
+  const count = Math.max(blend.plannedFlows.length, measured.length);
+  const flows = [];
+  for(let i = 0; i < count; i++){
+    const m = safeNum(measured[i]);
+    flows.push(m !== null ? m : (safeNum(blend.plannedFlows[i]) || 0));
+  }
+  blend.flows = flows;
+  blend.totalFlow = flows.reduce((s, v) => s + v, 0);
+  return true;
+}
+
+function dispatchFlows(){
+  const blend = window.LATEST_BLEND;
+  const flows = (blend && Array.isArray(blend.flows)) ? blend.flows : window.LIVE_FLOWS;
+  if(Array.isArray(flows)) window.dispatchEvent(new CustomEvent('flows:update', { detail: { flows: flows.slice() } }));
+}
+
+/* ---------- live updates ---------- */
+// measured flows arrive every few seconds; the server figures and drain times that follow them are re-read at most this often
+const LIVE_REFETCH_MS = 60 * 1000;
+let lastLiveRefetch = 0;
+
+// a ?blend=<id> view shows one fixed revision, so pushed flows must not overwrite it
+function isPinnedRevision(){
+  return !!new URLSearchParams(window.location.search).get('blend');
+}
+
+function activeTab(){
+  const active = document.querySelector('.sidebar .item.active');
+  const mode = (active && active.dataset.mode) ? active.dataset.mode : 'overview';
+  const idx = (active && active.dataset.index) ? Number(active.dataset.index) : 0;
+  return { mode, idx };
+}
+
+/* re-render the active tab with fresh data, then let the page binders know */
+async function refreshFromPush(){
+  try{
+    const tab = activeTab();
+    await refreshAndRender(tab.mode, tab.idx);
+    window.dispatchEvent(new CustomEvent('blend:updated', { detail: { blend: window.LATEST_BLEND } }));
+  }catch(e){ console.error('refreshFromPush error', e); }
+}
+
 /* ---------- sidebar behaviour ---------- */
 function setActiveTab(mode, index){
   document.querySelectorAll('.sidebar .item').forEach(it => it.classList.remove('active'));
@@ -782,6 +975,9 @@ document.addEventListener('DOMContentLoaded', () => {
   window.moveCoalRectTooltip = moveCoalRectTooltip;
   window.hideCoalRectTooltip = hideCoalRectTooltip;
 
+  // pages without the stats panel (e.g. scenarios.html) only borrow the renderers
+  if(!document.getElementById('statsPanel')) return;
+
   // sidebar click handlers
   document.querySelectorAll('.sidebar .item').forEach(it => {
     it.addEventListener('click', async (e) => {
@@ -797,6 +993,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const refreshBtn = document.getElementById('refreshBtn');
   if(refreshBtn) refreshBtn.addEventListener('click', () => location.reload());
 
+  // flows are shown in the plant's flow unit
+  if(window.plantFlowUnit) document.querySelectorAll('.flow-unit').forEach(el => { el.textContent = plantFlowUnit; });
+
   // ensure we start without single-mode
   try { document.body.classList.remove('single-mode'); } catch(e) {}
 
@@ -804,6 +1003,14 @@ document.addEventListener('DOMContentLoaded', () => {
   setActiveTab('overview', null);
   refreshAndRender('overview', 0).catch(e => console.error(e));
 
+  // alarms: acknowledge buttons in the list; permissions are known once the session check is done
+  const alarmList = document.getElementById('alarmList');
+  if(alarmList) alarmList.addEventListener('click', ev => {
+    const id = ev.target && ev.target.dataset ? ev.target.dataset.ack : null;
+    if(id) acknowledgeAlarm(id);
+  });
+  window.AUTH_READY.then(refreshAlarms);
+
     // keep summary updated when flows or blends or next-blend timers change
   window.addEventListener('flows:update', function(){ recomputeAndPopulate(); }, false);
   window.addEventListener('blend:updated', function(){ 
@@ -813,10 +1020,38 @@ document.addEventListener('DOMContentLoaded', () => {
   }, false);
    window.addEventListener('nextBlend:updated', function(){ recomputeAndPopulate(); }, false);
 
+  // server push (live.js): refetch on blend / coal changes, apply flows directly
+  window.addEventListener('live:blend-saved', refreshFromPush, false);
+  window.addEventListener('live:coal-master-changed', refreshFromPush, false);
+  window.addEventListener('live:reconnected', refreshFromPush, false);
+  window.addEventListener('live:alarm-changed', refreshAlarms, false);
+  window.addEventListener('live:reconnected', refreshAlarms, false);
+  window.addEventListener('live:flow-updated', function(ev){
+    const detail = ev.detail || {};
+    if(!Array.isArray(detail.flows) || isPinnedRevision()) return;
+    const blend = window.LATEST_BLEND;
+    if(detail.source === 'measured'){
+      window.LIVE_FLOWS = detail.flows.slice();
+      window.LIVE_GENERATION = safeNum(detail.generation);
+    } else if(blend){ blend.flows = detail.flows.slice(); blend.plannedFlows = detail.flows.slice(); }
+    applyMeasuredFlows(blend);
+    dispatchFlows();
+    if(detail.source === 'measured' && Date.now() - lastLiveRefetch >= LIVE_REFETCH_MS){
+      lastLiveRefetch = Date.now();
+      refreshFromPush();
+    }
+  }, false);
+
   // periodic short tick to catch internal binder state changes (e.g. nextBlendBinder idx advancement)
   // optional: 1000ms gives smooth update of Avg GCV/Heat Rate as bottom coal changes
   window.__derivedMetrics_recompute_timer = setInterval(recomputeAndPopulate, 1000);
 
+  // layers change every few hours; re-check the SO2 outlook each minute so the warning moves with them
+  setInterval(function(){
+    const blend = window.LATEST_BLEND;
+    if(blend) fetchBlendEmissions(blend).then(em => renderEmissions(blend, em)).catch(e => console.error('emissions err', e));
+  }, 60 * 1000);
+
 
   // optional periodic update to re-fetch (kept but can be removed)
   // setInterval(() => {
@@ -2,7 +2,8 @@
 var API_BASE = window.location.origin + '/api';
 var latestBlendId = null;
 window.COAL_DB = window.COAL_DB || [];
-window.NUM_COAL_ROWS = window.NUM_COAL_ROWS || 5; // keep synchronized with HTML
+window.NUM_COAL_ROWS = window.NUM_COAL_ROWS || 5; // from the plant config (plant.js)
+window.NUM_BUNKERS = window.NUM_BUNKERS || 6;
 
 /* helpers */
 function _getEl(id){ return document.getElementById(id) || null; }
@@ -90,12 +91,13 @@ function findCoalInDB(idOrName){
 function collectFormData(){
   var rows = [];
   var N = window.NUM_COAL_ROWS || 5;
+  var B = window.NUM_BUNKERS || 6;
   for(var r=1;r<=N;r++){
     var coalGlobal = _getEl('coalName' + r) ? _getEl('coalName' + r).value : '';
     // build per-mill mapping if any per-cell present
     var perCellMap = {};
     var anyPerCell = false;
-    for(var m=0;m<6;m++){
+    for(var m=0;m<B;m++){
       var cid = getCellCoalId(r,m) || '';
       if(cid && cid !== coalGlobal){
         anyPerCell = true;
@@ -103,9 +105,9 @@ function collectFormData(){
       if(cid) perCellMap[String(m)] = cid;
     }
     var coalField = anyPerCell ? perCellMap : (coalGlobal || '');
-    // collect percentages for this row (length 6)
+    // collect percentages for this row (one per bunker)
     var percentages = [];
-    for(var mm=0; mm<6; mm++){
+    for(var mm=0; mm<B; mm++){
       var p = document.querySelector(`.percentage-input[data-row="${r}"][data-mill="${mm}"]`);
       percentages.push(p ? _parseFloatSafe(p.value) : 0);
     }
@@ -116,10 +118,16 @@ function collectFormData(){
   }
 
   var flows = [];
-  var flowEls = document.querySelectorAll('.flow-input');
-  for(var i=0;i<flowEls.length;i++) flows.push(_parseFloatSafe(flowEls[i].value));
+  for(var i=0;i<B;i++){
+    var fe = document.querySelector('.flow-input[data-mill="' + i + '"]');
+    flows.push(fe ? _parseFloatSafe(fe.value) : 0);
+  }
   var generation = _parseFloatSafe(_getElVal('generation'));
-  return { rows: rows, flows: flows, generation: generation, ts: Date.now() };
+  var payload = { rows: rows, flows: flows, generation: generation, ts: Date.now() };
+  // bunker capacity is stored with the blend; left out when empty so the plant default applies
+  var capEl = _getEl('bunkerCapacity');
+  if(capEl && capEl.value !== '') payload.bunkerCapacity = _parseFloatSafe(capEl.value);
+  return payload;
 }
 
 /* fetch latest blend id and save/put (same as before) */
@@ -145,6 +153,13 @@ async function saveToServer(){
       headers: {'Content-Type':'application/json'},
       body: JSON.stringify(payload)
     });
+    if(res.status === 409){
+      // someone saved a newer revision since we loaded ours
+      var conflict = await res.json().catch(function(){ return {}; });
+      if(!conflict.latestId || !confirm('Another user saved revision ' + (conflict.latestRev || '?') + ' after you loaded this blend.\nSave your values as a new revision on top of it?')) return;
+      latestBlendId = conflict.latestId;
+      return saveToServer();
+    }
     if(!res.ok){
       var err;
       try{ err = await res.json(); }catch(e){ err = {error:'Unknown'} }
@@ -153,7 +168,7 @@ async function saveToServer(){
     }
     var data = await res.json();
     latestBlendId = data.id || latestBlendId;
-    alert('Saved (id: ' + (latestBlendId || 'unknown') + ')');
+    alert('Saved revision ' + (data.rev || 1) + ' (id: ' + (latestBlendId || 'unknown') + ')');
   }catch(e){ console.error(e); alert('Network/save error: ' + (e && e.message ? e.message : e)); }
 }
 
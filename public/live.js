@@ -0,0 +1,31 @@
+/* live.js — server push for the app pages (include after auth.js).
+   Each event from GET /api/events is re-dispatched on window as 'live:<event>' with the parsed data as detail:
+   live:blend-saved, live:coal-master-changed, live:flow-updated, live:alarm-changed.
+   'live:reconnected' fires when the stream comes back after a drop, since events may have been missed meanwhile. */
+(function(){
+  var EVENTS = ['blend-saved', 'coal-master-changed', 'flow-updated', 'alarm-changed'];
+  if(!window.EventSource) return;
+
+  function dispatch(name, detail){
+    try{ window.dispatchEvent(new CustomEvent(name, { detail: detail || {} })); }catch(e){}
+  }
+
+  function connect(){
+    var source = new EventSource('/api/events');
+    var wasOpen = false;
+    source.addEventListener('open', function(){
+      if(wasOpen) dispatch('live:reconnected');
+      wasOpen = true;
+    });
+    EVENTS.forEach(function(name){
+      source.addEventListener(name, function(ev){
+        var data = {};
+        try{ data = JSON.parse(ev.data); }catch(e){ console.warn('[live] bad payload for', name); }
+        dispatch('live:' + name, data);
+      });
+    });
+    window.LIVE_EVENTS = source;
+  }
+
+  window.AUTH_READY.then(function(user){ if(user) connect(); });
+})();
@@ -0,0 +1,104 @@
+/* plant.js — plant layout shared by the app pages.
+   Include after <script src="/api/plant-config.js"></script> (which sets window.PLANT_CONFIG) in <head>. */
+(function(){
+  var DEFAULTS = { bunkerCount: 6, millLabels: [], bunkerCapacity: null, bunkerCapacities: [], capacityPerBunker: [], coalRows: 5 };
+  var cfg = Object.assign({}, DEFAULTS, window.PLANT_CONFIG || {});
+
+  cfg.bunkerCount = Math.max(1, parseInt(cfg.bunkerCount, 10) || DEFAULTS.bunkerCount);
+  cfg.coalRows = Math.max(1, parseInt(cfg.coalRows, 10) || DEFAULTS.coalRows);
+  for(var i = 0; i < cfg.bunkerCount; i++){
+    if(!cfg.millLabels[i]) cfg.millLabels[i] = 'Coal Mill ' + String.fromCharCode(65 + i);
+    if(cfg.capacityPerBunker[i] === undefined) cfg.capacityPerBunker[i] = cfg.bunkerCapacity;
+  }
+
+  window.PLANT_CONFIG = cfg;
+  window.NUM_BUNKERS = cfg.bunkerCount;
+  window.NUM_COAL_ROWS = cfg.coalRows;
+
+  /* label of bunker/mill i (0-based), e.g. "Mill C" */
+  window.plantMillLabel = function(i){ return cfg.millLabels[i] || ('Coal Mill ' + String.fromCharCode(65 + i)); };
+
+  /* capacity in tonnes of bunker i, or null when not configured */
+  window.plantBunkerCapacity = function(i){
+    var c = cfg.capacityPerBunker[i];
+    return (c === null || c === undefined) ? null : Number(c);
+  };
+
+  /* inline <script> helper: inserts fn(i) markup for every bunker right where the script sits in the page */
+  window.plantRenderEach = function(fn){
+    var html = Array.from({ length: cfg.bunkerCount }, function(_, i){ return fn(i); }).join('\n');
+    document.currentScript.insertAdjacentHTML('beforebegin', html);
+  };
+
+  /* AFT (°C) of blended ash oxides under the plant's selected AFT model (window.AFT_MODEL, same maths as the server);
+     null when no model was served */
+  window.plantCalcAFT = function(ox){
+    var model = window.AFT_MODEL;
+    if(!model || !Array.isArray(model.bands) || !model.bands.length) return null;
+    var num = function(k){ return Number(ox && ox[k]) || 0; };
+    var total = Object.keys(ox || {}).reduce(function(s, k){ return s + num(k); }, 0);
+    if(total === 0) return 0;
+    var sum = (model.selector || []).reduce(function(s, k){ return s + num(k); }, 0);
+    var band = model.bands.find(function(b){ return b.below === null || b.below === undefined || sum < b.below; }) || model.bands[model.bands.length - 1];
+    var coef = band.coefficients || {};
+    return Object.keys(coef).reduce(function(s, k){ return s + (Number(coef[k]) || 0) * num(k); }, Number(band.intercept));
+  };
+
+  /* slagging / fouling indices of blended ash oxides (% of ash) and coal sulphur (%), same formulas as the server:
+     { baseAcid, slagging, fouling, silicaRatio, ironCalcium }, an index is null when it cannot be computed */
+  window.plantAshIndices = function(ox, sulphur){
+    var v = function(k){ return Number(ox && ox[k]) || 0; };
+    var acid = v('SiO2') + v('Al2O3') + v('TiO2');
+    var base = v('Fe2O3') + v('CaO') + v('MgO') + v('Na2O') + v('K2O');
+    var baseAcid = acid > 0 ? base / acid : null;
+    var silicaDen = v('SiO2') + v('Fe2O3') + v('CaO') + v('MgO');
+    return {
+      baseAcid: baseAcid,
+      slagging: (baseAcid !== null && sulphur !== null && sulphur !== undefined) ? baseAcid * Number(sulphur) : null,
+      fouling: baseAcid !== null ? baseAcid * v('Na2O') : null,
+      silicaRatio: silicaDen > 0 ? 100 * v('SiO2') / silicaDen : null,
+      ironCalcium: v('CaO') > 0 ? v('Fe2O3') / v('CaO') : null
+    };
+  };
+
+  /* [{ key, label, value, level }] for display, in the server's order; level is low|medium|high|severe or null */
+  window.plantAshIndexList = function(indices){
+    return (window.ASH_INDICES || []).map(function(def){
+      var value = indices ? indices[def.key] : null;
+      var known = value !== null && value !== undefined && isFinite(value);
+      var band = known ? def.bands.find(function(b){ return b.below === null || Number(value) < b.below; }) : null;
+      return { key: def.key, label: def.label, value: known ? Number(value) : null, level: band ? band.level : null };
+    });
+  };
+
+  /* text / background colours for an index level */
+  window.plantAshLevelColors = { low: ['#065f46', '#d1fae5'], medium: ['#92400e', '#fef3c7'], high: ['#9a3412', '#ffedd5'], severe: ['#991b1b', '#fee2e2'] };
+
+  /* thermal units (window.THERMAL_UNITS, same factors as the server): GCV and flows stay in the plant's units,
+     heat rate is kcal/kWh and generation MW */
+  var UNITS = window.THERMAL_UNITS || { gcv: { 'kcal/kg': 1 }, flow: { 't/h': 1 }, kcalPerKWh: 3600 / 4.1868 };
+  var thermal = Object.assign({ gcvUnit: 'kcal/kg', flowUnit: 't/h', boilerEfficiency: 86, turbineHeatRate: 1950 }, cfg.thermal || {});
+  cfg.thermal = thermal;
+  var toKcal = function(gcv){ return (Number(gcv) || 0) * (UNITS.gcv[thermal.gcvUnit] || 1); };
+  var toTph = function(flow){ return (Number(flow) || 0) * (UNITS.flow[thermal.flowUnit] || 1); };
+  var designHeatRate = thermal.turbineHeatRate / (thermal.boilerEfficiency / 100);
+
+  window.plantGcvUnit = thermal.gcvUnit;
+  window.plantFlowUnit = thermal.flowUnit;
+  window.plantFlowToTph = toTph;
+
+  /* kcal/kWh for a flow and GCV in plant units and generation in MW; null without flow or generation */
+  window.plantHeatRate = function(flow, gcv, generation){
+    var tph = toTph(flow);
+    return (Number(generation) > 0 && tph > 0) ? tph * toKcal(gcv) / Number(generation) : null;
+  };
+
+  /* fuel-to-power efficiency (%) of a heat rate */
+  window.plantUnitEfficiency = function(heatRate){ return heatRate > 0 ? UNITS.kcalPerKWh / heatRate * 100 : null; };
+
+  /* MW a coal flow gives at the design heat rate (turbine heat rate / boiler efficiency) */
+  window.plantExpectedMW = function(flow, gcv){ return toTph(flow) * toKcal(gcv) / designHeatRate; };
+
+  /* lets CSS grids size themselves: grid-template-columns: repeat(var(--bunker-count), 1fr) */
+  document.documentElement.style.setProperty('--bunker-count', String(cfg.bunkerCount));
+})();
@@ -0,0 +1,56 @@
+/* schedule.js — bunker drain schedule shared by the dashboard pages.
+   The server computes when every layer starts and finishes draining (GET /api/blend/:id/schedule);
+   pages only read where each bunker stands at the current moment. */
+(function(){
+  var clockOffsetMs = 0; // server clock minus local clock
+
+  /* resolves with the schedule of a saved blend, or null */
+  async function fetchDrainSchedule(blendId){
+    if(!blendId) return null;
+    try{
+      var res = await fetch('/api/blend/' + encodeURIComponent(blendId) + '/schedule', { credentials: 'same-origin' });
+      if(!res.ok) return null;
+      var data = await res.json();
+      if(data && data.serverTime) clockOffsetMs = new Date(data.serverTime).getTime() - Date.now();
+      return data;
+    }catch(e){
+      console.error('[schedule] fetch failed', e);
+      return null;
+    }
+  }
+
+  /* current time on the server clock (ms) */
+  function scheduleNow(){ return Date.now() + clockOffsetMs; }
+
+  /* state of bunker b at `now`:
+     sequence  = layer durations in seconds, bottom -> top (null = unknown)
+     idx       = index of the draining layer in sequence (sequence.length once drained)
+     remaining = seconds left on that layer (null = unknown, 0 = drained)
+     total     = full duration of that layer in seconds (null = unknown) */
+  function drainStateAt(schedule, b, now){
+    var bunker = schedule && Array.isArray(schedule.bunkers) ? schedule.bunkers[b] : null;
+    var layers = bunker && Array.isArray(bunker.layers) ? bunker.layers : [];
+    var state = { sequence: layers.map(function(l){ return l.durationSec; }), idx: 0, remaining: null, total: null, done: false };
+    if(!layers.length) return state;
+    var t = (now === undefined) ? scheduleNow() : now;
+    for(var i = 0; i < layers.length; i++){
+      var L = layers[i];
+      if(!L.endsAt){ state.idx = i; return state; }
+      var ends = new Date(L.endsAt).getTime();
+      if(ends > t){
+        state.idx = i;
+        state.total = L.durationSec;
+        state.remaining = Math.ceil((ends - Math.max(t, new Date(L.startsAt).getTime())) / 1000);
+        return state;
+      }
+    }
+    state.idx = layers.length;
+    state.remaining = 0;
+    state.done = true;
+    return state;
+  }
+
+  window.fetchDrainSchedule = fetchDrainSchedule;
+  window.scheduleNow = scheduleNow;
+  window.drainStateAt = drainStateAt;
+})();
@@ -1,12 +1,17 @@
 // server.js (complete)
-// Requirements: dotenv, express, mongoose, cors, multer, xlsx
+// Requirements: dotenv, express, mongoose, cors, multer, xlsx, javascript-lp-solver (node-opcua-client only for an OPC UA connector)
 require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
 const multer = require('multer');
 const xlsx = require('xlsx');
+const lpSolver = require('javascript-lp-solver');
+const { createConnector, validateConnectorConfig } = require('./connector');
+const { NOTIFY_EVENTS, validateNotifierConfig, channelsFor, isQuiet, retryDelayMs, deliver } = require('./notifier');
 
 const app = express();
 
@@ -22,22 +27,896 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '/public/login.html'));
 });
 
+// the tests require this file for its app and functions: no database connection then (see Start server)
 const MONGO_URI = process.env.MONGO_URI;
-if (!MONGO_URI) {
-  console.error('ERROR: MONGO_URI not set in .env');
-  process.exit(1);
+if (require.main === module) {
+  if (!MONGO_URI) {
+    console.error('ERROR: MONGO_URI not set in .env');
+    process.exit(1);
+  }
+
+  mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
+    .then(()=>console.log('✅ MongoDB connected'))
+    .catch(err=>{
+      console.error('MongoDB connection error:', err.message || err);
+      process.exit(1);
+    });
 }
 
-mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(()=>console.log('✅ MongoDB connected'))
-  .catch(err=>{
-    console.error('MongoDB connection error:', err.message || err);
-    process.exit(1);
+/* -------------------- User + Session models -------------------- */
+const UserSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: String,
+  // "scrypt$<salt hex>$<hash hex>" — never the plain password
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ['viewer', 'operator', 'shift_in_charge', 'admin'], default: 'viewer' },
+  active: { type: Boolean, default: true },
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now }
+}, { collection: 'users' });
+
+const User = mongoose.model('User', UserSchema);
+
+const SessionSchema = new mongoose.Schema({
+  // sha256 of the cookie token, so a leaked sessions collection cannot be replayed
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  ip: String,
+  userAgent: String,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, { collection: 'sessions' });
+// mongo removes expired sessions by itself
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
+/* -------------------- Auth helpers -------------------- */
+const SESSION_COOKIE = 'bv_session';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+const scrypt = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+  const expected = Buffer.from(parts[2], 'hex');
+  const actual = await scrypt(String(password), parts[1], expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const pairs = header.split(';');
+  for (let i = 0; i < pairs.length; i++) {
+    const idx = pairs[i].indexOf('=');
+    if (idx < 0) continue;
+    if (pairs[i].slice(0, idx).trim() === name) return decodeURIComponent(pairs[i].slice(idx + 1).trim());
+  }
+  return null;
+}
+
+function setSessionCookie(res, token, expiresAt) {
+  const secure = process.env.COOKIE_SECURE === 'true' ? '; Secure' : '';
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Expires=${expiresAt.toUTCString()}${secure}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Expires=Thu, 01 Jan 1970 00:00:00 GMT`);
+}
+
+// accept the session either from the cookie (browser pages) or a Bearer header (scripts)
+function readSessionToken(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.toLowerCase().startsWith('bearer ')) return auth.slice(7).trim();
+  return readCookie(req, SESSION_COOKIE);
+}
+
+/* -------------------- Roles & permissions -------------------- */
+// viewer = control room wallboard, operator = edits blend rows/flows,
+// shift_in_charge = approves blends, admin = coal master + users.
+// flows:write = post measured mill flows (accounts used by DCS/historian feeds get operator)
+// alarms:ack = acknowledge raised alarms, audit:read = the audit trail of changes
+const ROLE_PERMISSIONS = {
+  viewer: ['blend:read', 'coal:read'],
+  operator: ['blend:read', 'coal:read', 'blend:edit', 'flows:write', 'alarms:ack'],
+  shift_in_charge: ['blend:read', 'coal:read', 'blend:edit', 'blend:approve', 'flows:write', 'alarms:ack', 'audit:read'],
+  admin: ['blend:read', 'coal:read', 'blend:edit', 'blend:approve', 'coal:edit', 'users:manage', 'settings:edit', 'flows:write', 'alarms:ack', 'audit:read']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(user, permission) {
+  return !!user && permissionsForRole(user.role).indexOf(permission) >= 0;
+}
+
+/**
+ * Route guard: 403 unless the logged-in user's role grants `permission`.
+ * Must run after requireAuth (which sets req.user).
+ */
+function requirePermission(permission) {
+  return function (req, res, next) {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: `Forbidden: ${permission} required` });
+    }
+    return next();
+  };
+}
+
+function publicUser(user) {
+  if (!user) return null;
+  const role = user.role || 'viewer';
+  return { id: user._id, email: user.email, name: user.name || '', role, permissions: permissionsForRole(role), active: user.active !== false };
+}
+
+/**
+ * Seed the first user from ADMIN_EMAIL / ADMIN_PASSWORD when the users collection is empty,
+ * so a fresh install is not locked out.
+ */
+async function seedInitialUser() {
+  const count = await User.countDocuments();
+  if (count > 0) return;
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) {
+    console.warn('No users exist and ADMIN_EMAIL / ADMIN_PASSWORD are not set — nobody can log in');
+    return;
+  }
+  await User.create({ email, name: 'Administrator', role: 'admin', passwordHash: await hashPassword(password) });
+  console.log(`Created initial user ${email}`);
+}
+mongoose.connection.once('open', () => {
+  seedInitialUser().catch(err => console.error('seedInitialUser error:', err));
+});
+
+/* -------------------- Auth endpoints (public) -------------------- */
+/**
+ * Log in with email + password; sets the session cookie and also returns the token
+ * Body: { email, password }
+ */
+app.post('/api/auth/login', auditTrail, async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const attempted = { email: String(email || '').toLowerCase().trim() };
+    if (!email || !password) {
+      auditChange(res, { action: 'auth.login-failed', user: attempted, details: { reason: 'email or password missing' } });
+      return res.status(400).json({ error: 'email and password required' });
+    }
+
+    const user = await User.findOne({ email: attempted.email });
+    const ok = user && user.active && await verifyPassword(password, user.passwordHash);
+    if (!ok) {
+      // the reason stays in the audit trail; the caller is not told which one it was
+      const reason = !user ? 'unknown email' : (!user.active ? 'user disabled' : 'wrong password');
+      auditChange(res, { action: 'auth.login-failed', entity: user ? 'user' : null, entityId: user ? user._id : null, user: user || attempted, details: { reason } });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+    await Session.create({
+      tokenHash: sha256(token),
+      user: user._id,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || '',
+      expiresAt
+    });
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    setSessionCookie(res, token, expiresAt);
+    auditChange(res, { action: 'auth.login', entity: 'user', entityId: user._id, user, details: { expiresAt } });
+    return res.json({ message: 'Logged in', token, expiresAt, user: publicUser(user) });
+  } catch (err) {
+    console.error('POST /api/auth/login error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * End the current session (idempotent — always clears the cookie)
+ */
+app.post('/api/auth/logout', auditTrail, async (req, res) => {
+  try {
+    const token = readSessionToken(req);
+    const session = token ? await Session.findOneAndDelete({ tokenHash: sha256(token) }).lean() : null;
+    const user = session ? await User.findById(session.user).lean() : null;
+    // nothing ended without a session
+    auditChange(res, user ? { action: 'auth.logout', entity: 'user', entityId: user._id, user } : false);
+    clearSessionCookie(res);
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('POST /api/auth/logout error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Auth middleware (everything below /api needs a session) -------------------- */
+async function requireAuth(req, res, next) {
+  try {
+    const token = readSessionToken(req);
+    if (!token) return res.status(401).json({ error: 'Not authenticated' });
+
+    const session = await Session.findOne({ tokenHash: sha256(token), expiresAt: { $gt: new Date() } }).lean();
+    if (!session) return res.status(401).json({ error: 'Session expired or invalid' });
+
+    const user = await User.findById(session.user).lean();
+    if (!user || !user.active) return res.status(401).json({ error: 'User disabled' });
+
+    req.user = user;
+    req.session = session;
+    return next();
+  } catch (err) {
+    console.error('requireAuth error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+}
+
+app.use('/api', requireAuth);
+
+/**
+ * Who am I? Pages call this on load to decide whether to redirect to login.
+ */
+app.get('/api/auth/me', (req, res) => {
+  return res.json({ user: publicUser(req.user), expiresAt: req.session.expiresAt });
+});
+
+/* -------------------- Audit trail -------------------- */
+// Every mutating /api call made with a session (POST / PUT / PATCH / DELETE), and every login, failed login
+// and logout, leaves one entry: who, what, route, when, from where and the response status. Handlers that
+// change data describe the change with auditChange(res, ...); the before / after snapshots are reduced to a
+// list of changed fields. The collection is append-only: the model refuses updates and deletes, and there
+// is no endpoint for them.
+const AUDIT_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// what-if calls that change nothing, and measured flows, which are kept with their source in the flow series
+const AUDIT_SKIP_ROUTES = ['POST /api/blend/simulate', 'POST /api/blend/optimize', 'POST /api/flows'];
+const AUDIT_DIFF_MAX = 300;          // changed fields kept per entry; the rest is counted in diffTruncated
+const AUDIT_IGNORED_FIELDS = ['_id', '__v', 'updatedAt', 'updatedBy', 'passwordHash'];
+const AUDIT_LIST_MAX = 500;
+
+const AuditSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  userEmail: { type: String, default: '' },   // as they were at the time; users can be renamed
+  userName: { type: String, default: '' },
+  role: { type: String, default: '' },
+  method: { type: String, required: true },
+  route: { type: String, required: true },    // pattern, e.g. /api/blend/:id
+  path: { type: String, required: true },     // as called, without the query string
+  status: { type: Number, default: null },
+  ip: { type: String, default: '' },
+  action: { type: String, required: true },   // e.g. blend.revise; method + route when the handler does not say
+  entity: { type: String, default: null },    // blend, coal, plant-config, ...
+  entityId: { type: String, default: null },
+  diff: { type: [mongoose.Schema.Types.Mixed], default: [] },   // [{ path, before, after }]
+  diffTruncated: { type: Number, default: 0 },
+  details: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { collection: 'audit' });
+AuditSchema.index({ at: -1, _id: -1 });
+AuditSchema.index({ user: 1, at: -1 });
+AuditSchema.index({ entity: 1, entityId: 1, at: -1 });
+AuditSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function () {
+  throw new Error('The audit trail is append-only');
+});
+
+const Audit = mongoose.model('Audit', AuditSchema);
+
+/* plain JSON-able copy (ObjectIds and dates as strings) so snapshots compare by value */
+function auditPlain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Changed leaves between two snapshots: [{ path, before, after }] with dotted paths ('rows.2.percentages.0').
+ * Arrays are compared index by index; a field missing on one side shows as null, and an object added or
+ * removed as a whole is listed field by field.
+ */
+function auditDiff(before, after) {
+  const out = [];
+  (function walk(a, b, path) {
+    const aObj = a !== null && typeof a === 'object';
+    const bObj = b !== null && typeof b === 'object';
+    if ((aObj || bObj) && (a === null || b === null || Array.isArray(a) === Array.isArray(b))) {
+      if (!aObj) a = Array.isArray(b) ? [] : {};
+      if (!bObj) b = Array.isArray(a) ? [] : {};
+      const keys = Array.isArray(a)
+        ? Array.from({ length: Math.max(a.length, b.length) }, (_, i) => String(i))
+        : Array.from(new Set(Object.keys(a).concat(Object.keys(b))));
+      keys.forEach(k => {
+        if (AUDIT_IGNORED_FIELDS.includes(k)) return;
+        walk(a[k] === undefined ? null : a[k], b[k] === undefined ? null : b[k], path ? `${path}.${k}` : k);
+      });
+      return;
+    }
+    if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ path: path || '(value)', before: a, after: b });
+  })(auditPlain(before), auditPlain(after), '');
+  return out;
+}
+
+/**
+ * Describe what the current request changed; the entry is written when the response finishes.
+ * change: { action, entity?, entityId?, before?, after?, details?, user? }. auditChange(res, false) = write no entry.
+ * user: who acted, on the login / logout routes that run without a session ({ email } for an unknown one).
+ */
+function auditChange(res, change) {
+  res.locals.audit = change;
+}
+
+async function writeAudit(req, res) {
+  const change = res.locals.audit || {};
+  const route = req.route ? req.route.path : req.path;
+  const who = req.user || change.user || {};
+  const entry = {
+    at: req.auditStartedAt,
+    user: who._id || null,
+    userEmail: who.email || '',
+    userName: who.name || '',
+    role: who.role || '',
+    method: req.method,
+    route,
+    path: req.originalUrl.split('?')[0],
+    status: res.statusCode,
+    ip: req.ip || '',
+    action: change.action || `${req.method} ${route}`,
+    entity: change.entity || null,
+    entityId: change.entityId === undefined || change.entityId === null ? (req.params && req.params.id) || null : String(change.entityId),
+    details: change.details === undefined ? null : auditPlain(change.details)
+  };
+  if ('before' in change || 'after' in change) {
+    const diff = auditDiff(change.before, change.after);
+    entry.diff = diff.slice(0, AUDIT_DIFF_MAX);
+    entry.diffTruncated = Math.max(0, diff.length - AUDIT_DIFF_MAX);
+  }
+  await Audit.create(entry);
+}
+
+function auditTrail(req, res, next) {
+  if (!AUDIT_METHODS.includes(req.method)) return next();
+  req.auditStartedAt = new Date();
+  res.on('finish', () => {
+    if (res.locals.audit === false) return;
+    if (AUDIT_SKIP_ROUTES.includes(`${req.method} ${req.route ? req.route.path : req.originalUrl.split('?')[0]}`)) return;
+    writeAudit(req, res).catch(err => console.error(`Audit (${req.method} ${req.originalUrl}) error:`, err));
+  });
+  return next();
+}
+
+app.use('/api', auditTrail);
+
+/**
+ * Audit entries, newest first.
+ * Query:
+ *   user               user id
+ *   entity, entityId   e.g. entity=blend&entityId=<id>
+ *   action             exact action (blend.revise) or its prefix with a dot (blend.)
+ *   method             POST | PUT | PATCH | DELETE
+ *   failed             true = only responses with status >= 400, false = only successful ones
+ *   q                  text in the route, path or user email / name
+ *   from, to           time range (ISO date or epoch ms)
+ *   before, beforeId   the `at` and `_id` of the last entry of the previous page: the entries after it in the
+ *                      (at, _id) order, so entries written in the same millisecond are not skipped
+ *   limit              default 100, max 500
+ * Response: { items, more } — more is true when older entries match too
+ */
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const q = req.query || {};
+    const filter = {};
+    if (q.user) {
+      if (!mongoose.isValidObjectId(q.user)) return res.status(400).json({ error: 'user must be a user id' });
+      filter.user = q.user;
+    }
+    if (q.entity) filter.entity = String(q.entity);
+    if (q.entityId) filter.entityId = String(q.entityId);
+    if (q.action) {
+      const action = String(q.action);
+      filter.action = action.endsWith('.') ? { $regex: '^' + escapeRegex(action) } : action;
+    }
+    if (q.method) filter.method = String(q.method).toUpperCase();
+    if (q.failed === 'true') filter.status = { $gte: 400 };
+    else if (q.failed === 'false') filter.status = { $lt: 400 };
+    if (q.q) {
+      const re = { $regex: escapeRegex(String(q.q).trim()), $options: 'i' };
+      filter.$or = [{ route: re }, { path: re }, { userEmail: re }, { userName: re }];
+    }
+
+    const from = parseDateParam(q.from);
+    const to = parseDateParam(q.to);
+    const before = parseDateParam(q.before);
+    if (from === undefined || to === undefined || before === undefined) {
+      return res.status(400).json({ error: 'from/to/before must be ISO dates or epoch milliseconds' });
+    }
+    if (q.beforeId && (!before || !mongoose.isValidObjectId(q.beforeId))) {
+      return res.status(400).json({ error: 'beforeId must be an audit entry id, given with before' });
+    }
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = from;
+      if (to) filter.at.$lte = to;
+    }
+    if (before) {
+      const beforeId = q.beforeId ? new mongoose.Types.ObjectId(String(q.beforeId)) : null;
+      filter.$and = [beforeId ? { $or: [{ at: { $lt: before } }, { at: before, _id: { $lt: beforeId } }] } : { at: { $lt: before } }];
+    }
+    const limit = Math.min(AUDIT_LIST_MAX, Math.max(1, parseInt(q.limit, 10) || 100));
+
+    const items = await Audit.find(filter).sort({ at: -1, _id: -1 }).limit(limit + 1).lean();
+    return res.json({ items: items.slice(0, limit), more: items.length > limit });
+  } catch (err) {
+    console.error('GET /api/audit error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Values for the audit viewer's filters: the users, entities and actions that occur in the trail.
+ * Response: { users: [{ id, email, name }], entities: [..], actions: [..] }
+ */
+app.get('/api/audit/facets', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const [users, entities, actions] = await Promise.all([
+      Audit.aggregate([
+        { $sort: { at: -1 } },
+        { $group: { _id: '$user', email: { $first: '$userEmail' }, name: { $first: '$userName' } } },
+        { $sort: { email: 1 } }
+      ]),
+      Audit.distinct('entity'),
+      Audit.distinct('action')
+    ]);
+    return res.json({
+      // failed logins with an unknown email have no user
+      users: users.filter(u => u._id).map(u => ({ id: u._id, email: u.email, name: u.name })),
+      entities: entities.filter(Boolean).sort(),
+      actions: actions.sort()
+    });
+  } catch (err) {
+    console.error('GET /api/audit/facets error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Live updates (Server-Sent Events) -------------------- */
+// open /api/events responses; every change worth re-rendering for is written to all of them
+const liveClients = new Set();
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Push an event to every connected page.
+ * Events: blend-saved, coal-master-changed, flow-updated, alarm-changed
+ */
+function broadcastEvent(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data === undefined ? {} : data)}\n\n`;
+  for (const res of liveClients) {
+    try {
+      res.write(payload);
+    } catch (err) {
+      liveClients.delete(res);
+    }
+  }
+}
+
+/**
+ * Event stream for the dashboards (EventSource). The stream ends when the session expires;
+ * the browser reconnects and gets a 401 once logged out.
+ */
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  liveClients.add(res);
+
+  const expiresAt = new Date(req.session.expiresAt).getTime();
+  const heartbeat = setInterval(() => {
+    if (Date.now() >= expiresAt) return res.end();
+    res.write(': ping\n\n');
+  }, LIVE_HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    liveClients.delete(res);
+  });
+});
+
+/* -------------------- User management (admin) -------------------- */
+app.get('/api/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ email: 1 }).lean();
+    return res.json(users.map(publicUser));
+  } catch (err) {
+    console.error('GET /api/users error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Create a user
+ * Body: { email, password, name?, role? }
+ */
+app.post('/api/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { email, password, name, role } = req.body || {};
+    if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+    if (role && ROLES.indexOf(role) < 0) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+
+    const exists = await User.findOne({ email: String(email).toLowerCase().trim() }).lean();
+    if (exists) return res.status(409).json({ error: 'A user with this email already exists' });
+
+    const user = await User.create({ email, name, role: role || 'viewer', passwordHash: await hashPassword(password) });
+    auditChange(res, { action: 'user.create', entity: 'user', entityId: user._id, before: null, after: publicUser(user) });
+    return res.status(201).json(publicUser(user));
+  } catch (err) {
+    console.error('POST /api/users error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Change role, name, active flag or password of a user.
+ * Disabling a user or changing their password also ends their sessions.
+ */
+app.patch('/api/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { name, role, active, password } = req.body || {};
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = publicUser(user);
+
+    if (role !== undefined) {
+      if (ROLES.indexOf(role) < 0) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      if (String(user._id) === String(req.user._id) && role !== 'admin') {
+        return res.status(400).json({ error: 'You cannot remove your own admin role' });
+      }
+      user.role = role;
+    }
+    if (name !== undefined) user.name = name;
+    if (active !== undefined) user.active = !!active;
+    if (password) user.passwordHash = await hashPassword(password);
+    await user.save();
+
+    if (active === false || password) await Session.deleteMany({ user: user._id });
+    auditChange(res, { action: 'user.update', entity: 'user', entityId: user._id, before, after: publicUser(user), details: { passwordChanged: !!password } });
+    return res.json(publicUser(user));
+  } catch (err) {
+    console.error('PATCH /api/users/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Plant configuration -------------------- */
+// single document describing the unit: bunkers/mills, their labels and capacities, coal rows in the entry grid
+const PlantConfigSchema = new mongoose.Schema({
+  key: { type: String, default: 'default', unique: true },
+  bunkerCount: Number,
+  millLabels: [String],
+  bunkerCapacity: { type: Number, default: null },   // tonnes, applies to every bunker
+  bunkerCapacities: [Number],                         // per-bunker override, null = use bunkerCapacity
+  coalRows: Number,
+  aftModel: { type: String, default: null },           // id of the AFT model blends are computed with
+  emissions: { type: mongoose.Schema.Types.Mixed, default: null },   // SO2 norms and estimate factors, see DEFAULT_EMISSIONS
+  thermal: { type: mongoose.Schema.Types.Mixed, default: null },     // GCV / flow units and efficiencies, see DEFAULT_THERMAL
+  alarms: { type: mongoose.Schema.Types.Mixed, default: null },      // alarm rule limits, see DEFAULT_ALARMS
+  updatedAt: { type: Date, default: Date.now },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { collection: 'plantconfig' });
+
+const PlantConfig = mongoose.model('PlantConfig', PlantConfigSchema);
+
+const DEFAULT_PLANT_CONFIG = { bunkerCount: 6, millLabels: [], bunkerCapacity: null, bunkerCapacities: [], coalRows: 5, aftModel: 'standard' };
+const MAX_BUNKERS = 16;
+const MAX_COAL_ROWS = 12;
+
+// SO2 emission norms (null = not enforced) and the factors of the estimate (see SO2 emission estimate)
+const DEFAULT_EMISSIONS = {
+  so2LimitMgNm3: 600,        // mg/Nm³, dry, at referenceO2
+  so2LimitKgPerHour: null,
+  referenceO2: 6,            // % O2 the concentration limit refers to
+  flueGasNm3PerGJ: 245,      // dry stoichiometric flue gas per GJ of coal heat (GCV basis)
+  sulphurRetention: 0        // % of the coal sulphur kept in ash (0 = all of it leaves as SO2)
+};
+const EMISSION_FIELDS = {
+  so2LimitMgNm3: { min: 0, nullable: true },
+  so2LimitKgPerHour: { min: 0, nullable: true },
+  referenceO2: { min: 0, max: 20 },
+  flueGasNm3PerGJ: { min: 100, max: 600 },
+  sulphurRetention: { min: 0, max: 100 }
+};
+
+// units GCV (coal master, entry grid) and mill flows (grid, DCS) are in, and the efficiencies behind
+// the expected generation (see Thermal units); generation is always MW
+const DEFAULT_THERMAL = {
+  gcvUnit: 'kcal/kg',        // kcal/kg | kJ/kg | MJ/kg
+  flowUnit: 't/h',           // t/h | kg/s
+  boilerEfficiency: 86,      // %, GCV basis
+  turbineHeatRate: 1950      // kcal/kWh, turbine cycle
+};
+const THERMAL_FIELDS = {
+  gcvUnit: { options: ['kcal/kg', 'kJ/kg', 'MJ/kg'] },
+  flowUnit: { options: ['t/h', 'kg/s'] },
+  boilerEfficiency: { min: 50, max: 100 },
+  turbineHeatRate: { min: 1000, max: 5000 }
+};
+
+// alarm rules (see Alarms): threshold or low/high band, hysteresis in the same unit, priority
+const ALARM_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const DEFAULT_ALARMS = {
+  avgAftLow: { enabled: true, priority: 'high', threshold: 1250, hysteresis: 10 },             // °C, flow-weighted AFT
+  millAftBand: { enabled: true, priority: 'medium', low: 1200, high: 1500, hysteresis: 10 },   // °C, each firing mill
+  gcvShortfall: { enabled: true, priority: 'high', threshold: 0, hysteresis: 1 },               // % margin of avg GCV over the GCV the generation needs
+  bunkerEmpty: { enabled: true, priority: 'high', threshold: 30, hysteresis: 5 }                // minutes until a bunker runs empty
+};
+const ALARM_COMMON_FIELDS = {
+  enabled: { options: [true, false] },
+  priority: { options: ALARM_PRIORITIES },
+  hysteresis: { min: 0, max: 100 }
+};
+const ALARM_FIELDS = {
+  avgAftLow: Object.assign({ threshold: { min: 800, max: 2000 } }, ALARM_COMMON_FIELDS),
+  millAftBand: Object.assign({ low: { min: 800, max: 2000 }, high: { min: 800, max: 2000 } }, ALARM_COMMON_FIELDS),
+  gcvShortfall: Object.assign({ threshold: { min: -50, max: 50 } }, ALARM_COMMON_FIELDS),
+  bunkerEmpty: Object.assign({ threshold: { min: 0, max: 1440 } }, ALARM_COMMON_FIELDS)
+};
+
+function normalizeEmissions(src) {
+  const out = Object.assign({}, DEFAULT_EMISSIONS);
+  Object.keys(EMISSION_FIELDS).forEach(k => {
+    if (src && src[k] !== undefined) out[k] = src[k] === null ? (EMISSION_FIELDS[k].nullable ? null : out[k]) : Number(src[k]);
+  });
+  return out;
+}
+
+function normalizeThermal(src) {
+  const out = Object.assign({}, DEFAULT_THERMAL);
+  Object.keys(THERMAL_FIELDS).forEach(k => {
+    if (!src || src[k] === undefined || src[k] === null) return;
+    out[k] = THERMAL_FIELDS[k].options ? String(src[k]) : Number(src[k]);
+  });
+  return out;
+}
+
+function normalizeAlarms(src) {
+  const out = {};
+  Object.keys(DEFAULT_ALARMS).forEach(rule => {
+    const given = (src && src[rule]) || {};
+    out[rule] = Object.assign({}, DEFAULT_ALARMS[rule]);
+    Object.keys(ALARM_FIELDS[rule]).forEach(k => {
+      if (given[k] === undefined || given[k] === null) return;
+      out[rule][k] = ALARM_FIELDS[rule][k].options ? given[k] : Number(given[k]);
+    });
+  });
+  return out;
+}
+
+/* field-by-field check of a settings group (emissions, thermal); pushes messages and returns the given fields */
+function validateSettingsGroup(name, src, fields, errors) {
+  if (!src || typeof src !== 'object' || Array.isArray(src)) {
+    errors.push(`${name} must be an object`);
+    return null;
+  }
+  const value = {};
+  Object.keys(fields).forEach(k => {
+    const f = fields[k];
+    const v = src[k];
+    if (v === undefined) return;
+    if (f.options) {
+      if (!f.options.includes(v)) errors.push(`${name}.${k} must be one of ${f.options.join(', ')}`);
+      else value[k] = v;
+      return;
+    }
+    if (f.nullable && (v === null || v === '')) {
+      value[k] = null;
+      return;
+    }
+    const n = Number(v);
+    if (v === null || v === '' || !Number.isFinite(n) || n < f.min || (f.max !== undefined && n > f.max)) {
+      errors.push(`${name}.${k} must be a number` + (f.max !== undefined ? ` between ${f.min} and ${f.max}` : ` of at least ${f.min}`) + (f.nullable ? ' or null' : ''));
+    } else value[k] = n;
   });
+  return value;
+}
+
+function defaultMillLabel(i) {
+  return 'Coal Mill ' + String.fromCharCode(65 + i);
+}
+
+function positiveOrNull(v) {
+  const n = Number(v);
+  return (v !== null && v !== '' && Number.isFinite(n) && n > 0) ? n : null;
+}
+
+/**
+ * Fill defaults and size every per-bunker array to bunkerCount.
+ * capacityPerBunker is the resolved capacity (override, else global, else null).
+ */
+function normalizePlantConfig(doc) {
+  const src = Object.assign({}, DEFAULT_PLANT_CONFIG, doc || {});
+  const n = Math.min(Math.max(parseInt(src.bunkerCount, 10) || DEFAULT_PLANT_CONFIG.bunkerCount, 1), MAX_BUNKERS);
+  const labels = Array.isArray(src.millLabels) ? src.millLabels : [];
+  const overrides = Array.isArray(src.bunkerCapacities) ? src.bunkerCapacities : [];
+  const bunkerCapacity = positiveOrNull(src.bunkerCapacity);
+  const bunkerCapacities = Array.from({ length: n }, (_, i) => positiveOrNull(overrides[i]));
+  return {
+    bunkerCount: n,
+    millLabels: Array.from({ length: n }, (_, i) => (labels[i] && String(labels[i]).trim()) || defaultMillLabel(i)),
+    bunkerCapacity,
+    bunkerCapacities,
+    capacityPerBunker: bunkerCapacities.map(c => c !== null ? c : bunkerCapacity),
+    coalRows: Math.min(Math.max(parseInt(src.coalRows, 10) || DEFAULT_PLANT_CONFIG.coalRows, 1), MAX_COAL_ROWS),
+    aftModel: src.aftModel || DEFAULT_PLANT_CONFIG.aftModel,
+    emissions: normalizeEmissions(src.emissions),
+    thermal: normalizeThermal(src.thermal),
+    alarms: normalizeAlarms(src.alarms),
+    updatedAt: src.updatedAt || null
+  };
+}
+
+let plantConfigCache = null;
+
+async function getPlantConfig() {
+  if (!plantConfigCache) {
+    const doc = await PlantConfig.findOne({ key: 'default' }).lean();
+    plantConfigCache = normalizePlantConfig(doc);
+  }
+  return plantConfigCache;
+}
+
+function validatePlantConfig(body) {
+  const errors = [];
+  const value = {};
+  const src = body || {};
+  if (src.bunkerCount !== undefined) {
+    const n = Number(src.bunkerCount);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_BUNKERS) errors.push(`bunkerCount must be an integer between 1 and ${MAX_BUNKERS}`);
+    else value.bunkerCount = n;
+  }
+  if (src.coalRows !== undefined) {
+    const n = Number(src.coalRows);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_COAL_ROWS) errors.push(`coalRows must be an integer between 1 and ${MAX_COAL_ROWS}`);
+    else value.coalRows = n;
+  }
+  if (src.millLabels !== undefined) {
+    if (!Array.isArray(src.millLabels) || src.millLabels.some(l => typeof l !== 'string' || l.length > 40)) {
+      errors.push('millLabels must be an array of strings (max 40 characters)');
+    } else value.millLabels = src.millLabels.map(l => l.trim());
+  }
+  if (src.bunkerCapacity !== undefined) {
+    if (src.bunkerCapacity !== null && src.bunkerCapacity !== '' && positiveOrNull(src.bunkerCapacity) === null) {
+      errors.push('bunkerCapacity must be a positive number or null');
+    } else value.bunkerCapacity = positiveOrNull(src.bunkerCapacity);
+  }
+  if (src.bunkerCapacities !== undefined) {
+    const list = src.bunkerCapacities;
+    if (!Array.isArray(list) || list.some(c => c !== null && c !== '' && positiveOrNull(c) === null)) {
+      errors.push('bunkerCapacities must be an array of positive numbers or nulls');
+    } else value.bunkerCapacities = list.map(positiveOrNull);
+  }
+  if (src.aftModel !== undefined) {
+    if (typeof src.aftModel !== 'string' || !src.aftModel) errors.push('aftModel must be the id of an AFT model');
+    else value.aftModel = src.aftModel;
+  }
+  // only the fields given; PUT merges them over the stored ones
+  if (src.emissions !== undefined) {
+    const e = validateSettingsGroup('emissions', src.emissions, EMISSION_FIELDS, errors);
+    if (e) value.emissions = e;
+  }
+  if (src.thermal !== undefined) {
+    const t = validateSettingsGroup('thermal', src.thermal, THERMAL_FIELDS, errors);
+    if (t) value.thermal = t;
+  }
+  if (src.alarms !== undefined) {
+    if (!src.alarms || typeof src.alarms !== 'object' || Array.isArray(src.alarms)) errors.push('alarms must be an object');
+    else {
+      value.alarms = {};
+      Object.keys(src.alarms).forEach(rule => {
+        if (!ALARM_FIELDS[rule]) {
+          errors.push(`Unknown alarm rule: ${rule}`);
+          return;
+        }
+        const a = validateSettingsGroup(`alarms.${rule}`, src.alarms[rule], ALARM_FIELDS[rule], errors);
+        if (a) value.alarms[rule] = a;
+      });
+    }
+  }
+  return { errors, value };
+}
+
+app.get('/api/plant-config', async (req, res) => {
+  try {
+    return res.json(await getPlantConfig());
+  } catch (err) {
+    console.error('GET /api/plant-config error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Same config as a script that sets window.PLANT_CONFIG, so pages can lay out
+ * their bunker grids while the HTML is parsed (include it in <head>).
+ * Also sets window.AFT_MODEL to the selected AFT model, window.ASH_INDICES to the slagging / fouling
+ * index bands and window.THERMAL_UNITS to the unit conversion factors, for client-side previews.
+ */
+app.get('/api/plant-config.js', async (req, res) => {
+  try {
+    const cfg = await getPlantConfig();
+    const aftModel = await getAftModel(cfg.aftModel);
+    res.type('application/javascript').set('Cache-Control', 'no-store');
+    return res.send('window.PLANT_CONFIG = ' + JSON.stringify(cfg) + ';\n' +
+      'window.AFT_MODEL = ' + JSON.stringify(aftModel) + ';\n' +
+      'window.ASH_INDICES = ' + JSON.stringify(ASH_INDICES) + ';\n' +
+      'window.THERMAL_UNITS = ' + JSON.stringify({ gcv: GCV_UNITS, flow: FLOW_UNITS, kcalPerKWh: KCAL_PER_KWH }) + ';\n');
+  } catch (err) {
+    console.error('GET /api/plant-config.js error:', err);
+    return res.status(500).type('application/javascript').send('/* plant config unavailable */\n');
+  }
+});
+
+/**
+ * Update the plant configuration (partial).
+ * Body: { bunkerCount?, millLabels?, bunkerCapacity?, bunkerCapacities?, coalRows?, aftModel?, emissions?: { ...DEFAULT_EMISSIONS },
+ *         thermal?: { ...DEFAULT_THERMAL }, alarms?: { <rule>: { ...DEFAULT_ALARMS[rule] } } }
+ */
+app.put('/api/plant-config', requirePermission('settings:edit'), async (req, res) => {
+  try {
+    const { errors, value } = validatePlantConfig(req.body);
+    if (value.aftModel) {
+      const model = (await listAftModels()).find(m => m.id === value.aftModel);
+      if (!model) errors.push(`Unknown AFT model: ${value.aftModel}`);
+      else if (model.status === 'draft') errors.push(`AFT model ${value.aftModel} is a draft; review its fit and activate it first`);
+    }
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    if (value.emissions) value.emissions = normalizeEmissions(Object.assign({}, (await getPlantConfig()).emissions, value.emissions));
+    if (value.thermal) value.thermal = normalizeThermal(Object.assign({}, (await getPlantConfig()).thermal, value.thermal));
+    if (value.alarms) {
+      const current = (await getPlantConfig()).alarms;
+      Object.keys(value.alarms).forEach(rule => { value.alarms[rule] = Object.assign({}, current[rule], value.alarms[rule]); });
+      value.alarms = normalizeAlarms(Object.assign({}, current, value.alarms));
+      Object.keys(value.alarms).forEach(rule => {
+        const a = value.alarms[rule];
+        if (a.low !== undefined && a.low >= a.high) errors.push(`alarms.${rule}.low must be below high`);
+      });
+      if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    const before = await getPlantConfig();
+    await PlantConfig.updateOne(
+      { key: 'default' },
+      { $set: Object.assign({ updatedAt: new Date(), updatedBy: req.user._id }, value) },
+      { upsert: true }
+    );
+    plantConfigCache = null;
+    restartConnector().catch(err => console.error('DCS connector restart error:', err));   // mill count may have changed
+    if (value.alarms) scheduleAlarmEvaluation('settings');
+    const after = await getPlantConfig();
+    auditChange(res, { action: 'plant-config.update', entity: 'plant-config', entityId: 'default', before, after });
+    return res.json(after);
+  } catch (err) {
+    console.error('PUT /api/plant-config error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
 
 /* -------------------- Coal model -------------------- */
-const CoalSchema = new mongoose.Schema({
-  coal: String,
+// one lab analysis of a coal, valid from effectiveFrom until the next analysis
+const CoalAnalysisSchema = new mongoose.Schema({
+  effectiveFrom: { type: Date, required: true },
+  sampleRef: { type: String, default: '' },
   SiO2: Number,
   Al2O3: Number,
   Fe2O3: Number,
@@ -52,16 +931,118 @@ const CoalSchema = new mongoose.Schema({
   SulphurS: Number,
   gcv: Number,
   cost: Number,
-  // color field so same coal shows same color across all bunkers
-  color: String
-}, { collection: 'coals' });
-
-const Coal = mongoose.model('Coal', CoalSchema);
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
 
-/* -------------------- Blend model (rows + computed fields + bunkers) -------------------- */
-const RowSchema = new mongoose.Schema({
-  // coal: either a string (single coal) OR object mapping millIndex->coalRef (id or name)
-  coal: { type: mongoose.Schema.Types.Mixed },
+const CoalSchema = new mongoose.Schema({
+  coal: String,
+  SiO2: Number,
+  Al2O3: Number,
+  Fe2O3: Number,
+  CaO: Number,
+  MgO: Number,
+  Na2O: Number,
+  K2O: Number,
+  TiO2: Number,
+  SO3: Number,
+  P2O5: Number,
+  Mn3O4: Number,
+  SulphurS: Number,
+  gcv: Number,
+  cost: Number,
+  // color field so same coal shows same color across all bunkers
+  color: String,
+  // analysis history; the top-level oxide/gcv/cost fields mirror the one currently in effect
+  analyses: { type: [CoalAnalysisSchema], default: [] },
+  // soft delete: coals still referenced by saved blends are hidden, not removed
+  deletedAt: { type: Date, default: null },
+  updatedAt: { type: Date, default: Date.now }
+}, { collection: 'coals' });
+
+const Coal = mongoose.model('Coal', CoalSchema);
+
+/* -------------------- Coal analysis helpers -------------------- */
+const COAL_OXIDE_FIELDS = ['SiO2', 'Al2O3', 'Fe2O3', 'CaO', 'MgO', 'Na2O', 'K2O', 'TiO2', 'SO3', 'P2O5', 'Mn3O4'];
+const COAL_ANALYSIS_FIELDS = COAL_OXIDE_FIELDS.concat(['SulphurS', 'gcv', 'cost']);
+
+function pickAnalysisFields(src) {
+  const out = {};
+  COAL_ANALYSIS_FIELDS.forEach(k => {
+    if (src && src[k] !== undefined && src[k] !== null) out[k] = src[k];
+  });
+  return out;
+}
+
+// analyses oldest first; coals stored before versioning get their top-level values as the only analysis
+function coalAnalyses(coal) {
+  const list = (coal && Array.isArray(coal.analyses)) ? coal.analyses.slice() : [];
+  if (!list.length) return [Object.assign({ _id: null, effectiveFrom: null, sampleRef: '' }, pickAnalysisFields(coal))];
+  return list.sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+}
+
+/**
+ * The analysis valid at time `at`: the latest one whose effectiveFrom is not after `at`.
+ * Falls back to the earliest analysis for times before the coal's first analysis.
+ */
+function analysisAt(coal, at) {
+  const list = coalAnalyses(coal);
+  const t = at ? new Date(at).getTime() : Date.now();
+  let found = list[0];
+  list.forEach(a => {
+    if (a.effectiveFrom === null || new Date(a.effectiveFrom).getTime() <= t) found = a;
+  });
+  return found;
+}
+
+// copy of a coal with the analysis valid at `at` applied to its top-level fields
+function coalAsOf(coal, at) {
+  if (!coal) return coal;
+  const a = analysisAt(coal, at);
+  return Object.assign({}, coal, pickAnalysisFields(a), {
+    analysisId: a._id || null,
+    analysisEffectiveFrom: a.effectiveFrom || null,
+    sampleRef: a.sampleRef || ''
+  });
+}
+
+// list payload for pickers: current values, without the analysis history
+function currentCoalView(coal) {
+  const view = coalAsOf(coal, new Date());
+  delete view.analyses;
+  return view;
+}
+
+/**
+ * Analyses to $push when new values arrive for `coal` (null for a new coal).
+ * Values not supplied carry over from the analysis valid at effectiveFrom. A coal without
+ * history first gets its existing values recorded as an open-ended initial analysis.
+ */
+function newAnalysisEntries(coal, values, meta) {
+  const effectiveFrom = (meta && meta.effectiveFrom) ? new Date(meta.effectiveFrom) : new Date();
+  const entries = [];
+  if (coal && !(coal.analyses && coal.analyses.length) && Object.keys(pickAnalysisFields(coal)).length) {
+    entries.push(Object.assign({ effectiveFrom: new Date(0), sampleRef: 'initial' }, pickAnalysisFields(coal)));
+  }
+  const base = coal ? pickAnalysisFields(analysisAt(coal, effectiveFrom)) : {};
+  entries.push(Object.assign(base, pickAnalysisFields(values), {
+    effectiveFrom,
+    sampleRef: (meta && meta.sampleRef) ? String(meta.sampleRef) : '',
+    createdBy: (meta && meta.createdBy) || null
+  }));
+  return entries;
+}
+
+// top-level fields to $set after pushing `entries` onto `coal`
+function currentFieldsAfter(coal, entries) {
+  const next = Object.assign({}, coal || {}, { analyses: ((coal && coal.analyses) || []).concat(entries) });
+  return pickAnalysisFields(analysisAt(next, new Date()));
+}
+
+/* -------------------- Blend model (rows + computed fields + bunkers) -------------------- */
+const RowSchema = new mongoose.Schema({
+  // coal: either a string (single coal) OR object mapping millIndex->coalRef (id or name)
+  coal: { type: mongoose.Schema.Types.Mixed },
   percentages: [Number],
   gcv: Number,
   cost: Number
@@ -72,445 +1053,4070 @@ const BlendSchema = new mongoose.Schema({
   flows: [Number],
   generation: Number,
 
-  // store independent bunker info (array length 6): each has layers
+  // store independent bunker info (one entry per bunker): each has layers
 // server.js — update bunkers schema to include color
 bunkers: [{
+  capacity: { type: Number, default: null },   // tonnes, resolved from the overrides below
   layers: [{
     rowIndex: Number,
     coal: String,
     percent: Number,
+    tons: { type: Number, default: null },     // tonnes in the layer (percent x capacity); null when capacity unknown
     gcv: Number,
     cost: Number,
+    sulphur: Number,       // coal sulphur (%) of the layer, for the SO2 estimate while it is fired
     color: String          // <-- added
   }]
 }],
 
+  // bunker capacity used for layer tonnage / drain times (tonnes)
+  bunkerCapacity: { type: Number, default: null },   // applies to every bunker
+  bunkerCapacities: [Number],                         // per-bunker override, null = use bunkerCapacity
+
 
   // computed fields
   totalFlow: { type: Number, default: 0 },
   avgGCV: { type: Number, default: 0 },
   avgAFT: { type: Number, default: null },
-  heatRate: { type: Number, default: null },
-  costRate: { type: Number, default: 0 },
-  aftPerMill: { type: [Number], default: [] },           // length = 6
-  blendedGCVPerMill: { type: [Number], default: [] },    // length = 6
+  heatRate: { type: Number, default: null },          // kcal/kWh
+  unitEfficiency: { type: Number, default: null },    // %, from the heat rate
+  expectedGeneration: { type: Number, default: null },   // MW the fired coal gives at the design heat rate
+  costRate: { type: Number, default: 0 },               // fuel cost per tonne fired (flow-weighted over mills)
+  costPerHour: { type: Number, default: null },
+  costPerMWh: { type: Number, default: null },          // fuel cost per MWh generated
+  costPerMill: { type: [Number], default: [] },         // cost per tonne of each mill's blend
+  costBreakdown: { type: [mongoose.Schema.Types.Mixed], default: [] },   // per coal: { coal, tonsPerHour, share, costPerTonne, costPerHour, costPerMWh }
+  aftPerMill: { type: [Number], default: [] },           // one per bunker/mill
+  blendedGCVPerMill: { type: [Number], default: [] },    // one per bunker/mill
+  oxidesPerMill: { type: [mongoose.Schema.Types.Mixed], default: [] },   // blended ash oxides per mill (AFT inputs)
+  sulphurPerMill: { type: [Number], default: [] },                        // blended coal sulphur per mill (%)
+  avgSulphur: { type: Number, default: null },                            // flow-weighted (%)
+  // SO2 estimate with the plant's emission factors at save time (see SO2 emission estimate)
+  so2KgPerHour: { type: Number, default: null },
+  so2MgPerNm3: { type: Number, default: null },
+  so2PerMill: { type: [Number], default: [] },                            // kg/h
+  // slagging / fouling indices (see Ash behaviour indices): one { baseAcid, slagging, fouling, silicaRatio, ironCalcium }
+  // per mill (null without ash data) and their flow-weighted average
+  ashIndicesPerMill: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  ashIndices: { type: mongoose.Schema.Types.Mixed, default: null },
+  // AFT model (see AFT models) that produced aftPerMill / avgAFT; blends saved before models existed have none
+  aftModel: {
+    id: { type: String, default: null },
+    name: { type: String, default: null }
+  },
+
+  // lab analysis of each coal that was in effect when the blend was saved
+  analysesUsed: [{
+    coalId: mongoose.Schema.Types.ObjectId,
+    coal: String,
+    analysisId: mongoose.Schema.Types.ObjectId,   // null for coals without analysis history
+    effectiveFrom: Date,
+    sampleRef: String,
+    _id: false
+  }],
+
+  // revision chain: every save is a new immutable document.
+  // lineage = _id of revision 1, rev counts from 1, previousRevision links to the predecessor
+  lineage: { type: mongoose.Schema.Types.ObjectId, default: null },
+  rev: { type: Number, default: 1 },
+  previousRevision: { type: mongoose.Schema.Types.ObjectId, default: null },
+  savedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // shift-in-charge sign-off of this revision (a new revision starts unapproved)
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  approvedAt: { type: Date, default: null },
 
   createdAt: { type: Date, default: Date.now }
 });
+// one document per (lineage, rev); older blends saved before revisions have no lineage
+BlendSchema.index({ lineage: 1, rev: 1 }, { unique: true, partialFilterExpression: { lineage: { $type: 'objectId' } } });
 
 const Blend = mongoose.model('Blend', BlendSchema);
 
+/* -------------------- Blend revision helpers -------------------- */
+function lineageOf(blend) {
+  return blend.lineage || blend._id;
+}
+
+// revisions of one lineage; revision 1 of a pre-revision blend is the lineage doc itself
+function lineageQuery(lineage) {
+  return { $or: [{ lineage: lineage }, { _id: lineage }] };
+}
+
+async function findRevision(lineage, rev) {
+  const n = Number(rev);
+  if (!Number.isInteger(n) || n < 1) return null;
+  const doc = await Blend.findOne({ lineage: lineage, rev: n }).lean();
+  if (doc || n !== 1) return doc;
+  return Blend.findOne({ _id: lineage }).lean();
+}
+
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === '' || isNaN(Number(v))) return null;
+  return Number(v);
+}
+
+function sameValue(a, b) {
+  const na = numOrNull(a), nb = numOrNull(b);
+  if (na !== null && nb !== null) return Math.abs(na - nb) < 1e-9;
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+function numChange(from, to) {
+  const f = numOrNull(from), t = numOrNull(to);
+  return { from: f, to: t, delta: (f !== null && t !== null) ? t - f : null };
+}
+
+function rowCoalForMill(row, mill) {
+  if (!row || !row.coal) return '';
+  if (typeof row.coal === 'object') return row.coal[String(mill)] || '';
+  return row.coal;
+}
+
+/**
+ * Field-level diff between two blend revisions.
+ * Only changed values are listed; each change carries from/to (and delta for numbers).
+ */
+function diffBlends(a, b) {
+  const rowsA = Array.isArray(a.rows) ? a.rows : [];
+  const rowsB = Array.isArray(b.rows) ? b.rows : [];
+  const flowsA = Array.isArray(a.flows) ? a.flows : [];
+  const flowsB = Array.isArray(b.flows) ? b.flows : [];
+  const millCount = Math.max(
+    flowsA.length, flowsB.length,
+    (a.aftPerMill || []).length, (b.aftPerMill || []).length,
+    ...rowsA.concat(rowsB).map(r => (r && Array.isArray(r.percentages)) ? r.percentages.length : 0)
+  );
+
+  const rows = [];
+  for (let i = 0; i < Math.max(rowsA.length, rowsB.length); i++) {
+    const ra = rowsA[i] || {}, rb = rowsB[i] || {};
+    const change = { rowIndex: i + 1, coal: [], percentages: [] };
+    for (let m = 0; m < millCount; m++) {
+      const ca = rowCoalForMill(ra, m), cb = rowCoalForMill(rb, m);
+      if (!sameValue(ca, cb)) change.coal.push({ mill: m, from: ca || null, to: cb || null });
+      const pa = (ra.percentages || [])[m], pb = (rb.percentages || [])[m];
+      if (!sameValue(pa || 0, pb || 0)) change.percentages.push(Object.assign({ mill: m }, numChange(pa || 0, pb || 0)));
+    }
+    if (!sameValue(ra.gcv, rb.gcv)) change.gcv = numChange(ra.gcv, rb.gcv);
+    if (!sameValue(ra.cost, rb.cost)) change.cost = numChange(ra.cost, rb.cost);
+    if (change.coal.length || change.percentages.length || change.gcv || change.cost) rows.push(change);
+  }
+
+  const flows = [];
+  const perMill = [];
+  for (let m = 0; m < millCount; m++) {
+    if (!sameValue(flowsA[m] || 0, flowsB[m] || 0)) flows.push(Object.assign({ mill: m }, numChange(flowsA[m] || 0, flowsB[m] || 0)));
+    const millChange = { mill: m };
+    const aftA = (a.aftPerMill || [])[m], aftB = (b.aftPerMill || [])[m];
+    const gcvA = (a.blendedGCVPerMill || [])[m], gcvB = (b.blendedGCVPerMill || [])[m];
+    if (!sameValue(aftA, aftB)) millChange.aft = numChange(aftA, aftB);
+    if (!sameValue(gcvA, gcvB)) millChange.gcv = numChange(gcvA, gcvB);
+    if (millChange.aft || millChange.gcv) perMill.push(millChange);
+  }
+
+  const totals = {};
+  ['generation', 'bunkerCapacity', 'totalFlow', 'avgGCV', 'avgAFT', 'heatRate', 'costRate', 'costPerHour', 'costPerMWh'].forEach(k => {
+    if (!sameValue(a[k], b[k])) totals[k] = numChange(a[k], b[k]);
+  });
+
+  return {
+    changed: rows.length > 0 || flows.length > 0 || perMill.length > 0 || Object.keys(totals).length > 0,
+    rows,
+    flows,
+    generation: totals.generation || null,
+    perMill,
+    totals
+  };
+}
+
+function revisionSummary(b) {
+  return {
+    id: b._id,
+    lineage: lineageOf(b),
+    rev: b.rev || 1,
+    previousRevision: b.previousRevision || null,
+    savedBy: b.savedBy || null,
+    approvedBy: b.approvedBy || null,
+    approvedAt: b.approvedAt || null,
+    createdAt: b.createdAt
+  };
+}
+
+/* -------------------- Coal GET endpoints (client expects these) -------------------- */
+const ACTIVE_COAL = { deletedAt: null };
+app.get('/api/coal', requirePermission('coal:read'), async (req, res) => {
+  try {
+    // ?includeDeleted=true is used by the coal master page
+    const filter = req.query.includeDeleted === 'true' ? {} : ACTIVE_COAL;
+    const items = await Coal.find(filter).lean();
+    return res.json(items.map(currentCoalView));
+  } catch (err) {
+    console.error('GET /api/coal error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+app.get('/api/coals', requirePermission('coal:read'), async (req, res) => {
+  try {
+    const items = await Coal.find(ACTIVE_COAL).lean();
+    return res.json(items.map(currentCoalView));
+  } catch (err) {
+    console.error('GET /api/coals error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+app.get('/api/coal/list', requirePermission('coal:read'), async (req, res) => {
+  try {
+    const items = await Coal.find(ACTIVE_COAL).lean();
+    return res.json(items.map(currentCoalView));
+  } catch (err) {
+    console.error('GET /api/coal/list error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+app.get('/api/coalnames', requirePermission('coal:read'), async (req, res) => {
+  try {
+    // minimal payload: _id and coal name
+    const items = await Coal.find(ACTIVE_COAL, { coal: 1 }).lean();
+    return res.json(items);
+  } catch (err) {
+    console.error('GET /api/coalnames error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Coal master CRUD -------------------- */
+// [min, max] accepted for each numeric field; oxides are % of ash, SulphurS % of coal
+const COAL_FIELD_RANGES = Object.assign(
+  {},
+  ...COAL_OXIDE_FIELDS.map(k => ({ [k]: [0, 100] })),
+  { SulphurS: [0, 15], gcv: [0, 10000], cost: [0, 1e6] }
+);
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Validate a coal body. With partial=true only the supplied fields are checked
+ * (PATCH); otherwise coal name and gcv are required (POST).
+ * Returns { errors: [string], value: {field: cleaned value} }
+ */
+function validateCoalInput(body, partial) {
+  const errors = [];
+  const value = {};
+  const src = body || {};
+
+  if (src.coal !== undefined || !partial) {
+    const name = String(src.coal || '').trim();
+    if (!name) errors.push('coal (name) is required');
+    else value.coal = name;
+  }
+
+  Object.keys(COAL_FIELD_RANGES).forEach(k => {
+    if (src[k] === undefined) {
+      if (!partial && k === 'gcv') errors.push('gcv is required');
+      return;
+    }
+    if (src[k] === null || src[k] === '') { value[k] = 0; return; }
+    const n = Number(src[k]);
+    const [min, max] = COAL_FIELD_RANGES[k];
+    if (!Number.isFinite(n)) errors.push(`${k} must be a number`);
+    else if (n < min || n > max) errors.push(`${k} must be between ${min} and ${max}`);
+    else value[k] = n;
+  });
+
+  const color = src.color !== undefined ? src.color : src.colour;
+  if (color !== undefined) {
+    const c = String(color || '').trim();
+    if (c && !HEX_COLOR.test(c)) errors.push('color must be a hex colour like #3498db');
+    else value.color = c;
+  }
+
+  return { errors, value };
+}
+
+// effectiveFrom / sampleRef that come with a new analysis (POST, PATCH, analyses endpoint)
+function readAnalysisMeta(src, errors, user) {
+  const meta = { effectiveFrom: new Date(), sampleRef: '', createdBy: user ? user._id : null };
+  if (src && src.effectiveFrom !== undefined && src.effectiveFrom !== null && src.effectiveFrom !== '') {
+    const d = parseDateParam(src.effectiveFrom);
+    if (!d) errors.push('effectiveFrom must be a date');
+    else meta.effectiveFrom = d;
+  }
+  if (src && src.sampleRef !== undefined && src.sampleRef !== null) meta.sampleRef = String(src.sampleRef).trim();
+  return meta;
+}
+
+async function findCoalByNameCI(name, excludeId) {
+  const filter = Object.assign({ coal: new RegExp('^' + escapeRegex(name) + '$', 'i') }, ACTIVE_COAL);
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Coal.findOne(filter).lean();
+}
+
+// saved blends store coal names in their bunker layers
+async function isCoalReferenced(coalDoc) {
+  if (!coalDoc || !coalDoc.coal) return false;
+  const nameRe = new RegExp('^' + escapeRegex(coalDoc.coal) + '$', 'i');
+  return !!(await Blend.exists({ 'bunkers.layers.coal': nameRe }));
+}
+
+app.get('/api/coal/:id', requirePermission('coal:read'), async (req, res, next) => {
+  // let /api/coal/list, /api/coal/count etc. fall through to their own routes
+  if (!mongoose.isValidObjectId(req.params.id)) return next();
+  try {
+    const item = await Coal.findById(req.params.id).lean();
+    if (!item) return res.status(404).json({ error: 'Coal not found' });
+    return res.json(item);
+  } catch (err) {
+    console.error('GET /api/coal/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Add a single coal; its values become the first analysis
+ * Body: { coal, gcv, cost?, color?, SiO2?, Al2O3?, ..., effectiveFrom?, sampleRef? }
+ */
+app.post('/api/coal', requirePermission('coal:edit'), async (req, res) => {
+  try {
+    const { errors, value } = validateCoalInput(req.body, false);
+    const meta = readAnalysisMeta(req.body, errors, req.user);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    if (await findCoalByNameCI(value.coal)) return res.status(409).json({ error: `A coal named "${value.coal}" already exists` });
+
+    const analyses = newAnalysisEntries(null, value, meta);
+    const doc = await Coal.create(Object.assign({ updatedAt: new Date() }, value, currentFieldsAfter(null, analyses), { analyses }));
+    broadcastEvent('coal-master-changed', { action: 'create', id: doc._id, coal: doc.coal });
+    auditChange(res, { action: 'coal.create', entity: 'coal', entityId: doc._id, before: null, after: currentCoalView(doc.toObject()) });
+    return res.status(201).json(doc.toObject());
+  } catch (err) {
+    console.error('POST /api/coal error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Edit fields of one coal. Changed oxide/GCV/cost values are recorded as a new analysis
+ * (effectiveFrom/sampleRef optional), so blends saved earlier keep their values.
+ * Renaming a coal that saved blends refer to is refused, because blends store the coal name.
+ */
+app.patch('/api/coal/:id', requirePermission('coal:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Coal not found' });
+    const existing = await Coal.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Coal not found' });
+
+    const { errors, value } = validateCoalInput(req.body, true);
+    const meta = readAnalysisMeta(req.body, errors, req.user);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    if (!Object.keys(value).length) return res.status(400).json({ error: 'Nothing to update' });
+
+    if (value.coal && value.coal !== existing.coal) {
+      if (await findCoalByNameCI(value.coal, existing._id)) return res.status(409).json({ error: `A coal named "${value.coal}" already exists` });
+      if (await isCoalReferenced(existing)) {
+        return res.status(409).json({ error: `"${existing.coal}" is used by saved blends and cannot be renamed; add a new coal instead` });
+      }
+    }
+
+    // only fields that differ from the analysis in effect become a new analysis,
+    // unless a sample reference says this is a fresh lab result
+    const inEffect = analysisAt(existing, meta.effectiveFrom);
+    const analysisValues = pickAnalysisFields(value);
+    if (!meta.sampleRef) {
+      Object.keys(analysisValues).forEach(k => {
+        if (sameValue(inEffect[k] === undefined ? null : inEffect[k], analysisValues[k])) delete analysisValues[k];
+      });
+    }
+    const $set = { updatedAt: new Date() };
+    if (value.coal !== undefined) $set.coal = value.coal;
+    if (value.color !== undefined) $set.color = value.color;
+    const update = { $set };
+    if (Object.keys(analysisValues).length) {
+      const entries = newAnalysisEntries(existing, analysisValues, meta);
+      Object.assign($set, currentFieldsAfter(existing, entries));
+      update.$push = { analyses: { $each: entries } };
+    }
+
+    const updated = await Coal.findByIdAndUpdate(existing._id, update, { new: true }).lean();
+    broadcastEvent('coal-master-changed', { action: 'update', id: updated._id, coal: updated.coal });
+    auditChange(res, { action: 'coal.update', entity: 'coal', entityId: updated._id, before: currentCoalView(existing), after: currentCoalView(updated) });
+    return res.json(updated);
+  } catch (err) {
+    console.error('PATCH /api/coal/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Analysis history of one coal, newest first
+ */
+app.get('/api/coal/:id/analyses', requirePermission('coal:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Coal not found' });
+    const coal = await Coal.findById(req.params.id).lean();
+    if (!coal) return res.status(404).json({ error: 'Coal not found' });
+    const current = analysisAt(coal, new Date());
+    return res.json({
+      id: coal._id,
+      coal: coal.coal,
+      currentAnalysisId: current._id || null,
+      analyses: coalAnalyses(coal).reverse()
+    });
+  } catch (err) {
+    console.error('GET /api/coal/:id/analyses error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Record a lab analysis for a coal. Fields left out carry over from the analysis
+ * valid at effectiveFrom; effectiveFrom may be in the past or the future.
+ * Body: { effectiveFrom?, sampleRef?, SiO2?, ..., SulphurS?, gcv?, cost? }
+ */
+app.post('/api/coal/:id/analyses', requirePermission('coal:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Coal not found' });
+    const existing = await Coal.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Coal not found' });
+
+    const { errors, value } = validateCoalInput(pickAnalysisFields(req.body), true);
+    const meta = readAnalysisMeta(req.body, errors, req.user);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    if (!Object.keys(value).length) return res.status(400).json({ error: 'No analysis values supplied' });
+
+    const entries = newAnalysisEntries(existing, value, meta);
+    const updated = await Coal.findByIdAndUpdate(existing._id, {
+      $set: Object.assign({ updatedAt: new Date() }, currentFieldsAfter(existing, entries)),
+      $push: { analyses: { $each: entries } }
+    }, { new: true }).lean();
+    broadcastEvent('coal-master-changed', { action: 'analysis', id: updated._id, coal: updated.coal });
+    auditChange(res, {
+      action: 'coal.analysis', entity: 'coal', entityId: updated._id, before: currentCoalView(existing), after: currentCoalView(updated),
+      details: { analysis: updated.analyses[updated.analyses.length - 1] }
+    });
+    return res.status(201).json({ analysis: updated.analyses[updated.analyses.length - 1], coal: currentCoalView(updated) });
+  } catch (err) {
+    console.error('POST /api/coal/:id/analyses error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Remove a coal. Coals referenced by saved blends are soft-deleted (hidden from
+ * pickers, kept for history); unreferenced coals are removed.
+ */
+app.delete('/api/coal/:id', requirePermission('coal:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Coal not found' });
+    const existing = await Coal.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Coal not found' });
+
+    if (await isCoalReferenced(existing)) {
+      await Coal.updateOne({ _id: existing._id }, { deletedAt: new Date(), updatedAt: new Date() });
+      broadcastEvent('coal-master-changed', { action: 'delete', id: existing._id, coal: existing.coal });
+      auditChange(res, {
+        action: 'coal.delete', entity: 'coal', entityId: existing._id,
+        before: currentCoalView(existing), after: currentCoalView(await Coal.findById(existing._id).lean()), details: { softDeleted: true }
+      });
+      return res.json({ message: 'Coal is used by saved blends; marked as deleted', id: existing._id, softDeleted: true });
+    }
+    await Coal.deleteOne({ _id: existing._id });
+    broadcastEvent('coal-master-changed', { action: 'delete', id: existing._id, coal: existing.coal });
+    auditChange(res, { action: 'coal.delete', entity: 'coal', entityId: existing._id, before: currentCoalView(existing), after: null, details: { softDeleted: false } });
+    return res.json({ message: 'Deleted', id: existing._id, softDeleted: false });
+  } catch (err) {
+    console.error('DELETE /api/coal/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Bring back a soft-deleted coal
+ */
+app.post('/api/coal/:id/restore', requirePermission('coal:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Coal not found' });
+    const existing = await Coal.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Coal not found' });
+    if (await findCoalByNameCI(existing.coal, existing._id)) {
+      return res.status(409).json({ error: `Another active coal is already named "${existing.coal}"` });
+    }
+    const updated = await Coal.findByIdAndUpdate(existing._id, { deletedAt: null, updatedAt: new Date() }, { new: true }).lean();
+    broadcastEvent('coal-master-changed', { action: 'restore', id: updated._id, coal: updated.coal });
+    auditChange(res, { action: 'coal.restore', entity: 'coal', entityId: updated._id, before: currentCoalView(existing), after: currentCoalView(updated) });
+    return res.json(updated);
+  } catch (err) {
+    console.error('POST /api/coal/:id/restore error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
 /* -------------------- Upload (Excel -> Coal collection) -------------------- */
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
-app.post('/api/upload-coal', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+// normalized header -> Coal field; headers are lower-cased with subscripts and punctuation stripped
+const COAL_HEADER_ALIASES = Object.assign(
+  { coal: 'coal', name: 'coal', coalname: 'coal' },
+  ...COAL_OXIDE_FIELDS.map(k => ({ [k.toLowerCase()]: k })),
+  {
+    sulphur: 'SulphurS', sulphurs: 'SulphurS', sulfur: 'SulphurS', sulfurs: 'SulphurS',
+    gcv: 'gcv', gcvkcalkg: 'gcv',
+    cost: 'cost',
+    color: 'color', colour: 'color', hex: 'color',
+    sampleref: 'sampleRef', sample: 'sampleRef', sampleno: 'sampleRef', sampleid: 'sampleRef',
+    effectivefrom: 'effectiveFrom', effectivedate: 'effectiveFrom'
+  }
+);
+const OXIDE_TOTAL_TOLERANCE = 5; // warn when oxides add up to further than this from 100%
+const UPLOAD_PREVIEW_TTL_MS = 30 * 60 * 1000;
+const uploadPreviews = new Map(); // token -> { mode, rows, userId, expiresAt }
+
+function normalizeHeader(h) {
+  return String(h || '')
+    .replace(/[₀-₉]/g, d => String(d.charCodeAt(0) - 0x2080))
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Read the first sheet into { columns, unknownColumns, missingColumns, rows }.
+ * Each row keeps its spreadsheet line number and only the cells that were filled in,
+ * so a blank cell is never mistaken for a zero.
+ */
+function parseCoalSheet(buffer) {
+  const workbook = xlsx.read(buffer, { type: 'buffer', cellDates: true });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const jsonData = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+
+  const headers = jsonData.length ? Object.keys(jsonData[0]) : [];
+  const columns = {};
+  const unknownColumns = [];
+  headers.forEach(h => {
+    const field = COAL_HEADER_ALIASES[normalizeHeader(h)];
+    if (field && !Object.values(columns).includes(field)) columns[h] = field;
+    else unknownColumns.push(h);
+  });
+  const mapped = Object.values(columns);
+  const missingColumns = ['coal', 'gcv'].concat(COAL_OXIDE_FIELDS).filter(f => !mapped.includes(f));
+
+  const rows = jsonData.map((item, i) => {
+    const cells = {};
+    const blank = [];
+    Object.keys(columns).forEach(h => {
+      const v = item[h];
+      if (v === '' || v === null || v === undefined) blank.push(columns[h]);
+      else cells[columns[h]] = typeof v === 'string' ? v.trim() : v;
+    });
+    return { row: i + 2, cells, blank }; // +2: header is line 1
+  });
+
+  return { columns, unknownColumns, missingColumns, rows };
+}
+
+/**
+ * Compare parsed sheet rows with the coal master.
+ * mode 'merge' upserts by name; 'replace' also removes coals that are not in the sheet.
+ * Changed oxide/GCV/cost values become a new analysis, effective from the row's
+ * "Effective From" cell or from the upload time.
+ */
+async function planCoalUpload(parsed, mode) {
+  const existing = await Coal.find(ACTIVE_COAL).lean();
+  const byName = new Map(existing.map(c => [String(c.coal).toLowerCase(), c]));
+  const seen = new Set();
+  const numericFields = Object.keys(COAL_FIELD_RANGES);
+
+  const rows = parsed.rows.map(r => {
+    const result = { row: r.row, coal: r.cells.coal ? String(r.cells.coal).trim() : '', status: null, errors: [], warnings: [] };
+    const { errors, value } = validateCoalInput(r.cells, true);
+    result.errors.push(...errors);
+    const meta = readAnalysisMeta({ effectiveFrom: r.cells.effectiveFrom, sampleRef: r.cells.sampleRef }, result.errors);
+    result.effectiveFrom = meta.effectiveFrom;
+    result.sampleRef = meta.sampleRef;
 
-    const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = xlsx.utils.sheet_to_json(worksheet);
-
-    const coalData = jsonData.map(item => ({
-      coal: item['Coal'] || item['coal'] || item['Name'] || '',
-      SiO2: item['SiO2'] || item['SiO₂'] || 0,
-      Al2O3: item['Al2O3'] || item['Al₂O₃'] || 0,
-      Fe2O3: item['Fe2O3'] || item['Fe₂O₃'] || 0,
-      CaO: item['CaO'] || 0,
-      MgO: item['MgO'] || 0,
-      Na2O: item['Na2O'] || 0,
-      K2O: item['K2O'] || 0,
-      TiO2: item['TiO2'] || 0,
-      SO3: item['SO3'] || 0,
-      P2O5: item['P2O5'] || 0,
-      Mn3O4: item['Mn3O4'] || item['MN3O4'] || 0,
-      SulphurS: item['Sulphur'] || item['SulphurS'] || 0,
-      gcv: item['GCV'] || item['gcv'] || 0,
-      cost: item['Cost'] || item['cost'] || 0,
-      color: item['Color'] || item['color'] || item['colour'] || item['hex'] || ''
+    if (!result.coal) {
+      result.errors = ['coal name is missing'];
+      result.status = 'error';
+      return result;
+    }
+    const key = result.coal.toLowerCase();
+    if (seen.has(key)) result.errors.push(`duplicate of an earlier row for "${result.coal}"`);
+    seen.add(key);
+
+    const current = byName.get(key) || null;
+    const blankNumeric = r.blank.filter(f => numericFields.includes(f));
+    if (!current) {
+      if (value.gcv === undefined && !errors.some(e => e.startsWith('gcv'))) result.errors.push('gcv is required');
+      const zeroed = blankNumeric.filter(f => f !== 'gcv');
+      if (zeroed.length) result.warnings.push(`blank cells stored as 0: ${zeroed.join(', ')}`);
+    } else if (blankNumeric.length) {
+      result.warnings.push(`blank cells keep their current value: ${blankNumeric.join(', ')}`);
+    }
+
+    const merged = Object.assign({}, current || {}, value);
+    const oxideTotal = COAL_OXIDE_FIELDS.reduce((s, k) => s + (Number(merged[k]) || 0), 0);
+    result.oxideTotal = Math.round(oxideTotal * 100) / 100;
+    if (Math.abs(oxideTotal - 100) > OXIDE_TOTAL_TOLERANCE) {
+      result.warnings.push(`oxide total is ${result.oxideTotal}% (expected about 100%)`);
+    }
+
+    if (result.errors.length) {
+      result.status = 'error';
+      return result;
+    }
+
+    if (!current) {
+      result.status = 'new';
+      result.values = Object.assign(
+        Object.fromEntries(numericFields.map(k => [k, 0])),
+        { color: '' },
+        value
+      );
+      return result;
+    }
+
+    result.id = current._id;
+    const inEffect = coalAsOf(current, meta.effectiveFrom);
+    const changes = {};
+    Object.keys(value).forEach(k => {
+      if (k === 'coal') return; // matched case-insensitively; keep the stored spelling
+      const from = inEffect[k] === undefined ? null : inEffect[k];
+      if (!sameValue(from, value[k])) changes[k] = { from, to: value[k] };
+    });
+    result.status = Object.keys(changes).length ? 'changed' : 'unchanged';
+    if (result.status === 'changed') {
+      result.changes = changes;
+      result.values = Object.fromEntries(Object.keys(changes).map(k => [k, changes[k].to]));
+    }
+    return result;
+  });
+
+  let removed = [];
+  if (mode === 'replace') {
+    removed = existing
+      .filter(c => !seen.has(String(c.coal).toLowerCase()))
+      .map(c => ({ id: c._id, coal: c.coal }));
+  }
+
+  const summary = { total: rows.length, new: 0, changed: 0, unchanged: 0, error: 0, removed: removed.length };
+  rows.forEach(r => { summary[r.status] += 1; });
+
+  return {
+    mode,
+    summary,
+    unknownColumns: parsed.unknownColumns,
+    missingColumns: parsed.missingColumns,
+    rows,
+    removed
+  };
+}
+
+/** Write a plan to the Coal collection; _ids of existing coals are kept. */
+async function applyCoalUpload(plan, user) {
+  const now = new Date();
+  const metaOf = r => ({ effectiveFrom: r.effectiveFrom, sampleRef: r.sampleRef, createdBy: user ? user._id : null });
+
+  const newDocs = plan.rows.filter(r => r.status === 'new').map(r => {
+    const analyses = newAnalysisEntries(null, r.values, metaOf(r));
+    return Object.assign({ updatedAt: now }, r.values, currentFieldsAfter(null, analyses), { analyses });
+  });
+  if (newDocs.length) await Coal.insertMany(newDocs);
+
+  const changed = plan.rows.filter(r => r.status === 'changed');
+  if (changed.length) {
+    const docs = await Coal.find({ _id: { $in: changed.map(r => r.id) } }).lean();
+    const byId = new Map(docs.map(d => [String(d._id), d]));
+    await Coal.bulkWrite(changed.filter(r => byId.has(String(r.id))).map(r => {
+      const coal = byId.get(String(r.id));
+      const $set = { updatedAt: now };
+      if (r.values.color !== undefined) $set.color = r.values.color;
+      const update = { $set };
+      const analysisValues = pickAnalysisFields(r.values);
+      if (Object.keys(analysisValues).length) {
+        const entries = newAnalysisEntries(coal, analysisValues, metaOf(r));
+        Object.assign($set, currentFieldsAfter(coal, entries));
+        update.$push = { analyses: { $each: entries } };
+      }
+      return { updateOne: { filter: { _id: r.id }, update } };
     }));
+  }
+
+  let softDeleted = 0;
+  for (const c of plan.removed) {
+    if (await isCoalReferenced(c)) {
+      await Coal.updateOne({ _id: c.id }, { deletedAt: now, updatedAt: now });
+      softDeleted += 1;
+    } else {
+      await Coal.deleteOne({ _id: c.id });
+    }
+  }
+  const applied = Object.assign({}, plan.summary, { softDeleted });
+  broadcastEvent('coal-master-changed', Object.assign({ action: 'upload' }, applied));
+  return applied;
+}
+
+/* current values of every coal by name, for the audit diff of an upload */
+async function coalMasterSnapshot() {
+  const out = {};
+  (await Coal.find().lean()).forEach(c => {
+    const view = currentCoalView(c);
+    delete view.analysisId;
+    out[c.coal] = view;
+  });
+  return out;
+}
+
+function prunePreviews() {
+  const now = Date.now();
+  for (const [token, p] of uploadPreviews) {
+    if (p.expiresAt < now) uploadPreviews.delete(token);
+  }
+}
+
+/**
+ * Upload a coal sheet for review. Nothing is written: the response is the per-row report (dry run) and a
+ * token; the sheet only takes effect through /api/upload-coal/confirm, so a bad sheet never reaches the
+ * coal master unseen. dryRun=true is still accepted and changes nothing.
+ * Query: mode=merge (default, upsert by coal name) | replace (also remove coals missing from the sheet)
+ */
+app.post('/api/upload-coal', requirePermission('coal:edit'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const mode = String(req.query.mode || (req.body && req.body.mode) || 'merge');
+    if (!['merge', 'replace'].includes(mode)) return res.status(400).json({ error: 'mode must be merge or replace' });
+
+    let parsed;
+    try {
+      parsed = parseCoalSheet(req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({ error: 'Could not read the spreadsheet: ' + (err.message || err) });
+    }
+    if (!parsed.columns || !Object.values(parsed.columns).includes('coal')) {
+      return res.status(400).json({ error: 'No coal name column found (expected "Coal" or "Name")', unknownColumns: parsed.unknownColumns });
+    }
+
+    const plan = await planCoalUpload(parsed, mode);
+
+    prunePreviews();
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + UPLOAD_PREVIEW_TTL_MS;
+    uploadPreviews.set(token, { mode, parsed, file: req.file.originalname, userId: String(req.user._id), expiresAt });
+    auditChange(res, false);   // nothing written yet; the confirm call is audited
+    return res.json(Object.assign({ dryRun: true, confirmRequired: true, token, expiresAt: new Date(expiresAt) }, plan));
+  } catch (err) {
+    console.error('Error uploading coal data:', err);
+    return res.status(500).json({ error: 'Failed to process Excel file' });
+  }
+});
+
+/**
+ * Apply a dry-run upload. The sheet is re-compared with the current coal master,
+ * so edits made since the preview are not overwritten blindly.
+ * Body: { token }
+ */
+app.post('/api/upload-coal/confirm', requirePermission('coal:edit'), async (req, res) => {
+  try {
+    prunePreviews();
+    const token = req.body && req.body.token;
+    const preview = token && uploadPreviews.get(String(token));
+    if (!preview) return res.status(404).json({ error: 'Preview not found or expired; upload the sheet again' });
+    if (preview.userId !== String(req.user._id)) return res.status(403).json({ error: 'Preview belongs to another user' });
+
+    const plan = await planCoalUpload(preview.parsed, preview.mode);
+    if (preview.mode === 'replace' && plan.summary.error) {
+      return res.status(422).json(Object.assign({ error: 'Sheet has invalid rows; nothing was changed' }, plan));
+    }
+    const before = await coalMasterSnapshot();
+    const applied = await applyCoalUpload(plan, req.user);
+    uploadPreviews.delete(String(token));
+    auditChange(res, { action: 'coal.upload', entity: 'coal-master', before, after: await coalMasterSnapshot(), details: { file: preview.file, mode: preview.mode, applied } });
+    return res.json(Object.assign({ message: 'Coal data uploaded and saved to DB successfully', applied }, plan));
+  } catch (err) {
+    console.error('POST /api/upload-coal/confirm error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- AFT models (ash fusion temperature correlations) -------------------- */
+// A model is piecewise linear in the ash oxides (% of ash). The band is picked by the sum of the
+// `selector` oxides: bands are in ascending order and one applies while that sum is below its `below`
+// (null = no upper limit). AFT = intercept + sum(coefficient x oxide) with the band's numbers.
+const AFT_OXIDES = ['SiO2', 'Al2O3', 'Fe2O3', 'CaO', 'MgO', 'Na2O', 'K2O', 'SO3', 'TiO2'];
+const DEFAULT_AFT_MODEL = 'standard';
+
+const BUILTIN_AFT_MODELS = [{
+  id: 'standard',
+  name: 'Standard three-band (SiO2 + Al2O3)',
+  description: 'Original plant correlation with separate coefficients for SiO2 + Al2O3 below 55, 55-75 and from 75.',
+  selector: ['SiO2', 'Al2O3'],
+  bands: [
+    { below: 55, intercept: 1245, coefficients: { SiO2: 1.1, Al2O3: 0.95, Fe2O3: -2.5, CaO: -2.98, MgO: -4.5, Na2O: -7.89, K2O: -7.89, SO3: -1.7, TiO2: -0.63 } },
+    { below: 75, intercept: 1323, coefficients: { SiO2: 1.45, Al2O3: 0.683, Fe2O3: -2.39, CaO: -3.1, MgO: -4.5, Na2O: -7.49, K2O: -7.49, SO3: -2.1, TiO2: -0.63 } },
+    { below: null, intercept: 1395, coefficients: { SiO2: 1.2, Al2O3: 0.9, Fe2O3: -2.5, CaO: -3.1, MgO: -4.5, Na2O: -7.2, K2O: -7.2, SO3: -1.7, TiO2: -0.63 } }
+  ]
+}];
+
+// plant-defined correlations (boiler OEM, coal origin specific, ...), same shape as the built-in ones
+const AftModelSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  selector: [String],
+  bands: [{
+    below: { type: Number, default: null },
+    intercept: Number,
+    coefficients: { type: mongoose.Schema.Types.Mixed, default: {} },
+    _id: false
+  }],
+  source: { type: String, default: 'custom' },   // custom | fitted
+  // fitted models start as drafts: selectable only once their fit report was reviewed and they were activated
+  status: { type: String, enum: ['draft', 'active'], default: 'active' },
+  fit: { type: mongoose.Schema.Types.Mixed, default: null },   // fit report (see AFT calibration)
+  activatedAt: { type: Date, default: null },
+  activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { collection: 'aftmodels' });
+
+const AftModel = mongoose.model('AftModel', AftModelSchema);
+
+// index of the band that applies to `ox`
+function aftBand(ox, model) {
+  const sum = model.selector.reduce((s, k) => s + (Number(ox && ox[k]) || 0), 0);
+  const i = model.bands.findIndex(b => b.below === null || b.below === undefined || sum < b.below);
+  return i < 0 ? model.bands.length - 1 : i;
+}
+
+// AFT with the numbers of band `band` whatever the composition; linear in the oxides
+function calcAFTBand(ox, model, band) {
+  const b = model.bands[band];
+  return Number(b.intercept) + AFT_OXIDES.reduce((s, k) => s + (Number(b.coefficients[k]) || 0) * (Number(ox[k]) || 0), 0);
+}
+
+function calcAFT(ox, model) {
+  // ox: { SiO2, Al2O3, Fe2O3, CaO, MgO, Na2O, K2O, SO3, TiO2 }
+  const total = Object.keys(ox || {}).reduce((s, k) => s + (Number(ox[k]) || 0), 0);
+  if (total === 0) return 0;
+  const m = model || BUILTIN_AFT_MODELS[0];
+  return calcAFTBand(ox, m, aftBand(ox, m));
+}
+
+/* per-mill AFT and the flow-weighted average (mills without ash data are left out) */
+function aftSummary(oxidesPerMill, flows, model) {
+  const aftPerMill = oxidesPerMill.map(ox => {
+    const total = AFT_OXIDES.reduce((s, k) => s + (Number(ox && ox[k]) || 0), 0);
+    return total === 0 ? null : Number(calcAFT(ox, model));
+  });
+  let weighted = 0;
+  let flowSum = 0;
+  aftPerMill.forEach((aft, m) => {
+    const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+    if (aft !== null && !isNaN(aft)) {
+      weighted += flow * aft;
+      flowSum += flow;
+    }
+  });
+  return { aftPerMill, avgAFT: flowSum > 0 ? weighted / flowSum : null };
+}
+
+function aftModelView(doc) {
+  return {
+    id: doc.key,
+    name: doc.name,
+    description: doc.description || '',
+    selector: doc.selector || [],
+    bands: (doc.bands || []).map(b => ({ below: b.below === undefined ? null : b.below, intercept: b.intercept, coefficients: b.coefficients || {} })),
+    source: doc.source || 'custom',
+    status: doc.status || 'active',
+    builtIn: false,
+    fit: doc.fit || null,
+    activatedAt: doc.activatedAt || null,
+    createdAt: doc.createdAt || null
+  };
+}
+
+let aftModelsCache = null;
+
+/* built-in models first, then the plant's own */
+async function listAftModels() {
+  if (!aftModelsCache) {
+    const docs = await AftModel.find().sort({ createdAt: 1 }).lean();
+    aftModelsCache = BUILTIN_AFT_MODELS.map(m => Object.assign({ source: 'builtin', status: 'active', builtIn: true }, m))
+      .concat(docs.map(aftModelView));
+  }
+  return aftModelsCache;
+}
+
+/* the model with this id, falling back to the default one (drafts are never selected, but can be evaluated) */
+async function getAftModel(id) {
+  const models = await listAftModels();
+  return models.find(m => m.id === id) || models.find(m => m.id === DEFAULT_AFT_MODEL);
+}
+
+function validateAftModel(body) {
+  const errors = [];
+  const src = body || {};
+  const name = typeof src.name === 'string' ? src.name.trim() : '';
+  if (!name || name.length > 80) errors.push('name is required (max 80 characters)');
+  const key = String(src.id || name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  if (!key) errors.push('id must contain letters or digits');
+
+  const selector = src.selector === undefined ? ['SiO2', 'Al2O3'] : src.selector;
+  if (!Array.isArray(selector) || selector.some(k => !AFT_OXIDES.includes(k))) {
+    errors.push(`selector must be a list of oxides (${AFT_OXIDES.join(', ')})`);
+  }
+
+  const bands = [];
+  if (!Array.isArray(src.bands) || !src.bands.length || src.bands.length > 10) errors.push('bands must be a list of 1-10 bands');
+  else src.bands.forEach((b, i) => {
+    const last = i === src.bands.length - 1;
+    const below = (b && b.below !== undefined && b.below !== null && b.below !== '') ? Number(b.below) : null;
+    if (!last && (below === null || !Number.isFinite(below))) errors.push(`bands[${i}].below is required (only the last band is open-ended)`);
+    if (last && below !== null) errors.push(`bands[${i}] is the last band and must not have a below limit`);
+    if (i > 0 && below !== null && bands[i - 1] && bands[i - 1].below !== null && below <= bands[i - 1].below) errors.push(`bands[${i}].below must be above the previous band's`);
+    const intercept = Number(b && b.intercept);
+    if (!Number.isFinite(intercept)) errors.push(`bands[${i}].intercept must be a number`);
+    const coefficients = {};
+    const coef = (b && b.coefficients) || {};
+    Object.keys(coef).forEach(k => {
+      if (!AFT_OXIDES.includes(k)) errors.push(`bands[${i}].coefficients.${k} is not an oxide the model can use`);
+      else if (coef[k] !== null && coef[k] !== '' && !Number.isFinite(Number(coef[k]))) errors.push(`bands[${i}].coefficients.${k} must be a number`);
+      else if (coef[k] !== null && coef[k] !== '') coefficients[k] = Number(coef[k]);
+    });
+    bands.push({ below, intercept, coefficients });
+  });
+
+  return {
+    errors,
+    value: { key, name, description: typeof src.description === 'string' ? src.description.trim().slice(0, 500) : '', selector, bands }
+  };
+}
+
+/**
+ * AFT models the plant can select, and which one is selected. Fitted drafts are listed with their fit report.
+ * Response: { selected, models: [{ id, name, description, selector, bands, source, status, builtIn, fit }] }
+ */
+app.get('/api/aft-models', requirePermission('blend:read'), async (req, res) => {
+  try {
+    const plant = await getPlantConfig();
+    return res.json({ selected: plant.aftModel, models: await listAftModels() });
+  } catch (err) {
+    console.error('GET /api/aft-models error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Add a plant-defined AFT model. Models cannot be edited afterwards (blends record the id they were
+ * computed with); add a new one instead.
+ * Body: { id?, name, description?, selector?: [oxide], bands: [{ below, intercept, coefficients: { SiO2, ... } }] }
+ */
+app.post('/api/aft-models', requirePermission('settings:edit'), async (req, res) => {
+  try {
+    const { errors, value } = validateAftModel(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    const models = await listAftModels();
+    if (models.some(m => m.id === value.key)) return res.status(409).json({ error: `An AFT model with id ${value.key} already exists` });
+    const doc = await AftModel.create(Object.assign({ createdBy: req.user._id }, value));
+    aftModelsCache = null;
+    auditChange(res, { action: 'aft-model.create', entity: 'aft-model', entityId: value.key, before: null, after: aftModelView(doc.toObject()) });
+    return res.status(201).json(aftModelView(doc.toObject()));
+  } catch (err) {
+    console.error('POST /api/aft-models error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Remove a plant-defined AFT model (not the built-in ones, nor the one the plant has selected).
+ */
+app.delete('/api/aft-models/:id', requirePermission('settings:edit'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (BUILTIN_AFT_MODELS.some(m => m.id === id)) return res.status(400).json({ error: 'Built-in models cannot be deleted' });
+    const plant = await getPlantConfig();
+    if (plant.aftModel === id) return res.status(409).json({ error: 'This model is selected for the plant; select another one first' });
+    const result = await AftModel.deleteOne({ key: id });
+    if (!result.deletedCount) return res.status(404).json({ error: 'AFT model not found' });
+    aftModelsCache = null;
+    auditChange(res, { action: 'aft-model.delete', entity: 'aft-model', entityId: id });
+    return res.json({ message: 'Deleted', id });
+  } catch (err) {
+    console.error('DELETE /api/aft-models/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* blended ash oxides per mill of a saved blend; blends saved before the oxides were stored get them
+   recomputed with the analyses valid at save time */
+async function blendOxidesPerMill(blend) {
+  if (Array.isArray(blend.oxidesPerMill) && blend.oxidesPerMill.length) return blend.oxidesPerMill;
+  return (await computeBlendMetrics(blend.rows || [], blend.flows, blend.generation, blend.createdAt, [])).oxidesPerMill;
+}
+
+/**
+ * One saved blend evaluated under every AFT model, for comparison.
+ * Response: { id, recorded: { id, name } | null, selected, models: [{ id, name, status, builtIn, aftPerMill, avgAFT }] }
+ */
+app.get('/api/blend/:id/aft-models', requirePermission('blend:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Blend not found' });
+    const blend = await Blend.findById(req.params.id).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+
+    const oxides = await blendOxidesPerMill(blend);
+    const plant = await getPlantConfig();
+    const models = (await listAftModels()).map(model => Object.assign(
+      { id: model.id, name: model.name, status: model.status, builtIn: !!model.builtIn },
+      aftSummary(oxides, blend.flows, model)
+    ));
+    return res.json({
+      id: blend._id,
+      recorded: (blend.aftModel && blend.aftModel.id) ? blend.aftModel : null,
+      selected: plant.aftModel,
+      models
+    });
+  } catch (err) {
+    console.error('GET /api/blend/:id/aft-models error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Ash behaviour indices (slagging / fouling) -------------------- */
+// Empirical indices from the blended ash oxides (% of ash) and coal sulphur (%):
+//   baseAcid     B/A = (Fe2O3 + CaO + MgO + Na2O + K2O) / (SiO2 + Al2O3 + TiO2)
+//   slagging     Rs  = B/A x S
+//   fouling      Fs  = B/A x Na2O
+//   silicaRatio  SR  = 100 x SiO2 / (SiO2 + Fe2O3 + CaO + MgO)
+//   ironCalcium  Fe2O3 / CaO
+// Levels use the same band shape as the AFT models: ascending `below` limits, the last band open-ended.
+const ASH_INDICES = [
+  { key: 'baseAcid', label: 'Base/acid ratio', bands: [{ below: 0.5, level: 'low' }, { below: 1.0, level: 'medium' }, { below: 1.75, level: 'high' }, { below: null, level: 'severe' }] },
+  { key: 'slagging', label: 'Slagging index (Rs)', bands: [{ below: 0.6, level: 'low' }, { below: 2.0, level: 'medium' }, { below: 2.6, level: 'high' }, { below: null, level: 'severe' }] },
+  { key: 'fouling', label: 'Fouling index (Fs)', bands: [{ below: 0.2, level: 'low' }, { below: 0.5, level: 'medium' }, { below: 1.0, level: 'high' }, { below: null, level: 'severe' }] },
+  { key: 'silicaRatio', label: 'Silica ratio', bands: [{ below: 50, level: 'severe' }, { below: 65, level: 'high' }, { below: 72, level: 'medium' }, { below: null, level: 'low' }] },
+  // iron and calcium form low-melting eutectics in between; either one dominating is benign
+  { key: 'ironCalcium', label: 'Fe2O3/CaO ratio', bands: [{ below: 0.3, level: 'low' }, { below: 3.0, level: 'high' }, { below: null, level: 'medium' }] }
+];
+
+/* indices of one ash analysis; an index is null when its denominator is zero (no ash data) */
+function ashIndices(ox, sulphur) {
+  const v = k => Number(ox && ox[k]) || 0;
+  const acid = v('SiO2') + v('Al2O3') + v('TiO2');
+  const base = v('Fe2O3') + v('CaO') + v('MgO') + v('Na2O') + v('K2O');
+  const baseAcid = acid > 0 ? base / acid : null;
+  const silicaDen = v('SiO2') + v('Fe2O3') + v('CaO') + v('MgO');
+  return {
+    baseAcid,
+    slagging: baseAcid !== null && sulphur !== null && sulphur !== undefined ? baseAcid * Number(sulphur) : null,
+    fouling: baseAcid !== null ? baseAcid * v('Na2O') : null,
+    silicaRatio: silicaDen > 0 ? 100 * v('SiO2') / silicaDen : null,
+    ironCalcium: v('CaO') > 0 ? v('Fe2O3') / v('CaO') : null
+  };
+}
+
+/* low / medium / high / severe for an index value (null when unknown) */
+function ashIndexLevel(key, value) {
+  const def = ASH_INDICES.find(d => d.key === key);
+  if (!def || value === null || value === undefined || !Number.isFinite(Number(value))) return null;
+  const band = def.bands.find(b => b.below === null || Number(value) < b.below);
+  return band ? band.level : null;
+}
+
+/* per-mill indices (null for mills without ash data) and their flow-weighted average */
+function ashIndicesSummary(oxidesPerMill, sulphurPerMill, flows) {
+  const perMill = oxidesPerMill.map((ox, m) => {
+    if (!AFT_OXIDES.some(k => Number(ox && ox[k]) > 0)) return null;
+    return ashIndices(ox, Array.isArray(sulphurPerMill) ? sulphurPerMill[m] : null);
+  });
+  const overall = {};
+  ASH_INDICES.forEach(({ key }) => {
+    let weighted = 0;
+    let flowSum = 0;
+    perMill.forEach((idx, m) => {
+      const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+      if (idx && idx[key] !== null && flow > 0) {
+        weighted += flow * idx[key];
+        flowSum += flow;
+      }
+    });
+    overall[key] = flowSum > 0 ? weighted / flowSum : null;
+  });
+  return { perMill, overall };
+}
+
+/* -------------------- Thermal units -------------------- */
+// GCV and mill flows are stored in the units the plant enters them in (plant.thermal); thermal figures are
+// worked out in kcal/kg, t/h and MW. t/h x kcal/kg over MW is kcal/kWh, the unit heat rates are reported in.
+const KJ_PER_KCAL = 4.1868;
+const KCAL_PER_KWH = 3600 / KJ_PER_KCAL;
+const GCV_UNITS = { 'kcal/kg': 1, 'kJ/kg': 1 / KJ_PER_KCAL, 'MJ/kg': 1000 / KJ_PER_KCAL };   // -> kcal/kg
+const FLOW_UNITS = { 't/h': 1, 'kg/s': 3.6 };                                             // -> t/h
+
+function toKcalPerKg(gcv, thermal) {
+  return (Number(gcv) || 0) * GCV_UNITS[thermal.gcvUnit];
+}
+
+function fromKcalPerKg(kcal, thermal) {
+  return kcal / GCV_UNITS[thermal.gcvUnit];
+}
+
+function toTph(flow, thermal) {
+  return (Number(flow) || 0) * FLOW_UNITS[thermal.flowUnit];
+}
+
+/* kcal/kWh for a flow and GCV in plant units and generation in MW; null without flow or generation */
+function heatRateKcalPerKWh(flow, gcv, generation, thermal) {
+  const tph = toTph(flow, thermal);
+  return (Number(generation) > 0 && tph > 0) ? tph * toKcalPerKg(gcv, thermal) / Number(generation) : null;
+}
+
+/* heat rate the unit is designed for: turbine cycle heat rate over boiler efficiency */
+function designHeatRate(thermal) {
+  return thermal.turbineHeatRate / (thermal.boilerEfficiency / 100);
+}
+
+/* fuel-to-power efficiency (%) of a heat rate */
+function unitEfficiencyPct(heatRate) {
+  return heatRate > 0 ? KCAL_PER_KWH / heatRate * 100 : null;
+}
+
+/* MW a flow of coal (plant units) gives at the design heat rate */
+function expectedGenerationMW(flow, gcv, thermal) {
+  return toTph(flow, thermal) * toKcalPerKg(gcv, thermal) / designHeatRate(thermal);
+}
+
+/* -------------------- SO2 emission estimate -------------------- */
+// All coal sulphur not kept in the ash leaves the stack as SO2 (2 kg SO2 per kg S). The flue gas volume
+// follows the heat fired: GJ/h x dry flue gas per GJ, corrected to the reference O2 of the norm.
+const SO2_PER_SULPHUR = 64.066 / 32.06;
+const AIR_O2 = 20.9;
+
+/* one mill: flow t/h, sulphur %, GCV kcal/kg -> { kgPerHour, flueGasNm3PerHour } */
+function so2Emission(flow, sulphur, gcv, norms) {
+  const f = Number(flow) || 0;
+  const kgPerHour = f * 1000 * (Number(sulphur) || 0) / 100 * (1 - norms.sulphurRetention / 100) * SO2_PER_SULPHUR;
+  const heatGJPerHour = f * (Number(gcv) || 0) * KJ_PER_KCAL / 1000;
+  const flueGasNm3PerHour = heatGJPerHour * norms.flueGasNm3PerGJ * AIR_O2 / (AIR_O2 - norms.referenceO2);
+  return { kgPerHour, flueGasNm3PerHour };
+}
+
+/**
+ * SO2 of the mills firing together. mills: [{ flow, sulphur, gcv }] (null entries = mill not firing).
+ * Returns { kgPerHour, mgPerNm3, perMill: [kg/h | null] }; mgPerNm3 is null without heat input.
+ */
+function so2Summary(mills, norms) {
+  let kg = 0;
+  let gas = 0;
+  const perMill = mills.map(m => {
+    if (!m) return null;
+    const e = so2Emission(m.flow, m.sulphur, m.gcv, norms);
+    kg += e.kgPerHour;
+    gas += e.flueGasNm3PerHour;
+    return e.kgPerHour;
+  });
+  return { kgPerHour: kg, mgPerNm3: gas > 0 ? kg * 1e6 / gas : null, perMill };
+}
+
+/* norms an estimate breaks: [{ norm: 'so2LimitMgNm3' | 'so2LimitKgPerHour', limit, value }] */
+function so2Breaches(so2, norms) {
+  const out = [];
+  if (norms.so2LimitMgNm3 !== null && so2.mgPerNm3 !== null && so2.mgPerNm3 > norms.so2LimitMgNm3) {
+    out.push({ norm: 'so2LimitMgNm3', limit: norms.so2LimitMgNm3, value: so2.mgPerNm3 });
+  }
+  if (norms.so2LimitKgPerHour !== null && so2.kgPerHour > norms.so2LimitKgPerHour) {
+    out.push({ norm: 'so2LimitKgPerHour', limit: norms.so2LimitKgPerHour, value: so2.kgPerHour });
+  }
+  return out;
+}
+
+/* -------------------- compute blend metrics (per-mill aware) -------------------- */
+async function computeBlendMetrics(rows, flows, generation, at, capacities) {
+  // rows: array (each row may have: coal (string or object), percentages[], gcv, cost)
+  // at: blend time; each coal's lab analysis valid at that time is used (default now)
+  // capacities: tonnes per bunker (null entries = unknown), used for layer tonnage
+  // AFT comes from the model selected in the plant config; the blend records which one
+  const oxKeys = AFT_OXIDES;
+  const blendTime = at ? new Date(at) : new Date();
+  const plant = await getPlantConfig();
+  const millCount = plant.bunkerCount;
+  const aftModel = await getAftModel(plant.aftModel);
+
+  // Load all coal docs once
+  const allCoals = await Coal.find().lean();
+  const byId = {};
+  const byNameLower = {};
+  allCoals.forEach(c => {
+    if (c._id) byId[String(c._id)] = c;
+    if (c.coal) byNameLower[String(c.coal).toLowerCase()] = c;
+  });
+
+  const asOf = {}; // coal _id -> coal with the analysis valid at blendTime
+  function findCoalRef(ref) {
+    if (!ref) return null;
+    const doc = byId[String(ref)] || byNameLower[String(ref).toLowerCase()] || null;
+    if (!doc) return null;
+    const key = String(doc._id);
+    if (!asOf[key]) asOf[key] = coalAsOf(doc, blendTime);
+    return asOf[key];
+  }
+
+  // cost of a grid cell: the row's Cost/MT box prices the row's coal, so it only applies when the row names one
+  // coal for every mill; a per-mill coal is priced from the coal master (row cost only if the coal is unknown)
+  function cellCost(row, coalDoc) {
+    const rowCost = (row.cost !== undefined && row.cost !== null && row.cost !== '' && Number(row.cost) > 0) ? Number(row.cost) : null;
+    const perMill = row.coal && typeof row.coal === 'object';
+    if (rowCost !== null && (!perMill || !coalDoc)) return rowCost;
+    return coalDoc ? (Number(coalDoc.cost) || rowCost || 0) : 0;
+  }
+
+  // helper to get per-mill coalRef from row (row.coal may be string or object)
+  function coalRefForRowAndMill(row, mill) {
+    if (!row) return null;
+    if (row.coal && typeof row.coal === 'object' && row.coal !== null) {
+      return row.coal[String(mill)] || '';
+    }
+    return row.coal || '';
+  }
+
+  const blendedGCVPerMill = [];
+  const oxidesPerMill = [];   // blended ash oxides per mill, the AFT model inputs
+  const sulphurPerMill = [];  // blended coal sulphur per mill (%)
+
+  for (let m = 0; m < millCount; m++) {
+    let blendedGCV = 0;
+    let sulphur = 0;
+    const ox = {};
+    oxKeys.forEach(k => ox[k] = 0);
+
+    for (let i = 0; i < (rows ? rows.length : 0); i++) {
+      const row = rows[i] || {};
+      const perc = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
+      const weight = perc / 100;
+
+      // resolve per-mill coalRef if supplied
+      const coalRef = coalRefForRowAndMill(row, m);
+      const coalDoc = findCoalRef(coalRef);
+
+      // gcv: prefer explicit row.gcv (global) else coalDoc.gcv
+      const gcvVal = (row.gcv !== undefined && row.gcv !== null && row.gcv !== '') ? Number(row.gcv) : (coalDoc ? (Number(coalDoc.gcv) || 0) : 0);
+      blendedGCV += gcvVal * weight;
+
+      // accumulate oxides (and sulphur) from coalDoc if present (or from row(if provided))
+      if (coalDoc) {
+        oxKeys.forEach(k => {
+          ox[k] += (Number(coalDoc[k]) || 0) * weight;
+        });
+        sulphur += (Number(coalDoc.SulphurS) || 0) * weight;
+      } else {
+        oxKeys.forEach(k => {
+          if (row[k] !== undefined && row[k] !== null && row[k] !== '') {
+            ox[k] += (Number(row[k]) || 0) * weight;
+          }
+        });
+        sulphur += (Number(row.SulphurS) || 0) * weight;
+      }
+    } // rows loop
+
+    blendedGCVPerMill.push(Number(blendedGCV));
+    oxidesPerMill.push(ox);
+    sulphurPerMill.push(Number(sulphur));
+  } // mills loop
+
+  // totals & weighted averages using flows
+  let totalFlow = 0;
+  let weightedGCV = 0;
+
+  for (let m = 0; m < millCount; m++) {
+    const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+    totalFlow += flow;
+    weightedGCV += flow * (blendedGCVPerMill[m] || 0);
+  }
+
+  const avgGCV = totalFlow > 0 ? (weightedGCV / totalFlow) : 0;
+  const { aftPerMill, avgAFT } = aftSummary(oxidesPerMill, flows, aftModel);
+  const ash = ashIndicesSummary(oxidesPerMill, sulphurPerMill, flows);
+  const millFlow = m => (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+  const avgSulphur = totalFlow > 0 ? sulphurPerMill.reduce((s, v, m) => s + millFlow(m) * v, 0) / totalFlow : null;
+  const thermal = plant.thermal;
+  const so2 = so2Summary(sulphurPerMill.map((v, m) => (millFlow(m) > 0
+    ? { flow: toTph(millFlow(m), thermal), sulphur: v, gcv: toKcalPerKg(blendedGCVPerMill[m], thermal) } : null)), plant.emissions);
+  // kcal/kWh whatever units GCV and flow are entered in (see Thermal units)
+  const heatRate = heatRateKcalPerKWh(totalFlow, avgGCV, generation, thermal);
+  const expectedGeneration = totalFlow > 0 ? expectedGenerationMW(totalFlow, avgGCV, thermal) : null;
+
+  // fuel cost from the coal actually in each mill: rupees per tonne of each mill's blend, weighted by mill flow
+  const costPerMill = [];
+  const costByCoal = {};   // coal name -> { tonsPerHour, costPerHour }
+  let costPerHour = 0, pctCost = 0, pctSum = 0;
+  for (let m = 0; m < millCount; m++) {
+    const flow = toTph(millFlow(m), thermal);
+    let millCost = 0;
+    for (let i = 0; i < (rows ? rows.length : 0); i++) {
+      const row = rows[i] || {};
+      const perc = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
+      if (!(perc > 0)) continue;
+      const coalRef = coalRefForRowAndMill(row, m);
+      const coalDoc = findCoalRef(coalRef);
+      const cost = cellCost(row, coalDoc);
+      millCost += cost * perc / 100;
+      pctCost += cost * perc;
+      pctSum += perc;
+      if (flow > 0) {
+        const name = coalDoc ? coalDoc.coal : (coalRef || '(unnamed)');
+        const entry = costByCoal[name] || (costByCoal[name] = { coal: name, tonsPerHour: 0, costPerHour: 0 });
+        entry.tonsPerHour += flow * perc / 100;
+        entry.costPerHour += flow * perc / 100 * cost;
+      }
+    }
+    costPerMill.push(Number(millCost));
+    costPerHour += flow * millCost;
+  }
+  // cost per tonne fired; a blend saved without flows falls back to the percentage-weighted grid cost
+  const costRate = totalFlow > 0 ? costPerHour / toTph(totalFlow, thermal) : (pctSum > 0 ? pctCost / pctSum : 0);
+  const costPerMWh = (generation && generation > 0 && totalFlow > 0) ? costPerHour / generation : null;
+  const costBreakdown = Object.values(costByCoal)
+    .sort((a, b) => b.costPerHour - a.costPerHour)
+    .map(c => ({
+      coal: c.coal,
+      tonsPerHour: c.tonsPerHour,
+      share: costPerHour > 0 ? c.costPerHour / costPerHour * 100 : 0,
+      costPerTonne: c.tonsPerHour > 0 ? c.costPerHour / c.tonsPerHour : 0,
+      costPerHour: c.costPerHour,
+      costPerMWh: (generation && generation > 0) ? c.costPerHour / generation : null
+    }));
+
+  // Build per-bunker structure (independent storage)
+  const bunkers = [];
+  const analysesUsed = {}; // coal _id -> which analysis fed this blend
+  for (let m = 0; m < millCount; m++) {
+    const layers = [];
+    const capacity = (Array.isArray(capacities) && capacities[m] != null) ? Number(capacities[m]) : null;
+    for (let rIdx = 0; rIdx < (rows || []).length; rIdx++) {
+      const row = rows[rIdx];
+      const pct = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
+      if (!pct || pct <= 0) continue;
+      const coalRef = coalRefForRowAndMill(row, m);
+      const coalDoc = findCoalRef(coalRef);
+// server.js — when building bunkers inside computeBlendMetrics()
+layers.push({
+  rowIndex: rIdx + 1,
+  coal: coalDoc ? coalDoc.coal : (coalRef || ''),
+  percent: Number(pct),
+  tons: capacity !== null ? Number(pct) / 100 * capacity : null,
+  gcv: coalDoc ? (Number(coalDoc.gcv) || Number(row.gcv || 0)) : Number(row.gcv || 0),
+  cost: cellCost(row, coalDoc),
+  sulphur: coalDoc ? (Number(coalDoc.SulphurS) || 0) : (Number(row.SulphurS) || 0),
+  color: coalDoc ? (coalDoc.color || coalDoc.colour || null) : (row.color || null) // <-- new
+});
+      if (coalDoc && !analysesUsed[String(coalDoc._id)]) {
+        analysesUsed[String(coalDoc._id)] = {
+          coalId: coalDoc._id,
+          coal: coalDoc.coal,
+          analysisId: coalDoc.analysisId,
+          effectiveFrom: coalDoc.analysisEffectiveFrom,
+          sampleRef: coalDoc.sampleRef
+        };
+      }
+
+    }
+    bunkers.push({ capacity, layers });
+  }
+
+  return {
+    totalFlow: Number(totalFlow),
+    avgGCV: Number(avgGCV),
+    avgAFT: (avgAFT === null ? null : Number(avgAFT)),
+    heatRate: (heatRate === null ? null : Number(heatRate)),
+    unitEfficiency: unitEfficiencyPct(heatRate),
+    expectedGeneration,
+    costRate: Number(costRate),
+    costPerHour: Number(costPerHour),
+    costPerMWh: (costPerMWh === null ? null : Number(costPerMWh)),
+    costPerMill,
+    costBreakdown,
+    aftPerMill: aftPerMill.map(v => (v === null ? null : Number(v))),
+    blendedGCVPerMill: blendedGCVPerMill.map(v => Number(v)),
+    oxidesPerMill,
+    sulphurPerMill,
+    avgSulphur: (avgSulphur === null ? null : Number(avgSulphur)),
+    so2KgPerHour: Number(so2.kgPerHour),
+    so2MgPerNm3: (so2.mgPerNm3 === null ? null : Number(so2.mgPerNm3)),
+    so2PerMill: so2.perMill,
+    aftModel: { id: aftModel.id, name: aftModel.name },
+    ashIndicesPerMill: ash.perMill,
+    ashIndices: ash.overall,
+    bunkers,
+    analysesUsed: Object.values(analysesUsed)
+  };
+}
+
+/* -------------------- Blend endpoints (create / update / latest) -------------------- */
+/**
+ * Bunker capacity for a save: body values win, missing ones fall back to the plant config.
+ * Returns { errors, bunkerCapacity, bunkerCapacities, capacityPerBunker }.
+ */
+function resolveBlendCapacity(body, plant) {
+  const errors = [];
+  const invalid = v => v !== null && v !== undefined && v !== '' && positiveOrNull(v) === null;
+
+  let bunkerCapacity = plant.bunkerCapacity;
+  if (body.bunkerCapacity !== undefined) {
+    if (invalid(body.bunkerCapacity)) errors.push('bunkerCapacity must be a positive number or null');
+    bunkerCapacity = positiveOrNull(body.bunkerCapacity);
+  }
+
+  let overrides = plant.bunkerCapacities;
+  if (body.bunkerCapacities !== undefined) {
+    if (!Array.isArray(body.bunkerCapacities)) errors.push('bunkerCapacities must be an array');
+    else if (body.bunkerCapacities.some(invalid)) errors.push('bunkerCapacities entries must be positive numbers or null');
+    overrides = Array.isArray(body.bunkerCapacities) ? body.bunkerCapacities : [];
+  }
+
+  const bunkerCapacities = [];
+  for (let i = 0; i < plant.bunkerCount; i++) bunkerCapacities.push(positiveOrNull(overrides[i]));
+  return {
+    errors,
+    bunkerCapacity,
+    bunkerCapacities,
+    capacityPerBunker: bunkerCapacities.map(c => c !== null ? c : bunkerCapacity)
+  };
+}
+
+/**
+ * Blend rows as stored: coal ids in row.coal (string or per-mill map) become coal names,
+ * percentages / gcv / cost are numbers.
+ */
+function resolveBlendRows(rows, allCoals, plant) {
+  const byId = {};
+  const byNameLower = {};
+  allCoals.forEach(c => {
+    if (c._id) byId[String(c._id)] = c;
+    if (c.coal) byNameLower[String(c.coal).toLowerCase()] = c;
+  });
+
+  function resolveRowCoalField(row) {
+    if (!row) return row;
+    const copy = Object.assign({}, row);
+    if (copy.coal && typeof copy.coal === 'object') {
+      const newMap = {};
+      Object.keys(copy.coal).forEach(k => {
+        const ref = copy.coal[k];
+        if (ref && byId[ref]) newMap[k] = byId[ref].coal;
+        else if (ref && byNameLower[String(ref).toLowerCase()]) newMap[k] = byNameLower[String(ref).toLowerCase()].coal;
+        else newMap[k] = ref || '';
+      });
+      copy.coal = newMap;
+    } else {
+      const ref = copy.coal ? String(copy.coal) : '';
+      if (ref) {
+        if (byId[ref]) copy.coal = byId[ref].coal;
+        else if (byNameLower[ref.toLowerCase()]) copy.coal = byNameLower[ref.toLowerCase()].coal;
+      }
+    }
+    // sanitize percentages, gcv, cost
+    if (Array.isArray(copy.percentages)) copy.percentages = copy.percentages.map(v => Number(v) || 0);
+    else copy.percentages = new Array(plant.bunkerCount).fill(0);
+    copy.gcv = (copy.gcv !== undefined && copy.gcv !== null) ? Number(copy.gcv) : 0;
+    copy.cost = (copy.cost !== undefined && copy.cost !== null) ? Number(copy.cost) : 0;
+    return copy;
+  }
+
+  return (rows || []).map(resolveRowCoalField);
+}
+
+/**
+ * Create a new Blend document; compute metrics server-side and store them.
+ * Body: { rows: [.], flows: [.], generation: number, bunkerCapacity?, bunkerCapacities? }
+ * Capacity not given in the body comes from the plant config.
+ */
+app.post('/api/blend', requirePermission('blend:edit'), async (req, res) => {
+  try {
+    const { rows, flows, generation } = req.body;
+    if (!Array.isArray(rows) || !Array.isArray(flows)) {
+      return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
+    }
+
+    const plant = await getPlantConfig();
+    const capacity = resolveBlendCapacity(req.body, plant);
+    if (capacity.errors.length) return res.status(400).json({ error: capacity.errors.join('; '), errors: capacity.errors });
+
+    const rowsToSave = resolveBlendRows(rows, await Coal.find().lean(), plant);
+    const replaced = await Blend.findOne({}, { bunkers: 0, oxidesPerMill: 0 }).sort({ createdAt: -1 }).lean();
+
+    // compute metrics including bunkers, with the coal analyses valid now
+    const savedAt = new Date();
+    const metrics = await computeBlendMetrics(rowsToSave, flows, generation, savedAt, capacity.capacityPerBunker);
+
+    // create and save blend - include bunkers from metrics
+    const doc = new Blend(Object.assign({}, {
+      rows: rowsToSave,
+      flows,
+      generation,
+      bunkerCapacity: capacity.bunkerCapacity,
+      bunkerCapacities: capacity.bunkerCapacities,
+      bunkers: metrics.bunkers || [],
+      rev: 1,
+      savedBy: req.user._id,
+      createdAt: savedAt
+    }, metrics));
+    doc.lineage = doc._id;
+    await doc.save();
+    broadcastEvent('blend-saved', { id: doc._id, lineage: doc.lineage, rev: doc.rev });
+    notifyBlendSaved(doc, req.user, 'saved');
+    broadcastEvent('flow-updated', { flows: doc.flows, source: 'blend', blendId: doc._id });
+    scheduleAlarmEvaluation('blend');
+    // a new lineage takes over from the blend that was live, so the diff is against that one
+    auditChange(res, {
+      action: 'blend.create', entity: 'blend', entityId: doc._id, before: replaced ? blendAuditView(replaced) : null, after: blendAuditView(doc),
+      details: { lineage: doc.lineage, rev: doc.rev, replaced: replaced ? replaced._id : null }
+    });
+    return res.status(201).json({ message: 'Saved', id: doc._id, rev: doc.rev, lineage: doc.lineage });
+  } catch (err) {
+    console.error('POST /api/blend error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Save a new revision on top of blend :id; recompute metrics.
+ * The predecessor is never modified. Returns 409 (with latestId) when :id is no longer
+ * the newest revision of its lineage, i.e. someone else saved in between.
+ */
+app.put('/api/blend/:id', requirePermission('blend:edit'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'Blend not found' });
+    const { rows, flows, generation } = req.body;
+    if (!Array.isArray(rows) || !Array.isArray(flows)) {
+      return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
+    }
+
+    const plant = await getPlantConfig();
+    const capacity = resolveBlendCapacity(req.body, plant);
+    if (capacity.errors.length) return res.status(400).json({ error: capacity.errors.join('; '), errors: capacity.errors });
+
+    const prev = await Blend.findById(id).lean();
+    if (!prev) return res.status(404).json({ error: 'Blend not found' });
+
+    const lineage = lineageOf(prev);
+    const head = await Blend.findOne(lineageQuery(lineage)).sort({ rev: -1, createdAt: -1 }).lean();
+    if (head && String(head._id) !== String(prev._id)) {
+      return res.status(409).json({ error: 'Blend was changed by someone else', latestId: head._id, latestRev: head.rev || 1 });
+    }
+
+    const rowsToSave = resolveBlendRows(rows, await Coal.find().lean(), plant);
+    const savedAt = new Date();
+    const metrics = await computeBlendMetrics(rowsToSave, flows, generation, savedAt, capacity.capacityPerBunker);
+
+    const doc = new Blend(Object.assign({}, {
+      rows: rowsToSave,
+      flows,
+      generation,
+      bunkerCapacity: capacity.bunkerCapacity,
+      bunkerCapacities: capacity.bunkerCapacities,
+      bunkers: metrics.bunkers || [],
+      lineage,
+      rev: (prev.rev || 1) + 1,
+      previousRevision: prev._id,
+      savedBy: req.user._id,
+      createdAt: savedAt
+    }, metrics));
+    try {
+      await doc.save();
+    } catch (saveErr) {
+      // lost a race with another save of the same predecessor
+      if (saveErr && saveErr.code === 11000) return res.status(409).json({ error: 'Blend was changed by someone else' });
+      throw saveErr;
+    }
+    broadcastEvent('blend-saved', { id: doc._id, lineage: doc.lineage, rev: doc.rev, previousRevision: prev._id });
+    notifyBlendSaved(doc, req.user, 'saved');
+    broadcastEvent('flow-updated', { flows: doc.flows, source: 'blend', blendId: doc._id });
+    scheduleAlarmEvaluation('blend');
+    auditChange(res, {
+      action: 'blend.revise', entity: 'blend', entityId: doc._id, before: blendAuditView(prev), after: blendAuditView(doc),
+      details: { lineage: doc.lineage, rev: doc.rev, previousRevision: prev._id }
+    });
+
+    return res.status(201).json({ message: 'Saved revision', id: doc._id, rev: doc.rev, lineage: doc.lineage, previousRevision: prev._id });
+  } catch (err) {
+    console.error('PUT /api/blend/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// headline figures a preview is compared on against the live blend
+const BLEND_SUMMARY_FIELDS = ['generation', 'totalFlow', 'avgGCV', 'avgAFT', 'heatRate', 'unitEfficiency', 'expectedGeneration',
+  'costRate', 'costPerHour', 'costPerMWh', 'avgSulphur', 'so2KgPerHour', 'so2MgPerNm3'];
+
+function blendSummary(b) {
+  const out = {};
+  BLEND_SUMMARY_FIELDS.forEach(k => { out[k] = (b[k] === undefined) ? null : b[k]; });
+  return out;
+}
+
+/* what the audit trail compares between two blends: the inputs, and the headline results they gave */
+function blendAuditView(b) {
+  return {
+    rows: b.rows,
+    flows: b.flows,
+    generation: b.generation === undefined ? null : b.generation,
+    bunkerCapacity: b.bunkerCapacity === undefined ? null : b.bunkerCapacity,
+    bunkerCapacities: b.bunkerCapacities || [],
+    summary: blendSummary(b)
+  };
+}
+
+/**
+ * What-if: metrics and drain schedule of a candidate blend, computed exactly as a save would but not stored.
+ * Body: same as POST /api/blend.
+ * Response: { simulated: true, at, summary, metrics (per-mill figures, cost breakdown, ...), bunkers, schedule,
+ *             so2Breaches, live: { id, rev, createdAt, summary } | null }
+ */
+app.post('/api/blend/simulate', requirePermission('blend:read'), async (req, res) => {
+  try {
+    const { rows, flows, generation } = req.body || {};
+    if (!Array.isArray(rows) || !Array.isArray(flows)) {
+      return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
+    }
+
+    const plant = await getPlantConfig();
+    const capacity = resolveBlendCapacity(req.body, plant);
+    if (capacity.errors.length) return res.status(400).json({ error: capacity.errors.join('; '), errors: capacity.errors });
+
+    const [allCoals, live] = await Promise.all([
+      Coal.find().lean(),
+      Blend.findOne({}, { rows: 0, bunkers: 0, oxidesPerMill: 0 }).sort({ createdAt: -1 }).lean()
+    ]);
+    const at = new Date();
+    const metrics = await computeBlendMetrics(resolveBlendRows(rows, allCoals, plant), flows, generation, at, capacity.capacityPerBunker);
+    const bunkers = metrics.bunkers;
+    delete metrics.bunkers;
+    metrics.generation = generation === undefined ? null : generation;
+
+    // the schedule as if the candidate were loaded now
+    const schedule = computeDrainSchedule({ flows, bunkers, bunkerCapacity: capacity.bunkerCapacity, createdAt: at }, plant, at);
+
+    return res.json({
+      simulated: true,
+      at,
+      summary: blendSummary(metrics),
+      metrics,
+      bunkers,
+      schedule,
+      so2Breaches: so2Breaches({ kgPerHour: metrics.so2KgPerHour, mgPerNm3: metrics.so2MgPerNm3 }, plant.emissions),
+      live: live ? { id: live._id, rev: live.rev || 1, createdAt: live.createdAt, summary: blendSummary(live) } : null
+    });
+  } catch (err) {
+    console.error('POST /api/blend/simulate error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Shift-in-charge approval of a saved blend
+ */
+app.post('/api/blend/:id/approve', requirePermission('blend:approve'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Blend not found' });
+    const updated = await Blend.findByIdAndUpdate(
+      req.params.id,
+      { approvedBy: req.user._id, approvedAt: new Date() },
+      { new: true }
+    );
+    if (!updated) return res.status(404).json({ error: 'Blend not found' });
+    broadcastEvent('blend-saved', { id: updated._id, lineage: lineageOf(updated), rev: updated.rev || 1, approvedAt: updated.approvedAt });
+    auditChange(res, { action: 'blend.approve', entity: 'blend', entityId: updated._id, details: { lineage: lineageOf(updated), rev: updated.rev || 1 } });
+    return res.json({ message: 'Approved', id: updated._id, approvedAt: updated.approvedAt });
+  } catch (err) {
+    console.error('POST /api/blend/:id/approve error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- AFT calibration (measured AFT, fitted models) -------------------- */
+// Lab ash fusion results are recorded against a fired blend (one mill, or the whole blend) or a coal,
+// together with the ash oxides they belong to, so later coal master edits do not move old samples.
+// A fit keeps the bands of a base model and re-estimates each band's intercept and coefficients by
+// least squares over its samples. The oxides add up to nearly 100 % of the ash, which makes plain least
+// squares unstable, so the coefficients are pulled towards the base model's (ridge, on standardised
+// oxides). Fitted models are drafts with a fit report until someone activates them.
+const AFT_MEASURED_RANGE = [800, 1800];   // °C, anything outside is a typo
+const AFT_FIT_DEFAULT_RIDGE = 0.1;
+const AFT_FIT_DEFAULT_MIN_SAMPLES = 10;   // per band; bands with fewer keep the base model's numbers
+const AFT_FIT_MAX_SAMPLES = 5000;
+const AFT_FIT_CV_FOLDS = 10;              // cross-validation folds; bands with up to 100 samples leave out one at a time
+
+const AftMeasurementSchema = new mongoose.Schema({
+  source: { type: String, enum: ['blend', 'coal'], required: true },
+  blend: { type: mongoose.Schema.Types.ObjectId, ref: 'Blend', default: null },
+  mill: { type: Number, default: null },          // null = sample of the whole blend (flow-weighted ash)
+  coal: { type: mongoose.Schema.Types.ObjectId, ref: 'Coal', default: null },
+  coalName: { type: String, default: '' },
+  sampledAt: { type: Date, required: true },
+  sampleRef: { type: String, default: '' },
+  measuredAFT: { type: Number, required: true },  // °C
+  oxides: { type: mongoose.Schema.Types.Mixed, required: true },   // ash oxides the sample stands for (% of ash)
+  note: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { collection: 'aftmeasurements' });
+AftMeasurementSchema.index({ sampledAt: -1 });
+
+const AftMeasurement = mongoose.model('AftMeasurement', AftMeasurementSchema);
+
+function pickOxides(src) {
+  const ox = {};
+  AFT_OXIDES.forEach(k => { ox[k] = Number(src && src[k]) || 0; });
+  return ox;
+}
+
+function hasAsh(ox) {
+  return AFT_OXIDES.some(k => Number(ox && ox[k]) > 0);
+}
+
+/* flow-weighted ash oxides over the mills that have ash data */
+function blendAverageOxides(oxidesPerMill, flows) {
+  const ox = pickOxides({});
+  let flowSum = 0;
+  oxidesPerMill.forEach((millOx, m) => {
+    const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+    if (!flow || !hasAsh(millOx)) return;
+    AFT_OXIDES.forEach(k => { ox[k] += flow * (Number(millOx[k]) || 0); });
+    flowSum += flow;
+  });
+  if (flowSum > 0) AFT_OXIDES.forEach(k => { ox[k] /= flowSum; });
+  return ox;
+}
+
+/* predicted minus measured over [{ predicted, measured }] */
+function aftErrorStats(pairs) {
+  const n = pairs.length;
+  if (!n) return { n: 0, bias: null, mae: null, rmse: null, maxAbs: null, r2: null };
+  let sum = 0, abs = 0, sq = 0, maxAbs = 0, mean = 0;
+  pairs.forEach(p => {
+    const e = p.predicted - p.measured;
+    sum += e;
+    abs += Math.abs(e);
+    sq += e * e;
+    maxAbs = Math.max(maxAbs, Math.abs(e));
+    mean += p.measured / n;
+  });
+  const total = pairs.reduce((s, p) => s + (p.measured - mean) * (p.measured - mean), 0);
+  return {
+    n,
+    bias: sum / n,
+    mae: abs / n,
+    rmse: Math.sqrt(sq / n),
+    maxAbs,
+    r2: total > 0 ? 1 - sq / total : null
+  };
+}
+
+/* solves A x = b in place (Gaussian elimination, partial pivoting); null when singular */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+    if (Math.abs(A[p][c]) < 1e-9) return null;
+    [A[c], A[p]] = [A[p], A[c]];
+    [b[c], b[p]] = [b[p], b[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = A[r][c] / A[c][c];
+      for (let k = c; k < n; k++) A[r][k] -= f * A[c][k];
+      b[r] -= f * b[c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let v = b[r];
+    for (let k = r + 1; k < n; k++) v -= A[r][k] * x[k];
+    x[r] = v / A[r][r];
+  }
+  return x;
+}
+
+/**
+ * Ridge fit of one band: samples [{ ox, measured }], base band { intercept, coefficients }.
+ * Oxides that do not vary across the samples cannot be estimated and keep the base coefficient.
+ * Returns { intercept, coefficients, estimated: [oxide] } or null when the system is singular.
+ */
+function fitAftBand(samples, baseBand, ridge) {
+  const n = samples.length;
+  const base = k => Number(baseBand.coefficients[k]) || 0;
+  const mean = {};
+  const variance = {};
+  AFT_OXIDES.forEach(k => {
+    mean[k] = samples.reduce((s, x) => s + x.ox[k], 0) / n;
+    variance[k] = samples.reduce((s, x) => s + (x.ox[k] - mean[k]) * (x.ox[k] - mean[k]), 0) / n;
+  });
+  const free = AFT_OXIDES.filter(k => variance[k] > 1e-9);
+  // fixed oxides are moved to the left-hand side with their base coefficient
+  const target = samples.map(x => x.measured - AFT_OXIDES.filter(k => !free.includes(k)).reduce((s, k) => s + base(k) * x.ox[k], 0));
+  const targetMean = target.reduce((s, y) => s + y, 0) / n;
+
+  const A = free.map(() => new Array(free.length).fill(0));
+  const b = free.map(k => ridge * n * variance[k] * base(k));
+  samples.forEach((x, i) => {
+    free.forEach((k, r) => {
+      const xr = x.ox[k] - mean[k];
+      b[r] += xr * (target[i] - targetMean);
+      free.forEach((k2, c) => { A[r][c] += xr * (x.ox[k2] - mean[k2]); });
+    });
+  });
+  free.forEach((k, r) => { A[r][r] += ridge * n * variance[k]; });
+
+  const beta = free.length ? solveLinearSystem(A, b) : [];
+  if (!beta) return null;
+  const coefficients = {};
+  AFT_OXIDES.forEach(k => {
+    const i = free.indexOf(k);
+    coefficients[k] = i >= 0 ? beta[i] : base(k);
+  });
+  const intercept = targetMean - free.reduce((s, k, i) => s + beta[i] * mean[k], 0);
+  return { intercept, coefficients, estimated: free };
+}
+
+function round4(v) {
+  return Math.round(v * 10000) / 10000;
+}
+
+/**
+ * Fit a model with the bands of `base` to measurements [{ _id, oxides, measuredAFT }].
+ * Returns { bands, report } where report has per-band and overall base-vs-fitted error statistics
+ * and cross-validated errors (each sample predicted by its band refitted without the sample's fold).
+ */
+function fitAftModel(measurements, base, options) {
+  const ridge = options.ridge;
+  const minSamples = options.minSamples;
+  const samples = measurements.map(m => ({ id: m._id, ox: pickOxides(m.oxides), measured: Number(m.measuredAFT) }));
+  const byBand = base.bands.map(() => []);
+  samples.forEach(x => { byBand[aftBand(x.ox, base)].push(x); });
+
+  const bands = [];
+  const bandReports = [];
+  const crossValidated = [];
+  base.bands.forEach((baseBand, i) => {
+    const group = byBand[i];
+    const below = baseBand.below === undefined ? null : baseBand.below;
+    const report = { band: i, from: i > 0 ? base.bands[i - 1].below : null, below, samples: group.length, reason: null };
+    let fitted = null;
+    if (group.length < minSamples) report.reason = `${group.length} of the ${minSamples} samples needed`;
+    else {
+      fitted = fitAftBand(group, baseBand, ridge);
+      if (!fitted) report.reason = 'the oxide data of this band is degenerate';
+    }
+    const band = fitted
+      ? { below, intercept: round4(fitted.intercept), coefficients: Object.fromEntries(AFT_OXIDES.map(k => [k, round4(fitted.coefficients[k])])) }
+      : { below, intercept: Number(baseBand.intercept), coefficients: Object.assign({}, baseBand.coefficients) };
+    bands.push(band);
+
+    const predict = (b, ox) => Number(b.intercept) + AFT_OXIDES.reduce((s, k) => s + (Number(b.coefficients[k]) || 0) * ox[k], 0);
+    report.base = aftErrorStats(group.map(x => ({ predicted: predict(baseBand, x.ox), measured: x.measured })));
+    report.fitted = !!fitted;
+    report.result = aftErrorStats(group.map(x => ({ predicted: predict(band, x.ox), measured: x.measured })));
+    if (fitted) {
+      report.estimated = fitted.estimated;
+      report.intercept = { base: Number(baseBand.intercept), fitted: band.intercept };
+      report.coefficients = AFT_OXIDES.map(k => ({ oxide: k, base: Number(baseBand.coefficients[k]) || 0, fitted: band.coefficients[k] }));
+      const folds = group.length <= 100 ? group.length : AFT_FIT_CV_FOLDS;
+      for (let f = 0; f < folds; f++) {
+        const rest = group.filter((y, j) => j % folds !== f);
+        const refit = rest.length >= minSamples ? fitAftBand(rest, baseBand, ridge) : null;
+        group.forEach((x, j) => {
+          if (j % folds === f) crossValidated.push({ predicted: predict(refit || band, x.ox), measured: x.measured });
+        });
+      }
+    } else {
+      group.forEach(x => crossValidated.push({ predicted: predict(band, x.ox), measured: x.measured }));
+    }
+    bandReports.push(report);
+  });
+
+  const model = { selector: base.selector, bands };
+  return {
+    bands,
+    report: {
+      baseModel: { id: base.id, name: base.name },
+      ridge,
+      minSamples,
+      samples: samples.length,
+      bands: bandReports,
+      overall: {
+        base: aftErrorStats(samples.map(x => ({ predicted: calcAFT(x.ox, base), measured: x.measured }))),
+        fitted: aftErrorStats(samples.map(x => ({ predicted: calcAFT(x.ox, model), measured: x.measured }))),
+        crossValidated: aftErrorStats(crossValidated)
+      }
+    }
+  };
+}
+
+/* measurement filter from query/body: from, to (sampledAt), source, coal, blend; undefined when invalid */
+function aftMeasurementFilter(q) {
+  const filter = {};
+  const from = parseDateParam(q.from);
+  const to = parseDateParam(q.to);
+  if (from === undefined || to === undefined) return undefined;
+  if (from || to) {
+    filter.sampledAt = {};
+    if (from) filter.sampledAt.$gte = from;
+    if (to) filter.sampledAt.$lte = to;
+  }
+  if (q.source === 'blend' || q.source === 'coal') filter.source = q.source;
+  if (q.coal) {
+    if (!mongoose.isValidObjectId(q.coal)) return undefined;
+    filter.coal = q.coal;
+  }
+  if (q.blend) {
+    if (!mongoose.isValidObjectId(q.blend)) return undefined;
+    filter.blend = q.blend;
+  }
+  return filter;
+}
+
+/**
+ * Measured AFT with the prediction of an AFT model and error statistics (predicted minus measured).
+ * Query: model (default: the selected one), from, to (sampledAt), source=blend|coal, coal, blend, limit (default 100, max 1000)
+ * Response: { model: { id, name, status }, stats: { n, bias, mae, rmse, maxAbs, r2 }, total, items: [{ ..., predictedAFT, error }] }
+ * stats cover every matching measurement, items only the newest `limit`.
+ */
+app.get('/api/aft-measurements', requirePermission('coal:read'), async (req, res) => {
+  try {
+    const q = req.query || {};
+    const filter = aftMeasurementFilter(q);
+    if (filter === undefined) return res.status(400).json({ error: 'from/to must be dates; coal and blend must be ids' });
+    const plant = await getPlantConfig();
+    const models = await listAftModels();
+    const model = models.find(m => m.id === (q.model || plant.aftModel));
+    if (!model) return res.status(400).json({ error: `Unknown AFT model: ${q.model}` });
+
+    const limit = Math.min(1000, Math.max(1, parseInt(q.limit, 10) || 100));
+    const docs = await AftMeasurement.find(filter).sort({ sampledAt: -1 }).limit(AFT_FIT_MAX_SAMPLES).lean();
+    const items = docs.map(d => {
+      const predictedAFT = calcAFT(d.oxides, model);
+      return Object.assign(d, { predictedAFT, error: predictedAFT - d.measuredAFT });
+    });
+    return res.json({
+      model: { id: model.id, name: model.name, status: model.status },
+      stats: aftErrorStats(items.map(d => ({ predicted: d.predictedAFT, measured: d.measuredAFT }))),
+      total: items.length,
+      items: items.slice(0, limit)
+    });
+  } catch (err) {
+    console.error('GET /api/aft-measurements error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Record a lab-measured AFT.
+ * Body: { blend, mill? } or { coal }, measuredAFT (°C), sampledAt?, sampleRef?, note?
+ * A blend sample uses the blended ash of `mill`, or the flow-weighted ash of the whole blend without it;
+ * a coal sample uses the coal's analysis in effect at sampledAt.
+ */
+app.post('/api/aft-measurements', requirePermission('coal:edit'), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const errors = [];
+    const measuredAFT = Number(b.measuredAFT);
+    if (!Number.isFinite(measuredAFT) || measuredAFT < AFT_MEASURED_RANGE[0] || measuredAFT > AFT_MEASURED_RANGE[1]) {
+      errors.push(`measuredAFT must be between ${AFT_MEASURED_RANGE[0]} and ${AFT_MEASURED_RANGE[1]} °C`);
+    }
+    const sampledAt = parseDateParam(b.sampledAt) || (b.sampledAt ? undefined : new Date());
+    if (sampledAt === undefined) errors.push('sampledAt must be an ISO date or epoch milliseconds');
+    if (!b.blend === !b.coal) errors.push('give either blend or coal');
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+
+    const doc = {
+      sampledAt,
+      measuredAFT,
+      sampleRef: typeof b.sampleRef === 'string' ? b.sampleRef.trim().slice(0, 80) : '',
+      note: typeof b.note === 'string' ? b.note.trim().slice(0, 500) : '',
+      createdBy: req.user._id
+    };
+    if (b.blend) {
+      const blend = mongoose.isValidObjectId(b.blend) ? await Blend.findById(b.blend).lean() : null;
+      if (!blend) return res.status(404).json({ error: 'Blend not found' });
+      const oxidesPerMill = await blendOxidesPerMill(blend);
+      const hasMill = b.mill !== undefined && b.mill !== null && b.mill !== '';
+      const mill = hasMill ? Number(b.mill) : null;
+      if (hasMill && (!Number.isInteger(mill) || mill < 0 || mill >= oxidesPerMill.length)) {
+        return res.status(400).json({ error: `mill must be between 0 and ${oxidesPerMill.length - 1}` });
+      }
+      Object.assign(doc, {
+        source: 'blend',
+        blend: blend._id,
+        mill,
+        oxides: hasMill ? pickOxides(oxidesPerMill[mill]) : blendAverageOxides(oxidesPerMill, blend.flows)
+      });
+    } else {
+      const coal = mongoose.isValidObjectId(b.coal) ? await Coal.findById(b.coal).lean() : null;
+      if (!coal) return res.status(404).json({ error: 'Coal not found' });
+      Object.assign(doc, { source: 'coal', coal: coal._id, coalName: coal.coal, oxides: pickOxides(coalAsOf(coal, sampledAt)) });
+    }
+    if (!hasAsh(doc.oxides)) return res.status(400).json({ error: 'No ash analysis for this sample; the coal master has no oxides for it' });
+
+    const created = await AftMeasurement.create(doc);
+    auditChange(res, { action: 'aft-measurement.create', entity: 'aft-measurement', entityId: created._id, before: null, after: created.toObject() });
+    return res.status(201).json(created.toObject());
+  } catch (err) {
+    console.error('POST /api/aft-measurements error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+app.delete('/api/aft-measurements/:id', requirePermission('coal:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Measurement not found' });
+    const removed = await AftMeasurement.findByIdAndDelete(req.params.id).lean();
+    if (!removed) return res.status(404).json({ error: 'Measurement not found' });
+    auditChange(res, { action: 'aft-measurement.delete', entity: 'aft-measurement', entityId: removed._id, before: removed, after: null });
+    return res.json({ message: 'Deleted', id: req.params.id });
+  } catch (err) {
+    console.error('DELETE /api/aft-measurements/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Fit a draft AFT model to the measurements. The draft is listed with its fit report
+ * (GET /api/aft-models) and can be selected once activated.
+ * Body: { name, id?, description?, baseModel? (default: selected), from?, to?, source?, ridge? (default 0.1),
+ *         minSamples? (per band, default 10) }
+ */
+app.post('/api/aft-models/fit', requirePermission('settings:edit'), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const filter = aftMeasurementFilter({ from: b.from, to: b.to, source: b.source });
+    if (filter === undefined) return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds' });
+    const ridge = b.ridge === undefined || b.ridge === '' ? AFT_FIT_DEFAULT_RIDGE : Number(b.ridge);
+    if (!Number.isFinite(ridge) || ridge < 0 || ridge > 100) return res.status(400).json({ error: 'ridge must be between 0 and 100' });
+    const minSamples = b.minSamples === undefined || b.minSamples === '' ? AFT_FIT_DEFAULT_MIN_SAMPLES : Number(b.minSamples);
+    if (!Number.isInteger(minSamples) || minSamples < 3) return res.status(400).json({ error: 'minSamples must be an integer of at least 3' });
+
+    const plant = await getPlantConfig();
+    const models = await listAftModels();
+    const base = models.find(m => m.id === (b.baseModel || plant.aftModel));
+    if (!base) return res.status(400).json({ error: `Unknown AFT model: ${b.baseModel}` });
+
+    const measurements = await AftMeasurement.find(filter).sort({ sampledAt: -1 }).limit(AFT_FIT_MAX_SAMPLES).lean();
+    if (measurements.length < minSamples) {
+      return res.status(400).json({ error: `${measurements.length} measurements match; at least ${minSamples} are needed` });
+    }
+    const { bands, report } = fitAftModel(measurements, base, { ridge, minSamples });
+    if (!report.bands.some(r => r.fitted)) {
+      return res.status(400).json({ error: 'No band has enough measurements to fit', report });
+    }
+    report.from = filter.sampledAt && filter.sampledAt.$gte ? filter.sampledAt.$gte : null;
+    report.to = filter.sampledAt && filter.sampledAt.$lte ? filter.sampledAt.$lte : null;
+    report.source = filter.source || null;
+
+    const { errors, value } = validateAftModel({
+      id: b.id,
+      name: b.name,
+      description: b.description || `Fitted to ${measurements.length} measured AFT from ${base.name}`,
+      selector: base.selector,
+      bands
+    });
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    if (models.some(m => m.id === value.key)) return res.status(409).json({ error: `An AFT model with id ${value.key} already exists` });
+
+    const doc = await AftModel.create(Object.assign({ source: 'fitted', status: 'draft', fit: report, createdBy: req.user._id }, value));
+    aftModelsCache = null;
+    auditChange(res, {
+      action: 'aft-model.fit', entity: 'aft-model', entityId: value.key, before: null, after: aftModelView(doc.toObject()),
+      details: { measurements: measurements.length, base: base.id }
+    });
+    return res.status(201).json(aftModelView(doc.toObject()));
+  } catch (err) {
+    console.error('POST /api/aft-models/fit error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Activate a reviewed draft so the plant can select it.
+ */
+app.post('/api/aft-models/:id/activate', requirePermission('settings:edit'), async (req, res) => {
+  try {
+    const doc = await AftModel.findOne({ key: req.params.id });
+    if (!doc) return res.status(404).json({ error: 'AFT model not found' });
+    if (doc.status !== 'draft') return res.status(409).json({ error: 'AFT model is already active' });
+    doc.status = 'active';
+    doc.activatedAt = new Date();
+    doc.activatedBy = req.user._id;
+    await doc.save();
+    aftModelsCache = null;
+    auditChange(res, { action: 'aft-model.activate', entity: 'aft-model', entityId: doc.key, before: { status: 'draft' }, after: { status: 'active' } });
+    return res.json(aftModelView(doc.toObject()));
+  } catch (err) {
+    console.error('POST /api/aft-models/:id/activate error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Blend optimizer (least-cost recommendation) -------------------- */
+// Chooses up to coalRows coals and a share of each coal per mill that minimise the hourly coal cost
+// (sum over mills of flow x blended cost/t) under the quality limits. Mill AFT is linear in the shares
+// once the band of the plant's AFT model is fixed for that mill, so every mill gets one binary per band,
+// tied to its blended selector oxides with big-M rows; a second set of binaries caps the number of coals (grid rows).
+const OPTIMIZE_TIMEOUT_MS = 10000;
+const OPTIMIZE_RELAX_TIMEOUT_MS = 3000;
+const AFT_BAND_MARGIN = 0.05;   // blended selector oxides kept this far from a band boundary, so rounding cannot flip it
+// how far a binding limit is moved to price it in the explanations
+const OPTIMIZE_RELAX_STEPS = { minAvgGCV: -50, unitHeatRate: -10, minAFT: -10, maxSulphur: 0.05, share: 1, maxCoals: 1 };
+
+function optionalNumber(v, name, errors, min, max) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || (min !== undefined && n < min) || (max !== undefined && n > max)) {
+    errors.push(`${name} must be a number` + (min !== undefined ? ` between ${min} and ${max}` : ''));
+    return null;
+  }
+  return n;
+}
+
+/**
+ * Validate a POST /api/blend/optimize body against the plant and the coal master.
+ * Returns { errors, problem } with problem = { mills: [{ mill, flow }], coals, limits, generation, excluded, aftModel, thermal };
+ * flows and GCV stay in the plant's units (plant.thermal).
+ */
+function parseOptimizeRequest(body, plant, coalDocs, aftModel) {
+  const errors = [];
+  const src = body || {};
+  const c = src.constraints || {};
+
+  const mills = [];
+  if (!Array.isArray(src.flows)) errors.push(`flows[] (${plant.thermal.flowUnit} per mill) is required`);
+  else {
+    for (let m = 0; m < plant.bunkerCount; m++) {
+      const flow = optionalNumber(src.flows[m], `flows[${m}]`, errors, 0, 1e4);
+      if (flow) mills.push({ mill: m, flow });
+    }
+    if (!errors.length && !mills.length) errors.push('At least one mill needs a flow > 0');
+  }
+
+  const generation = optionalNumber(src.generation, 'generation', errors, 0, 1e5);
+  const limits = {
+    minAvgGCV: optionalNumber(c.minAvgGCV, 'constraints.minAvgGCV', errors, 0, fromKcalPerKg(10000, plant.thermal)),
+    unitHeatRate: optionalNumber(c.unitHeatRate, 'constraints.unitHeatRate', errors, 0, 1e5),
+    minAFT: optionalNumber(c.minAFT, 'constraints.minAFT', errors, 0, 2000),
+    maxSulphur: optionalNumber(c.maxSulphur, 'constraints.maxSulphur', errors, 0, 15),
+    maxCoals: optionalNumber(c.maxCoals, 'constraints.maxCoals', errors, 1, plant.coalRows),
+    shares: {}
+  };
+  if (limits.maxCoals === null) limits.maxCoals = plant.coalRows;
+  limits.maxCoals = Math.floor(limits.maxCoals);
+  if (limits.unitHeatRate !== null && !generation) errors.push('constraints.unitHeatRate needs a target generation');
+
+  // candidate coals: the ones named in body.coals (id or name), else the whole active master
+  const views = coalDocs.map(currentCoalView);
+  const findCoal = ref => views.find(v => String(v._id) === String(ref)) ||
+    views.find(v => String(v.coal || '').toLowerCase() === String(ref).toLowerCase()) || null;
+  let candidates = views;
+  if (src.coals !== undefined) {
+    if (!Array.isArray(src.coals) || !src.coals.length) errors.push('coals must be a non-empty array of coal ids or names');
+    else {
+      candidates = [];
+      src.coals.forEach(ref => {
+        const coal = findCoal(ref);
+        if (!coal) errors.push(`Unknown coal: ${ref}`);
+        else if (!candidates.includes(coal)) candidates.push(coal);
+      });
+    }
+  }
+
+  const coals = [];
+  const excluded = [];
+  candidates.forEach(coal => {
+    const has = k => coal[k] !== undefined && coal[k] !== null && Number.isFinite(Number(coal[k]));
+    let reason = null;
+    if (!has('gcv') || Number(coal.gcv) <= 0) reason = 'no GCV';
+    else if (!has('cost')) reason = 'no cost';
+    else if (limits.minAFT !== null && !AFT_OXIDES.some(k => Number(coal[k]) > 0)) reason = 'no ash analysis for AFT';
+    else if (limits.maxSulphur !== null && !has('SulphurS')) reason = 'no sulphur value';
+    if (reason) excluded.push({ coalId: coal._id, coal: coal.coal, reason });
+    else coals.push(coal);
+  });
+  if (!errors.length && !coals.length) errors.push('No usable coals (each needs GCV and cost, plus ash analysis / sulphur for those limits)');
+
+  if (c.coalShares !== undefined) {
+    if (!Array.isArray(c.coalShares)) errors.push('constraints.coalShares must be an array of { coal, min?, max? }');
+    else c.coalShares.forEach((s, i) => {
+      const coal = s && findCoal(s.coal);
+      if (!coal || !coals.includes(coal)) return errors.push(`constraints.coalShares[${i}]: coal is unknown or not usable`);
+      const min = optionalNumber(s.min, `constraints.coalShares[${i}].min`, errors, 0, 100);
+      const max = optionalNumber(s.max, `constraints.coalShares[${i}].max`, errors, 0, 100);
+      if (min !== null && max !== null && min > max) errors.push(`constraints.coalShares[${i}]: min is above max`);
+      limits.shares[String(coal._id)] = { min, max };
+    });
+  }
+
+  return { errors, problem: { mills, coals, limits, generation, excluded, aftModel, thermal: plant.thermal } };
+}
+
+/* jsLPSolver model; variable x<j>_<m> = share (0..1) of coal j in mill m */
+function buildBlendLp(problem, limits, timeout) {
+  const { mills, coals, generation, aftModel, thermal } = problem;
+  const totalFlow = mills.reduce((s, m) => s + m.flow, 0);
+  const constraints = {};
+  const variables = {};
+  const binaries = {};
+
+  // rows are flow-weighted averages (mill weight = flow / total flow), GCV in 1000 kcal/kg and cost relative
+  // to the dearest coal, which keeps the tableau well scaled
+  const costScale = Math.max(1, ...coals.map(c => Number(c.cost)));
+  const gcvFloors = [];
+  if (limits.minAvgGCV !== null) gcvFloors.push(toKcalPerKg(limits.minAvgGCV, thermal));
+  // t/h x kcal/kg over MW is kcal/kWh, so the heat the unit needs is generation x heat rate in the same units
+  if (limits.unitHeatRate !== null) gcvFloors.push(generation * limits.unitHeatRate / toTph(totalFlow, thermal));
+  if (gcvFloors.length) constraints.gcv = { min: Math.max(...gcvFloors) / 1000 };
+  if (limits.maxSulphur !== null) constraints.sulphur = { max: limits.maxSulphur };
+  const capCoals = limits.maxCoals < coals.length;
+  if (capCoals) constraints.coalsUsed = { max: limits.maxCoals };
+
+  const useAft = limits.minAFT !== null;
+  const bands = aftModel.bands.map((b, i) => i);
+  const silicaM = 100 * Math.max(1, aftModel.selector.length);
+  let aftM = 1;
+  if (useAft) {
+    coals.forEach(coal => bands.forEach(b => { aftM = Math.max(aftM, Math.abs(calcAFTBand(coal, aftModel, b) - limits.minAFT) + 1); }));
+  }
+
+  mills.forEach(({ mill }) => {
+    constraints[`mill${mill}`] = { equal: 1 };
+    if (!useAft) return;
+    // rows are divided by their big-M so all coefficients stay within [-1, 1]
+    const margin = AFT_BAND_MARGIN / silicaM;
+    constraints[`band${mill}`] = { equal: 1 };
+    bands.forEach(b => {
+      const z = { [`band${mill}`]: 1, [`aft${mill}_${b}`]: -1 };
+      const upper = aftModel.bands[b].below;
+      const lower = b > 0 ? aftModel.bands[b - 1].below : null;
+      if (upper !== null && upper !== undefined) {
+        constraints[`sa${mill}_${b}hi`] = { max: upper / silicaM - margin + 1 };
+        z[`sa${mill}_${b}hi`] = 1;
+      }
+      if (lower !== null && lower !== undefined) {
+        constraints[`sa${mill}_${b}lo`] = { min: lower / silicaM + margin - 1 };
+        z[`sa${mill}_${b}lo`] = -1;
+      }
+      variables[`z${mill}_${b}`] = z;
+      constraints[`aft${mill}_${b}`] = { min: -1 };
+      binaries[`z${mill}_${b}`] = 1;
+    });
+  });
+
+  coals.forEach((coal, j) => {
+    const share = limits.shares[String(coal._id)];
+    if (share && (share.min !== null || share.max !== null)) {
+      constraints[`share${j}`] = {};
+      if (share.min !== null) constraints[`share${j}`].min = share.min / 100;
+      if (share.max !== null) constraints[`share${j}`].max = share.max / 100;
+    }
+    if (capCoals) {
+      variables[`use${j}`] = { coalsUsed: 1 };
+      binaries[`use${j}`] = 1;
+    }
+    const gcv = Number(coal.gcv);
+    const silica = aftModel.selector.reduce((s, k) => s + (Number(coal[k]) || 0), 0);
+    mills.forEach(({ mill, flow }) => {
+      const w = flow / totalFlow;
+      const v = {
+        cost: w * Number(coal.cost) / costScale,
+        [`mill${mill}`]: 1,
+        gcv: w * toKcalPerKg(gcv, thermal) / 1000,
+        sulphur: w * (Number(coal.SulphurS) || 0),
+        [`share${j}`]: w
+      };
+      if (capCoals) {
+        constraints[`link${j}_${mill}`] = { max: 0 };
+        v[`link${j}_${mill}`] = 1;
+        variables[`use${j}`][`link${j}_${mill}`] = -1;
+      }
+      if (useAft) {
+        bands.forEach(b => {
+          v[`aft${mill}_${b}`] = (calcAFTBand(coal, aftModel, b) - limits.minAFT) / aftM;
+          ['hi', 'lo'].forEach(k => {
+            if (constraints[`sa${mill}_${b}${k}`]) v[`sa${mill}_${b}${k}`] = silica / silicaM;
+          });
+        });
+      }
+      variables[`x${j}_${mill}`] = v;
+    });
+  });
+
+  return {
+    model: { optimize: 'cost', opType: 'min', constraints, variables, binaries, options: { timeout } },
+    costPerUnit: costScale * toTph(totalFlow, thermal)   // objective value -> cost per hour
+  };
+}
+
+/* shares[j][i] for coal j in problem.mills[i], and the hourly cost; null when infeasible */
+function solveBlendLp(problem, limits, timeout) {
+  const lp = buildBlendLp(problem, limits, timeout || OPTIMIZE_TIMEOUT_MS);
+  const result = lpSolver.Solve(lp.model);
+  if (!result || !result.feasible) return null;
+  const shares = problem.coals.map((coal, j) => problem.mills.map(({ mill }) => Math.max(0, Number(result[`x${j}_${mill}`]) || 0)));
+  return { cost: (Number(result.result) || 0) * lp.costPerUnit, shares };
+}
+
+/* blend rows for the entry grid: one row per used coal, percentages rounded to 0.01 and summing to 100 per mill */
+function sharesToRows(problem, shares, plant) {
+  const pct = problem.coals.map(() => new Array(plant.bunkerCount).fill(0));
+  problem.mills.forEach(({ mill }, i) => {
+    let largest = -1;
+    let sum = 0;
+    problem.coals.forEach((coal, j) => {
+      const p = Math.round(shares[j][i] * 10000) / 100;
+      pct[j][mill] = p;
+      sum += p;
+      if (largest < 0 || p > pct[largest][mill]) largest = j;
+    });
+    pct[largest][mill] = Math.round((pct[largest][mill] + 100 - sum) * 100) / 100;
+  });
+  const weight = j => problem.mills.reduce((s, { mill, flow }) => s + flow * pct[j][mill], 0);
+  return problem.coals
+    .map((coal, j) => ({ j, weight: weight(j) }))
+    .filter(r => r.weight > 0)
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ j }) => {
+      const coal = problem.coals[j];
+      return { coal: coal.coal, coalId: coal._id, percentages: pct[j], gcv: Number(coal.gcv), cost: Number(coal.cost) };
+    });
+}
+
+/* quality and cost of the rounded rows, flow-weighted the way the dashboards weight them */
+function evaluateOptimizedRows(problem, rows, plant) {
+  const byId = {};
+  problem.coals.forEach(coal => { byId[String(coal._id)] = coal; });
+  const totalFlow = problem.mills.reduce((s, m) => s + m.flow, 0);
+  const perMill = problem.mills.map(({ mill, flow }) => {
+    const ox = {};
+    AFT_OXIDES.forEach(k => { ox[k] = 0; });
+    let gcv = 0;
+    let sulphur = 0;
+    let cost = 0;
+    rows.forEach(row => {
+      const coal = byId[String(row.coalId)];
+      const w = (row.percentages[mill] || 0) / 100;
+      gcv += w * Number(coal.gcv);
+      sulphur += w * (Number(coal.SulphurS) || 0);
+      cost += w * Number(coal.cost);
+      AFT_OXIDES.forEach(k => { ox[k] += w * (Number(coal[k]) || 0); });
+    });
+    const hasAsh = AFT_OXIDES.some(k => ox[k] > 0);
+    return { mill, label: plant.millLabels[mill], flow, gcv, aft: hasAsh ? calcAFT(ox, problem.aftModel) : null, sulphur, costPerTonne: cost };
+  });
+
+  const weighted = key => perMill.reduce((s, m) => s + m.flow * m[key], 0) / totalFlow;
+  const aftMills = perMill.filter(m => m.aft !== null);
+  const aftFlow = aftMills.reduce((s, m) => s + m.flow, 0);
+  const avgGCV = weighted('gcv');
+  const costPerTonne = weighted('costPerTonne');
+  const shares = rows.map(row => ({
+    coalId: row.coalId,
+    coal: row.coal,
+    share: problem.mills.reduce((s, { mill, flow }) => s + flow * (row.percentages[mill] || 0), 0) / totalFlow
+  }));
+  return {
+    totalFlow,
+    avgGCV,
+    avgAFT: aftFlow > 0 ? aftMills.reduce((s, m) => s + m.flow * m.aft, 0) / aftFlow : null,
+    minMillAFT: aftMills.length ? Math.min.apply(null, aftMills.map(m => m.aft)) : null,
+    sulphur: weighted('sulphur'),
+    costPerTonne,
+    costPerHour: costPerTonne * toTph(totalFlow, problem.thermal),
+    heatRate: heatRateKcalPerKWh(totalFlow, avgGCV, problem.generation, problem.thermal),
+    perMill,
+    shares
+  };
+}
+
+/*
+ * Limits the optimum sits on, each priced by re-solving with the limit moved by OPTIMIZE_RELAX_STEPS
+ * (savingPerHour = cost now - cost with the relaxed limit).
+ */
+function explainBindingLimits(problem, limits, metrics, cost) {
+  const binding = [];
+  const near = (a, b, tol) => Math.abs(a - b) <= tol;
+  function price(patch) {
+    const relaxed = Object.assign({}, limits, patch);
+    const r = solveBlendLp(problem, relaxed, OPTIMIZE_RELAX_TIMEOUT_MS);
+    return r ? Math.max(0, cost - r.cost) : null;
+  }
+  function add(constraint, limit, value, saving, message) {
+    let text = message;
+    if (saving !== null) text += saving > 0.005 ? `; saves ${saving.toFixed(2)} per hour` : '; no saving';
+    binding.push({ constraint, limit, value, savingPerHour: saving, message: text });
+  }
+  const step = OPTIMIZE_RELAX_STEPS;
+
+  // the GCV step is in kcal/kg; limit and message are in the plant's GCV unit
+  const gcvUnit = problem.thermal.gcvUnit;
+  const gcvStep = fromKcalPerKg(step.minAvgGCV, problem.thermal);
+  if (limits.minAvgGCV !== null && near(metrics.avgGCV, limits.minAvgGCV, Math.abs(gcvStep) / 50)) {
+    add('minAvgGCV', limits.minAvgGCV, metrics.avgGCV, price({ minAvgGCV: limits.minAvgGCV + gcvStep }),
+      `Average GCV is held at the ${limits.minAvgGCV} ${gcvUnit} minimum; lowering it by ${Number((-gcvStep).toPrecision(3))} ${gcvUnit}`);
+  }
+  if (limits.unitHeatRate !== null && near(metrics.heatRate, limits.unitHeatRate, 1)) {
+    add('unitHeatRate', limits.unitHeatRate, metrics.heatRate, price({ unitHeatRate: limits.unitHeatRate + step.unitHeatRate }),
+      `Heat input for ${problem.generation} MW at ${limits.unitHeatRate} kcal/kWh sets the GCV floor; ${-step.unitHeatRate} kcal/kWh less`);
+  }
+  if (limits.minAFT !== null) {
+    const atLimit = metrics.perMill.filter(m => m.aft !== null && near(m.aft, limits.minAFT, 0.5));
+    if (atLimit.length) {
+      add('minAFT', limits.minAFT, metrics.minMillAFT, price({ minAFT: limits.minAFT + step.minAFT }),
+        `AFT is at the ${limits.minAFT} °C minimum in ${atLimit.map(m => m.label).join(', ')}; ${-step.minAFT} °C lower`);
+    }
+  }
+  if (limits.maxSulphur !== null && near(metrics.sulphur, limits.maxSulphur, 0.001)) {
+    add('maxSulphur', limits.maxSulphur, metrics.sulphur, price({ maxSulphur: limits.maxSulphur + step.maxSulphur }),
+      `Blended sulphur is at the ${limits.maxSulphur}% maximum; allowing ${step.maxSulphur}% more`);
+  }
+  Object.keys(limits.shares).forEach(id => {
+    const bound = limits.shares[id];
+    const s = metrics.shares.find(x => String(x.coalId) === id);
+    const value = s ? s.share : 0;
+    const name = (problem.coals.find(c => String(c._id) === id) || {}).coal || id;
+    ['min', 'max'].forEach(side => {
+      if (bound[side] === null || !near(value, bound[side], 0.01)) return;
+      const moved = Math.min(100, Math.max(0, bound[side] + (side === 'min' ? -step.share : step.share)));
+      const patch = { shares: Object.assign({}, limits.shares, { [id]: Object.assign({}, bound, { [side]: moved }) }) };
+      add(`coalShares.${side}`, bound[side], value, price(patch),
+        `${name} is at its ${side}imum share of ${bound[side]}%; ${step.share} point ${side === 'min' ? 'less' : 'more'}`);
+    });
+  });
+  if (metrics.shares.length >= limits.maxCoals && limits.maxCoals < problem.coals.length) {
+    // only worth mentioning when another row would actually lower the cost
+    const saving = price({ maxCoals: limits.maxCoals + step.maxCoals });
+    if (saving !== null && saving > 0.005) add('maxCoals', limits.maxCoals, metrics.shares.length, saving,
+      `All ${limits.maxCoals} coal rows are used; one more row`);
+  }
+  return binding;
+}
+
+/* limits whose removal alone makes an infeasible request solvable */
+function diagnoseInfeasible(problem, limits) {
+  const drops = [
+    ['minAvgGCV', { minAvgGCV: null }],
+    ['unitHeatRate', { unitHeatRate: null }],
+    ['minAFT', { minAFT: null }],
+    ['maxSulphur', { maxSulphur: null }],
+    ['coalShares', { shares: {} }],
+    ['maxCoals', { maxCoals: problem.coals.length }]
+  ];
+  return drops
+    .filter(([name, patch]) => {
+      const active = name === 'coalShares' ? Object.keys(limits.shares).length > 0
+        : name === 'maxCoals' ? limits.maxCoals < problem.coals.length : limits[name] !== null;
+      return active && solveBlendLp(problem, Object.assign({}, limits, patch), OPTIMIZE_RELAX_TIMEOUT_MS) !== null;
+    })
+    .map(([name]) => name);
+}
+
+/**
+ * Least-cost blend for the given flows and limits, in the shape of blend rows for the entry grid.
+ * Body: {
+ *   flows: [per mill, plant flow unit],    mills with no flow are left empty
+ *   generation?: MW,
+ *   coals?: [id or name],                  default: every active coal with GCV and cost
+ *   constraints?: { minAvgGCV?, unitHeatRate? (kcal/kWh, needs generation), minAFT? (per mill, °C),
+ *                   maxSulphur? (%), maxCoals? (default: coal rows), coalShares?: [{ coal, min?, max? }] (% of flow) }
+ * }
+ * Mill AFT follows the AFT model selected in the plant config.
+ * Response: { feasible, rows: [{ coal, coalId, percentages, gcv, cost }], metrics, binding, aftModel, excluded }
+ * or { feasible: false, message, feasibleWithout, excluded }.
+ */
+app.post('/api/blend/optimize', requirePermission('blend:edit'), async (req, res) => {
+  try {
+    const plant = await getPlantConfig();
+    const [coalDocs, aftModel] = await Promise.all([Coal.find(ACTIVE_COAL).lean(), getAftModel(plant.aftModel)]);
+    const { errors, problem } = parseOptimizeRequest(req.body, plant, coalDocs, aftModel);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+
+    const { limits } = problem;
+    const solved = solveBlendLp(problem, limits);
+    if (!solved) {
+      const feasibleWithout = diagnoseInfeasible(problem, limits);
+      return res.json({
+        feasible: false,
+        message: 'No blend of the usable coals meets all limits' +
+          (feasibleWithout.length ? ` (it would without: ${feasibleWithout.join(', ')})` : ''),
+        feasibleWithout,
+        excluded: problem.excluded
+      });
+    }
+
+    const rows = sharesToRows(problem, solved.shares, plant);
+    const metrics = evaluateOptimizedRows(problem, rows, plant);
+    const binding = explainBindingLimits(problem, limits, metrics, solved.cost);
+    return res.json({
+      feasible: true,
+      rows,
+      flows: Array.from({ length: plant.bunkerCount }, (_, m) => (problem.mills.find(x => x.mill === m) || { flow: 0 }).flow),
+      generation: problem.generation,
+      metrics,
+      binding,
+      aftModel: { id: aftModel.id, name: aftModel.name },
+      excluded: problem.excluded
+    });
+  } catch (err) {
+    console.error('POST /api/blend/optimize error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Blend revision endpoints -------------------- */
+/**
+ * All revisions in the lineage of blend :id (any revision id works), oldest first
+ */
+app.get('/api/blend/:id/revisions', requirePermission('blend:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Blend not found' });
+    const blend = await Blend.findById(req.params.id, { lineage: 1 }).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+    const revisions = await Blend.find(lineageQuery(lineageOf(blend)),
+      { rev: 1, lineage: 1, previousRevision: 1, savedBy: 1, approvedBy: 1, approvedAt: 1, createdAt: 1 })
+      .sort({ rev: 1, createdAt: 1 }).lean();
+    return res.json(revisions.map(revisionSummary));
+  } catch (err) {
+    console.error('GET /api/blend/:id/revisions error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Full document of revision number :rev in the lineage of blend :id
+ */
+app.get('/api/blend/:id/revisions/:rev', requirePermission('blend:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Blend not found' });
+    const rev = Number(req.params.rev);
+    if (!Number.isInteger(rev) || rev < 1) return res.status(400).json({ error: 'rev must be a positive integer' });
+    const blend = await Blend.findById(req.params.id, { lineage: 1 }).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+    const doc = await findRevision(lineageOf(blend), rev);
+    if (!doc) return res.status(404).json({ error: 'Revision not found' });
+    return res.json(doc);
+  } catch (err) {
+    console.error('GET /api/blend/:id/revisions/:rev error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Field-level diff between two revisions of the lineage of blend :id.
+ * Query: from=<rev>&to=<rev>; `to` defaults to the revision :id, `from` to its predecessor.
+ */
+app.get('/api/blend/:id/diff', requirePermission('blend:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Blend not found' });
+    const blend = await Blend.findById(req.params.id).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+    const lineage = lineageOf(blend);
+
+    const toRev = req.query.to !== undefined ? Number(req.query.to) : (blend.rev || 1);
+    const fromRev = req.query.from !== undefined ? Number(req.query.from) : toRev - 1;
+    if (!Number.isInteger(toRev) || !Number.isInteger(fromRev)) return res.status(400).json({ error: 'from and to must be integer revisions' });
+    if (fromRev < 1) return res.status(400).json({ error: 'Revision 1 has no predecessor; pass from=<rev>' });
+
+    const [fromDoc, toDoc] = await Promise.all([findRevision(lineage, fromRev), findRevision(lineage, toRev)]);
+    if (!fromDoc || !toDoc) return res.status(404).json({ error: 'Revision not found' });
+
+    return res.json(Object.assign({ from: revisionSummary(fromDoc), to: revisionSummary(toDoc) }, diffBlends(fromDoc, toDoc)));
+  } catch (err) {
+    console.error('GET /api/blend/:id/diff error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Return the latest Blend document (most recent createdAt)
+ * Query: live=true = at the unit's operating point (see blendAtOperatingPoint), for the dashboards;
+ * without it the blend as saved, e.g. to edit it.
+ */
+app.get('/api/blend/latest', requirePermission('blend:read'), async (req, res) => {
+  try {
+    const latest = await Blend.findOne().sort({ createdAt: -1 }).lean();
+    if (!latest) return res.status(404).json({ error: 'No blends found' });
+    if (req.query.live !== 'true') return res.json(latest);
+    const plant = await getPlantConfig();
+    return res.json(await blendAtOperatingPoint(latest, await latestFlows(plant, new Date())));
+  } catch (err) {
+    console.error('GET /api/blend/latest error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Return one Blend document by id (any revision)
+ */
+app.get('/api/blend/:id', requirePermission('blend:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Blend not found' });
+    const blend = await Blend.findById(req.params.id).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+    return res.json(blend);
+  } catch (err) {
+    console.error('GET /api/blend/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Bunker drain schedule -------------------- */
+/**
+ * Absolute drain timetable of a saved blend. Each bunker starts emptying at the blend's save
+ * time, bottom layer first (the last entry of bunkers[].layers), at its mill flow.
+ * measuredFlows (optional, per mill, null = none): fresh measured flows; from `now` on a mill drains at
+ * its measured flow instead (a mill the blend has no flow for drains at it from the save). A measured 0
+ * stops the bunker. A layer without tonnage or flow has unknown times, and so has every layer above it.
+ */
+function computeDrainSchedule(blend, plant, now, measuredFlows) {
+  const startedAt = new Date(blend.createdAt || now);
+  const flows = Array.isArray(blend.flows) ? blend.flows : [];
+  const bunkers = Array.isArray(blend.bunkers) ? blend.bunkers : [];
+  const count = Math.max(plant.bunkerCount, bunkers.length);
+  const nowMs = now.getTime();
+  let nextChangeAt = null;
+
+  const out = [];
+  for (let b = 0; b < count; b++) {
+    const bunker = bunkers[b] || { layers: [] };
+    const layers = Array.isArray(bunker.layers) ? bunker.layers : [];
+    const flow = positiveOrNull(flows[b]);
+    const m = Array.isArray(measuredFlows) ? measuredFlows[b] : null;
+    const measuredFlow = (m === null || m === undefined || !Number.isFinite(Number(m))) ? null : Number(m);
+    const capacity = positiveOrNull(bunker.capacity) || positiveOrNull(blend.bunkerCapacity);
+    // t/h before and after now
+    const tphOf = f => (f !== null ? toTph(f, plant.thermal) : null);
+    const rateBefore = tphOf(flow !== null ? flow : positiveOrNull(measuredFlow));
+    const rateAfter = measuredFlow !== null ? tphOf(positiveOrNull(measuredFlow)) : rateBefore;
+    // ms at which `tons` starting at `from` have drained; null when the bunker stops first
+    const drainedAt = (from, tons) => {
+      if (from < nowMs) {
+        if (rateBefore === null) return null;
+        const until = from + tons / rateBefore * 3600000;
+        if (until <= nowMs) return until;
+        tons -= (nowMs - from) / 3600000 * rateBefore;
+        from = nowMs;
+      }
+      return rateAfter !== null ? from + tons / rateAfter * 3600000 : null;
+    };
+
+    const scheduled = [];
+    let cursor = startedAt.getTime();   // null once a duration is unknown
+    let activeLayer = null;
+    for (let li = layers.length - 1; li >= 0; li--) {
+      const L = layers[li] || {};
+      const pct = Number(L.percent) || 0;
+      if (pct <= 0) continue;
+      // blends saved before layer tonnage fall back to percent of capacity
+      const tons = (L.tons !== null && L.tons !== undefined) ? Number(L.tons) : (capacity !== null ? pct / 100 * capacity : null);
+      const drained = (tons !== null && cursor !== null) ? drainedAt(cursor, tons) : null;
+      let durationSec = drained !== null ? Math.round((drained - cursor) / 1000) : null;
+      // above an unknown layer the start is unknown, but the layer's own length is not
+      if (cursor === null && tons !== null && rateAfter !== null) durationSec = Math.round(tons / rateAfter * 3600);
+
+      const entry = { layerIndex: li, rowIndex: L.rowIndex, coal: L.coal || '', percent: pct, tons, durationSec, startsAt: null, endsAt: null, status: 'unknown' };
+      if (cursor !== null && durationSec !== null) {
+        const ends = cursor + durationSec * 1000;
+        entry.startsAt = new Date(cursor);
+        entry.endsAt = new Date(ends);
+        if (ends <= now.getTime()) entry.status = 'done';
+        else if (cursor <= now.getTime()) entry.status = 'draining';
+        else entry.status = 'queued';
+        if (entry.status !== 'done' && (nextChangeAt === null || ends < nextChangeAt)) nextChangeAt = ends;
+        cursor = ends;
+      } else {
+        if (cursor !== null && cursor <= now.getTime()) entry.startsAt = new Date(cursor);
+        cursor = null;
+      }
+      if (activeLayer === null && entry.status !== 'done') activeLayer = scheduled.length;
+      scheduled.push(entry);
+    }
+
+    out.push({
+      bunker: b,
+      label: plant.millLabels[b] || defaultMillLabel(b),
+      flow,
+      measuredFlow,                       // the fresh measured flow the times follow from now on; null = none
+      capacity,
+      layers: scheduled,                  // bottom -> top, i.e. drain order
+      activeLayer,                        // index into layers; null when empty or fully drained
+      emptyAt: (cursor !== null && scheduled.length) ? new Date(cursor) : null
+    });
+  }
+
+  return {
+    id: blend._id,
+    lineage: lineageOf(blend),
+    rev: blend.rev || 1,
+    startedAt,
+    serverTime: now,
+    nextChangeAt: nextChangeAt !== null ? new Date(nextChangeAt) : null,
+    bunkers: out
+  };
+}
+
+/**
+ * Drain schedule of blend :id (see computeDrainSchedule). Clients count down to the
+ * returned timestamps, using serverTime to correct their own clock. The latest blend follows
+ * the fresh measured flows from now on; earlier revisions keep their saved flows.
+ */
+app.get('/api/blend/:id/schedule', requirePermission('blend:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Blend not found' });
+    const blend = await Blend.findById(req.params.id, { rows: 0, analysesUsed: 0 }).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+    const plant = await getPlantConfig();
+    const now = new Date();
+    const latest = await Blend.findOne({}, { _id: 1 }).sort({ createdAt: -1 }).lean();
+    const measured = (latest && String(latest._id) === String(blend._id)) ? freshFlows(await latestFlows(plant, now)) : null;
+    return res.json(computeDrainSchedule(blend, plant, now, measured));
+  } catch (err) {
+    console.error('GET /api/blend/:id/schedule error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- SO2 outlook (fired layers vs emission norms) -------------------- */
+// A mill fires one bunker layer at a time, so the SO2 that matters is the one of the layers draining now
+// and of those that take over as the schedule advances, not the average over the bunker contents.
+const SO2_OUTLOOK_STEPS = 24;
+
+/* index into schedule layers of what bunker `sb` fires at time t; null once it has drained */
+function scheduledLayerAt(sb, t) {
+  for (let i = 0; i < sb.layers.length; i++) {
+    const L = sb.layers[i];
+    if (!L.endsAt || L.endsAt.getTime() > t) return i;
+  }
+  return null;
+}
+
+/**
+ * SO2 of blend :id as fired: now, after the next layer change and at every later change in the drain schedule,
+ * each checked against the plant's emission norms. Mills use their measured flow when fresh, else the blend's.
+ * Response: { id, norms, flowSource, average, current, next, upcoming: [...], firstBreachAt }
+ * where a state is { at, kgPerHour, mgPerNm3, perMill, layers: [{ bunker, label, coal, sulphur } | null], changes, breaches }.
+ */
+app.get('/api/blend/:id/emissions', requirePermission('blend:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Blend not found' });
+    const blend = await Blend.findById(req.params.id, { rows: 0, oxidesPerMill: 0 }).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+    const plant = await getPlantConfig();
+    const norms = plant.emissions;
+    const now = new Date();
+    const live = await latestFlows(plant, now);
+    const schedule = computeDrainSchedule(blend, plant, now, freshFlows(live));
+
+    // blends saved before layers carried sulphur: take it from the coal analysis in effect at save time
+    const stored = b => ((blend.bunkers || [])[b] || {}).layers || [];
+    const missing = new Set();
+    schedule.bunkers.forEach(sb => sb.layers.forEach(L => {
+      const layer = stored(sb.bunker)[L.layerIndex] || {};
+      if (layer.sulphur === undefined || layer.sulphur === null) missing.add(String(L.coal).toLowerCase());
+    }));
+    const sulphurByName = {};
+    if (missing.size) {
+      const coals = await Coal.find({}, { coal: 1, SulphurS: 1, analyses: 1 }).lean();
+      coals.forEach(c => {
+        const key = String(c.coal || '').toLowerCase();
+        if (missing.has(key)) sulphurByName[key] = Number(coalAsOf(c, blend.createdAt).SulphurS) || 0;
+      });
+    }
+
+    let measuredCount = 0;
+    const flows = schedule.bunkers.map(sb => {
+      if (sb.measuredFlow === null) return sb.flow;
+      measuredCount++;
+      return sb.measuredFlow;
+    });
+
+    const stateAt = (t, prev) => {
+      const layers = schedule.bunkers.map(sb => {
+        const i = scheduledLayerAt(sb, t);
+        if (i === null) return null;
+        const L = sb.layers[i];
+        const layer = stored(sb.bunker)[L.layerIndex] || {};
+        const sulphur = (layer.sulphur !== undefined && layer.sulphur !== null) ? Number(layer.sulphur) : (sulphurByName[String(L.coal).toLowerCase()] || 0);
+        return { bunker: sb.bunker, label: sb.label, coal: L.coal, sulphur, gcv: Number(layer.gcv) || 0, layer: i };
+      });
+      const so2 = so2Summary(layers.map((L, b) => (L && flows[b]
+        ? { flow: toTph(flows[b], plant.thermal), sulphur: L.sulphur, gcv: toKcalPerKg(L.gcv, plant.thermal) } : null)), norms);
+      const changes = prev ? layers.map((L, b) => {
+        const before = prev.layers[b];
+        if ((L && L.layer) === (before && before.layer) && !!L === !!before) return null;
+        return { bunker: b, label: schedule.bunkers[b].label, from: before ? before.coal : null, to: L ? L.coal : null };
+      }).filter(Boolean) : [];
+      return Object.assign({ at: new Date(t), layers, changes }, so2, { breaches: so2Breaches(so2, norms) });
+    };
+
+    const current = stateAt(now.getTime(), null);
+    const times = Array.from(new Set(schedule.bunkers.flatMap(sb => sb.layers
+      .filter(L => L.endsAt && L.endsAt.getTime() > now.getTime())
+      .map(L => L.endsAt.getTime())))).sort((a, b) => a - b).slice(0, SO2_OUTLOOK_STEPS);
+    const upcoming = [];
+    times.forEach(t => upcoming.push(stateAt(t, upcoming.length ? upcoming[upcoming.length - 1] : current)));
+
+    const millFlow = b => (Number(flows[b]) || 0);
+    const average = so2Summary((blend.sulphurPerMill || []).map((v, b) => (millFlow(b) > 0
+      ? { flow: toTph(millFlow(b), plant.thermal), sulphur: v, gcv: toKcalPerKg((blend.blendedGCVPerMill || [])[b], plant.thermal) } : null)), norms);
+    average.breaches = so2Breaches(average, norms);
+
+    const firstBreach = [current].concat(upcoming).find(st => st.breaches.length);
+    return res.json({
+      id: blend._id,
+      norms,
+      flowSource: measuredCount === 0 ? 'blend' : (measuredCount === flows.length ? 'measured' : 'mixed'),
+      average,
+      current,
+      next: upcoming[0] || null,
+      upcoming,
+      firstBreachAt: firstBreach ? firstBreach.at : null
+    });
+  } catch (err) {
+    console.error('GET /api/blend/:id/emissions error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Blend listing / search -------------------- */
+const BLEND_NUMERIC_FILTERS = ['generation', 'totalFlow', 'avgGCV', 'avgAFT', 'heatRate', 'costRate', 'costPerHour', 'costPerMWh', 'avgSulphur', 'so2MgPerNm3', 'rev'];
+const BLEND_SORT_FIELDS = ['createdAt', 'generation', 'totalFlow', 'avgGCV', 'avgAFT', 'heatRate', 'costRate', 'costPerHour', 'costPerMWh', 'avgSulphur', 'so2MgPerNm3', 'rev'];
+// list view leaves out the bulky per-row / per-layer data unless full=true
+const BLEND_SUMMARY_PROJECTION = { rows: 0, bunkers: 0, oxidesPerMill: 0 };
+
+function parseDateParam(v) {
+  if (v === undefined || v === '') return null;
+  const d = /^\d+$/.test(String(v)) ? new Date(Number(v)) : new Date(String(v));
+  return isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * List blends, newest first by default.
+ * Query:
+ *   from, to          createdAt range (ISO date or epoch ms, inclusive)
+ *   page, limit       1-based page, page size (default 20, max 200)
+ *   sort              one of BLEND_SORT_FIELDS, prefix "-" for descending (default -createdAt)
+ *   <field>Min/Max    inclusive bounds on computed fields, e.g. avgAFTMax=1250, costRateMin=4000
+ *   coal              coal name or id present in any bunker layer
+ *   lineage           only revisions of this lineage
+ *   approved          true / false
+ *   full              true to include rows[] and bunkers[]
+ */
+app.get('/api/blends', requirePermission('blend:read'), async (req, res) => {
+  try {
+    const q = req.query || {};
+    const filter = {};
+
+    const from = parseDateParam(q.from);
+    const to = parseDateParam(q.to);
+    if (from === undefined || to === undefined) return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds' });
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    for (const field of BLEND_NUMERIC_FILTERS) {
+      const min = q[field + 'Min'], max = q[field + 'Max'];
+      if (min === undefined && max === undefined) continue;
+      const range = {};
+      if (min !== undefined) {
+        if (isNaN(Number(min))) return res.status(400).json({ error: `${field}Min must be a number` });
+        range.$gte = Number(min);
+      }
+      if (max !== undefined) {
+        if (isNaN(Number(max))) return res.status(400).json({ error: `${field}Max must be a number` });
+        range.$lte = Number(max);
+      }
+      filter[field] = range;
+    }
+
+    if (q.coal) {
+      // layers store coal names; accept an id too
+      let name = String(q.coal);
+      if (mongoose.isValidObjectId(name)) {
+        const coalDoc = await Coal.findById(name, { coal: 1 }).lean();
+        if (coalDoc) name = coalDoc.coal;
+      }
+      filter['bunkers.layers'] = { $elemMatch: { coal: new RegExp('^' + escapeRegex(name) + '$', 'i'), percent: { $gt: 0 } } };
+    }
+
+    if (q.lineage) {
+      if (!mongoose.isValidObjectId(q.lineage)) return res.status(400).json({ error: 'lineage must be a blend id' });
+      Object.assign(filter, lineageQuery(new mongoose.Types.ObjectId(String(q.lineage))));
+    }
+
+    if (q.approved === 'true') filter.approvedAt = { $ne: null };
+    else if (q.approved === 'false') filter.approvedAt = null;
+
+    const sortParam = String(q.sort || '-createdAt');
+    const sortField = sortParam.replace(/^-/, '');
+    if (BLEND_SORT_FIELDS.indexOf(sortField) < 0) {
+      return res.status(400).json({ error: `sort must be one of ${BLEND_SORT_FIELDS.join(', ')}` });
+    }
+    const sort = { [sortField]: sortParam.startsWith('-') ? -1 : 1 };
+    if (sortField !== 'createdAt') sort.createdAt = -1;
+
+    const limit = Math.min(200, Math.max(1, parseInt(q.limit, 10) || 20));
+    const page = Math.max(1, parseInt(q.page, 10) || 1);
+    const projection = q.full === 'true' ? {} : BLEND_SUMMARY_PROJECTION;
+
+    const [items, total] = await Promise.all([
+      Blend.find(filter, projection).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+      Blend.countDocuments(filter)
+    ]);
+
+    return res.json({ items, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('GET /api/blends error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Blend scenarios (named drafts) -------------------- */
+// candidate blends a planner keeps next to the live blend; they never feed the dashboards until promoted
+const ScenarioSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+  note: { type: String, default: '' },
+  rows: [RowSchema],
+  flows: [Number],
+  generation: { type: Number, default: null },
+  bunkerCapacity: { type: Number, default: null },
+  bunkerCapacities: [Number],
+  bunkers: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  metrics: { type: mongoose.Schema.Types.Mixed, default: {} },   // computeBlendMetrics output without bunkers
+  computedAt: { type: Date, default: null },                      // coal analyses in effect at this time were used
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  updatedAt: { type: Date, default: Date.now },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // last promotion to the live blend
+  promotedAt: { type: Date, default: null },
+  promotedBlend: { type: mongoose.Schema.Types.ObjectId, default: null }
+}, { collection: 'scenarios' });
+
+const Scenario = mongoose.model('Scenario', ScenarioSchema);
+
+/* what the audit trail compares between two versions of a scenario */
+function scenarioAuditView(s) {
+  return Object.assign({ name: s.name, note: s.note || '' }, blendAuditView(Object.assign({}, s.metrics || {}, s)));
+}
+
+function validateScenarioName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  if (name.trim().length > 80) return 'name must be at most 80 characters';
+  return null;
+}
+
+/* capacity, resolved rows and metrics of a scenario payload (same body as POST /api/blend) */
+async function computeScenario(body, plant) {
+  const capacity = resolveBlendCapacity(body, plant);
+  if (capacity.errors.length) return { errors: capacity.errors };
+  const rows = resolveBlendRows(body.rows, await Coal.find().lean(), plant);
+  const at = new Date();
+  const metrics = await computeBlendMetrics(rows, body.flows, body.generation, at, capacity.capacityPerBunker);
+  const bunkers = metrics.bunkers || [];
+  delete metrics.bunkers;
+  return {
+    errors: [],
+    fields: {
+      rows,
+      flows: body.flows,
+      generation: body.generation === undefined ? null : body.generation,
+      bunkerCapacity: capacity.bunkerCapacity,
+      bunkerCapacities: capacity.bunkerCapacities,
+      bunkers,
+      metrics,
+      computedAt: at
+    }
+  };
+}
+
+function scenarioView(doc, plant, full) {
+  const metrics = doc.metrics || {};
+  const out = {
+    id: doc._id,
+    name: doc.name,
+    note: doc.note || '',
+    generation: doc.generation,
+    summary: blendSummary(Object.assign({}, metrics, { generation: doc.generation })),
+    so2Breaches: so2Breaches({ kgPerHour: metrics.so2KgPerHour, mgPerNm3: metrics.so2MgPerNm3 }, plant.emissions),
+    computedAt: doc.computedAt,
+    createdAt: doc.createdAt,
+    createdBy: doc.createdBy,
+    updatedAt: doc.updatedAt,
+    updatedBy: doc.updatedBy,
+    promotedAt: doc.promotedAt,
+    promotedBlend: doc.promotedBlend
+  };
+  if (full) {
+    Object.assign(out, {
+      rows: doc.rows,
+      flows: doc.flows,
+      bunkerCapacity: doc.bunkerCapacity,
+      bunkerCapacities: doc.bunkerCapacities,
+      bunkers: doc.bunkers,
+      metrics
+    });
+  }
+  return out;
+}
+
+/**
+ * Saved scenarios, most recently changed first (summary figures only).
+ */
+app.get('/api/scenarios', requirePermission('blend:read'), async (req, res) => {
+  try {
+    const [plant, docs] = await Promise.all([
+      getPlantConfig(),
+      Scenario.find({}, { rows: 0, bunkers: 0 }).sort({ updatedAt: -1 }).lean()
+    ]);
+    return res.json(docs.map(d => scenarioView(d, plant, false)));
+  } catch (err) {
+    console.error('GET /api/scenarios error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * One scenario with its rows, bunkers and per-mill metrics
+ */
+app.get('/api/scenarios/:id', requirePermission('blend:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Scenario not found' });
+    const doc = await Scenario.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'Scenario not found' });
+    return res.json(scenarioView(doc, await getPlantConfig(), true));
+  } catch (err) {
+    console.error('GET /api/scenarios/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Save a named scenario. Body: same as POST /api/blend plus { name, note? }.
+ * Metrics are computed as a blend save would, with the coal analyses valid now.
+ */
+app.post('/api/scenarios', requirePermission('blend:edit'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const nameError = validateScenarioName(body.name);
+    if (nameError) return res.status(400).json({ error: nameError });
+    if (!Array.isArray(body.rows) || !Array.isArray(body.flows)) {
+      return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
+    }
+
+    const plant = await getPlantConfig();
+    const computed = await computeScenario(body, plant);
+    if (computed.errors.length) return res.status(400).json({ error: computed.errors.join('; '), errors: computed.errors });
+
+    const now = new Date();
+    const doc = await Scenario.create(Object.assign({
+      name: body.name.trim(),
+      note: typeof body.note === 'string' ? body.note : '',
+      createdAt: now,
+      createdBy: req.user._id,
+      updatedAt: now,
+      updatedBy: req.user._id
+    }, computed.fields));
+    auditChange(res, { action: 'scenario.create', entity: 'scenario', entityId: doc._id, before: null, after: scenarioAuditView(doc.toObject()) });
+    return res.status(201).json(scenarioView(doc.toObject(), plant, true));
+  } catch (err) {
+    console.error('POST /api/scenarios error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Rename / annotate a scenario, or replace its blend when rows[] and flows[] are sent (metrics are recomputed).
+ * Body: { name?, note?, rows?, flows?, generation?, bunkerCapacity?, bunkerCapacities? }
+ */
+app.put('/api/scenarios/:id', requirePermission('blend:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Scenario not found' });
+    const existing = await Scenario.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Scenario not found' });
+    const body = req.body || {};
+    const update = { updatedAt: new Date(), updatedBy: req.user._id };
+
+    if (body.name !== undefined) {
+      const nameError = validateScenarioName(body.name);
+      if (nameError) return res.status(400).json({ error: nameError });
+      update.name = body.name.trim();
+    }
+    if (body.note !== undefined) update.note = String(body.note);
+
+    const plant = await getPlantConfig();
+    if (body.rows !== undefined || body.flows !== undefined) {
+      if (!Array.isArray(body.rows) || !Array.isArray(body.flows)) {
+        return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
+      }
+      const computed = await computeScenario(body, plant);
+      if (computed.errors.length) return res.status(400).json({ error: computed.errors.join('; '), errors: computed.errors });
+      Object.assign(update, computed.fields);
+    }
+
+    const doc = await Scenario.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true }).lean();
+    if (!doc) return res.status(404).json({ error: 'Scenario not found' });
+    auditChange(res, { action: 'scenario.update', entity: 'scenario', entityId: doc._id, before: scenarioAuditView(existing), after: scenarioAuditView(doc) });
+    return res.json(scenarioView(doc, plant, true));
+  } catch (err) {
+    console.error('PUT /api/scenarios/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Delete a scenario (blends promoted from it stay)
+ */
+app.delete('/api/scenarios/:id', requirePermission('blend:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Scenario not found' });
+    const removed = await Scenario.findByIdAndDelete(req.params.id).lean();
+    if (!removed) return res.status(404).json({ error: 'Scenario not found' });
+    auditChange(res, { action: 'scenario.delete', entity: 'scenario', entityId: removed._id, before: scenarioAuditView(removed), after: null });
+    return res.json({ message: 'Deleted', id: req.params.id });
+  } catch (err) {
+    console.error('DELETE /api/scenarios/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Make a scenario the live blend: saved as the next revision of the latest blend (or a new lineage when
+ * there is none yet), with metrics recomputed from the coal analyses valid now.
+ * Response as PUT /api/blend/:id; 409 when another save got in between.
+ */
+app.post('/api/scenarios/:id/promote', requirePermission('blend:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Scenario not found' });
+    const scenario = await Scenario.findById(req.params.id).lean();
+    if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+
+    const plant = await getPlantConfig();
+    const capacity = resolveBlendCapacity(scenario, plant);
+    if (capacity.errors.length) return res.status(400).json({ error: capacity.errors.join('; '), errors: capacity.errors });
+
+    const latest = await Blend.findOne({}, { lineage: 1, rev: 1 }).sort({ createdAt: -1 }).lean();
+    let prev = null;
+    if (latest) {
+      prev = await Blend.findOne(lineageQuery(lineageOf(latest)), { bunkers: 0, oxidesPerMill: 0 }).sort({ rev: -1, createdAt: -1 }).lean();
+    }
+
+    const rowsToSave = resolveBlendRows(scenario.rows || [], await Coal.find().lean(), plant);
+    const savedAt = new Date();
+    const metrics = await computeBlendMetrics(rowsToSave, scenario.flows, scenario.generation, savedAt, capacity.capacityPerBunker);
+
+    const doc = new Blend(Object.assign({}, {
+      rows: rowsToSave,
+      flows: scenario.flows,
+      generation: scenario.generation,
+      bunkerCapacity: capacity.bunkerCapacity,
+      bunkerCapacities: capacity.bunkerCapacities,
+      bunkers: metrics.bunkers || [],
+      rev: prev ? (prev.rev || 1) + 1 : 1,
+      previousRevision: prev ? prev._id : null,
+      savedBy: req.user._id,
+      createdAt: savedAt
+    }, metrics));
+    doc.lineage = prev ? lineageOf(prev) : doc._id;
+    try {
+      await doc.save();
+    } catch (saveErr) {
+      if (saveErr && saveErr.code === 11000) return res.status(409).json({ error: 'Blend was changed by someone else' });
+      throw saveErr;
+    }
+    await Scenario.updateOne({ _id: scenario._id }, { promotedAt: savedAt, promotedBlend: doc._id });
+
+    broadcastEvent('blend-saved', { id: doc._id, lineage: doc.lineage, rev: doc.rev, previousRevision: doc.previousRevision, scenario: scenario._id });
+    notifyBlendSaved(doc, req.user, `promoted from scenario ${scenario.name}`);
+    auditChange(res, {
+      action: 'blend.promote', entity: 'blend', entityId: doc._id, before: prev ? blendAuditView(prev) : null, after: blendAuditView(doc),
+      details: { lineage: doc.lineage, rev: doc.rev, previousRevision: doc.previousRevision, scenario: scenario._id, scenarioName: scenario.name }
+    });
+    broadcastEvent('flow-updated', { flows: doc.flows, source: 'blend', blendId: doc._id });
+    scheduleAlarmEvaluation('blend');
+    return res.status(201).json({ message: 'Promoted', id: doc._id, rev: doc.rev, lineage: doc.lineage, previousRevision: doc.previousRevision, scenario: scenario._id });
+  } catch (err) {
+    console.error('POST /api/scenarios/:id/promote error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Live mill flows (time series) -------------------- */
+// one document per measured flow of one mill; stored in a MongoDB time-series collection
+const FlowReadingSchema = new mongoose.Schema({
+  ts: { type: Date, required: true },
+  mill: { type: Number, required: true },     // 0-based bunker/mill index
+  flow: { type: Number, required: true },     // in the plant's thermal.flowUnit (t/h or kg/s), as received
+  source: { type: String, default: '' }       // e.g. 'dcs', 'manual'
+}, {
+  collection: 'flowreadings',
+  timeseries: { timeField: 'ts', metaField: 'mill', granularity: 'seconds' },
+  versionKey: false
+});
+
+const FlowReading = mongoose.model('FlowReading', FlowReadingSchema);
+
+// unit generation (MW) read alongside the flows; same time-series layout
+const GenerationReadingSchema = new mongoose.Schema({
+  ts: { type: Date, required: true },
+  mw: { type: Number, required: true },
+  source: { type: String, default: '' }
+}, {
+  collection: 'generationreadings',
+  timeseries: { timeField: 'ts', metaField: 'source', granularity: 'seconds' },
+  versionKey: false
+});
+
+const GenerationReading = mongoose.model('GenerationReading', GenerationReadingSchema);
+
+const FLOW_MAX_BATCH = 5000;
+const FLOW_MAX_FUTURE_MS = 5 * 60 * 1000;            // clock skew allowed for reading timestamps
+const FLOW_LATEST_LOOKBACK_MS = 24 * 60 * 60 * 1000;  // older readings do not count as "latest"
+const FLOW_STALE_MS = 5 * 60 * 1000;                  // latest reading older than this is flagged stale
+const FLOW_MAX_RANGE_POINTS = 10000;
+
+/**
+ * Flatten a POST /api/flows body into { errors, readings, generation }.
+ * Accepted: { mill, flow, ts? } | { ts?, flows: [perMill...] } | { readings: [{ mill, flow, ts? }] } | [{ mill, flow, ts? }]
+ * The object forms may also carry `generation` (unit MW at ts); generation alone is accepted too.
+ */
+function parseFlowReadings(body, plant, now) {
+  const errors = [];
+  const readings = [];
+  let generation = null;
+  const src = body || {};
+  const defaultSource = typeof src.source === 'string' ? src.source.slice(0, 40) : '';
+  const hasGeneration = !Array.isArray(src) && src.generation !== undefined && src.generation !== null && src.generation !== '';
+
+  function add(item, where, defaults) {
+    const r = Object.assign({}, defaults || {}, item || {});
+    const mill = Number(r.mill);
+    const flow = Number(r.flow);
+    const ts = (r.ts === undefined || r.ts === null || r.ts === '') ? now : parseDateParam(r.ts);
+    if (!Number.isInteger(mill) || mill < 0 || mill >= plant.bunkerCount) {
+      errors.push(`${where}: mill must be an integer between 0 and ${plant.bunkerCount - 1}`);
+      return;
+    }
+    if (r.flow === null || r.flow === '' || !Number.isFinite(flow) || flow < 0) {
+      errors.push(`${where}: flow must be a number >= 0`);
+      return;
+    }
+    if (!ts) {
+      errors.push(`${where}: ts is not a valid date`);
+      return;
+    }
+    if (ts.getTime() > now.getTime() + FLOW_MAX_FUTURE_MS) {
+      errors.push(`${where}: ts is in the future`);
+      return;
+    }
+    readings.push({ ts, mill, flow, source: typeof r.source === 'string' ? r.source.slice(0, 40) : defaultSource });
+  }
+
+  if (Array.isArray(src)) {
+    src.forEach((r, i) => add(r, `readings[${i}]`));
+  } else if (Array.isArray(src.readings)) {
+    src.readings.forEach((r, i) => add(r, `readings[${i}]`, { ts: src.ts }));
+  } else if (Array.isArray(src.flows)) {
+    // one value per mill; null/blank entries mean "no reading for this mill"
+    src.flows.forEach((flow, mill) => {
+      if (flow === null || flow === undefined || flow === '') return;
+      add({ mill, flow, ts: src.ts }, `flows[${mill}]`);
+    });
+  } else if (src.mill !== undefined) {
+    add(src, 'reading');
+  } else if (!hasGeneration) {
+    errors.push('Expected { mill, flow, ts? }, { flows: [...] }, { readings: [...] } or an array of readings');
+  }
+
+  if (hasGeneration) {
+    const mw = Number(src.generation);
+    const ts = (src.ts === undefined || src.ts === null || src.ts === '') ? now : parseDateParam(src.ts);
+    if (!Number.isFinite(mw) || mw < 0) errors.push('generation must be a number >= 0 (MW)');
+    else if (!ts) errors.push('ts is not a valid date');
+    else if (ts.getTime() > now.getTime() + FLOW_MAX_FUTURE_MS) errors.push('ts is in the future');
+    else generation = { ts, mw, source: defaultSource };
+  }
+
+  if (!errors.length && !readings.length && !generation) errors.push('No readings supplied');
+  if (readings.length > FLOW_MAX_BATCH) errors.push(`At most ${FLOW_MAX_BATCH} readings per request`);
+  return { errors, readings, generation };
+}
+
+/* per mill: the latest measured flow when it is fresh, else null */
+function freshFlows(live) {
+  return live.mills.map(r => (!r.stale && r.flow !== null) ? Number(r.flow) : null);
+}
+
+/**
+ * A saved blend at the unit's operating point (see operatingPoint): with fresh measured flows or generation,
+ * flows and generation are replaced by them, the saved ones kept as plannedFlows / plannedGeneration, and the
+ * figures that depend on them recomputed with the coal analyses of the save. Layer contents stay as saved.
+ * operatingPoint: { asOf, measuredFlows: [bool per mill], measuredGeneration } tells what was measured.
+ */
+async function blendAtOperatingPoint(blend, live) {
+  const measuredFlows = freshFlows(live).map(f => f !== null);
+  const measuredGeneration = !!(live.generation && !live.generation.stale);
+  if (!measuredFlows.includes(true) && !measuredGeneration) return blend;
+  const op = operatingPoint(blend, live);
+  const metrics = await computeBlendMetrics(blend.rows || [], op.flows, op.generation, blend.createdAt, []);
+  delete metrics.bunkers;
+  return Object.assign({}, blend, metrics, {
+    flows: op.flows,
+    generation: op.generation,
+    plannedFlows: blend.flows || [],
+    plannedGeneration: blend.generation === undefined ? null : blend.generation,
+    operatingPoint: { asOf: live.asOf, measuredFlows, measuredGeneration }
+  });
+}
+
+/**
+ * Newest reading of every mill, and of unit generation, within FLOW_LATEST_LOOKBACK_MS of `now`.
+ * flows[m] is null for mills without a recent reading; generation is null without one.
+ */
+async function latestFlows(plant, now) {
+  const recent = { ts: { $gte: new Date(now.getTime() - FLOW_LATEST_LOOKBACK_MS), $lte: new Date(now.getTime() + FLOW_MAX_FUTURE_MS) } };
+  const [latest, gen] = await Promise.all([
+    FlowReading.aggregate([
+      { $match: recent },
+      { $sort: { ts: -1 } },
+      { $group: { _id: '$mill', flow: { $first: '$flow' }, ts: { $first: '$ts' }, source: { $first: '$source' } } }
+    ]),
+    GenerationReading.findOne(recent).sort({ ts: -1 }).lean()
+  ]);
+  const byMill = {};
+  latest.forEach(r => { byMill[r._id] = r; });
+
+  const mills = [];
+  for (let m = 0; m < plant.bunkerCount; m++) {
+    const r = byMill[m];
+    mills.push(r
+      ? { mill: m, flow: r.flow, ts: r.ts, source: r.source || '', stale: now.getTime() - new Date(r.ts).getTime() > FLOW_STALE_MS }
+      : { mill: m, flow: null, ts: null, source: '', stale: true });
+  }
+  const generation = gen
+    ? { mw: gen.mw, ts: gen.ts, source: gen.source || '', stale: now.getTime() - new Date(gen.ts).getTime() > FLOW_STALE_MS }
+    : null;
+  return { asOf: now, flows: mills.map(r => r.flow), mills, generation };
+}
+
+/**
+ * Store parsed flow/generation readings and push the new latest values to connected pages.
+ * Shared by POST /api/flows and the DCS connector.
+ */
+async function recordLiveReadings(plant, readings, generation, now) {
+  if (readings.length) await FlowReading.insertMany(readings);
+  if (generation) await GenerationReading.create(generation);
+  const latest = await latestFlows(plant, now);
+  // only fresh values: a mill whose reading went stale runs on its planned flow again
+  broadcastEvent('flow-updated', {
+    flows: freshFlows(latest),
+    generation: latest.generation && !latest.generation.stale ? latest.generation.mw : null,
+    source: 'measured',
+    asOf: latest.asOf
+  });
+  scheduleAlarmEvaluation('flows');
+  return latest;
+}
 
-    // Replace existing coals with new upload (adjust if you prefer merge)
-    await Coal.deleteMany();
-    await Coal.insertMany(coalData);
+/**
+ * Ingest measured mill flows (in the plant's thermal.flowUnit) and optionally unit generation (MW), single or batch;
+ * see parseFlowReadings for the body shapes.
+ * Connected pages get a flow-updated event with the new latest values.
+ */
+app.post('/api/flows', requirePermission('flows:write'), async (req, res) => {
+  try {
+    const plant = await getPlantConfig();
+    const now = new Date();
+    const { errors, readings, generation } = parseFlowReadings(req.body, plant, now);
+    if (errors.length) return res.status(400).json({ error: errors.slice(0, 20).join('; '), errors: errors.slice(0, 100) });
 
-    return res.json({ message: 'Coal data uploaded and saved to DB successfully' });
+    const latest = await recordLiveReadings(plant, readings, generation, now);
+    return res.status(201).json({ inserted: readings.length, generation: !!generation, latest });
   } catch (err) {
-    console.error('Error uploading coal data:', err);
-    return res.status(500).json({ error: 'Failed to process Excel file' });
+    console.error('POST /api/flows error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
-/* -------------------- Coal GET endpoints (client expects these) -------------------- */
-app.get('/api/coal', async (req, res) => {
+/**
+ * Latest measured flow per mill and unit generation:
+ * { asOf, flows: [flow in thermal.flowUnit | null], mills: [{ mill, flow, ts, source, stale }], generation: { mw, ts, source, stale } | null }
+ */
+app.get('/api/flows/latest', requirePermission('blend:read'), async (req, res) => {
   try {
-    const items = await Coal.find().lean();
-    return res.json(items);
+    return res.json(await latestFlows(await getPlantConfig(), new Date()));
   } catch (err) {
-    console.error('GET /api/coal error:', err);
+    console.error('GET /api/flows/latest error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
-app.get('/api/coals', async (req, res) => {
+
+/**
+ * Flow readings in a time range, oldest first.
+ * Query:
+ *   from, to    ISO date or epoch ms (default: the last hour)
+ *   mill        one mill index (default: all)
+ *   interval    seconds; averages readings per mill into buckets of this size
+ */
+app.get('/api/flows', requirePermission('blend:read'), async (req, res) => {
   try {
-    const items = await Coal.find().lean();
-    return res.json(items);
+    const now = new Date();
+    const to = parseDateParam(req.query.to);
+    const from = parseDateParam(req.query.from);
+    if (to === undefined || from === undefined) return res.status(400).json({ error: 'from/to must be dates' });
+    const end = to || now;
+    const start = from || new Date(end.getTime() - 60 * 60 * 1000);
+    if (start > end) return res.status(400).json({ error: 'from must be before to' });
+
+    const match = { ts: { $gte: start, $lte: end } };
+    if (req.query.mill !== undefined && req.query.mill !== '') {
+      const mill = Number(req.query.mill);
+      if (!Number.isInteger(mill) || mill < 0) return res.status(400).json({ error: 'mill must be a mill index' });
+      match.mill = mill;
+    }
+
+    let interval = null;
+    if (req.query.interval !== undefined && req.query.interval !== '') {
+      interval = Number(req.query.interval);
+      if (!Number.isFinite(interval) || interval < 1) return res.status(400).json({ error: 'interval must be a number of seconds >= 1' });
+    }
+
+    let points;
+    if (interval) {
+      const ms = Math.round(interval * 1000);
+      const bucket = { $toDate: { $subtract: [{ $toLong: '$ts' }, { $mod: [{ $toLong: '$ts' }, ms] }] } };
+      points = await FlowReading.aggregate([
+        { $match: match },
+        { $group: { _id: { mill: '$mill', ts: bucket }, flow: { $avg: '$flow' }, min: { $min: '$flow' }, max: { $max: '$flow' }, count: { $sum: 1 } } },
+        { $sort: { '_id.ts': 1, '_id.mill': 1 } },
+        { $limit: FLOW_MAX_RANGE_POINTS + 1 },
+        { $project: { _id: 0, mill: '$_id.mill', ts: '$_id.ts', flow: 1, min: 1, max: 1, count: 1 } }
+      ]);
+    } else {
+      points = await FlowReading.find(match, { _id: 0, mill: 1, ts: 1, flow: 1, source: 1 })
+        .sort({ ts: 1 }).limit(FLOW_MAX_RANGE_POINTS + 1).lean();
+    }
+
+    const truncated = points.length > FLOW_MAX_RANGE_POINTS;
+    return res.json({ from: start, to: end, interval, truncated, points: truncated ? points.slice(0, FLOW_MAX_RANGE_POINTS) : points });
   } catch (err) {
-    console.error('GET /api/coals error:', err);
+    console.error('GET /api/flows error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
-app.get('/api/coal/list', async (req, res) => {
+
+/* -------------------- DCS connector -------------------- */
+// polls Modbus TCP registers / OPC UA nodes for mill flows and unit MW (see connector.js); config lives in one document
+const ConnectorConfigSchema = new mongoose.Schema({
+  key: { type: String, default: 'default', unique: true },
+  config: { type: mongoose.Schema.Types.Mixed, default: null },
+  updatedAt: { type: Date, default: Date.now },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { collection: 'connectorconfig' });
+
+const ConnectorConfig = mongoose.model('ConnectorConfig', ConnectorConfigSchema);
+
+let connector = null;
+let connectorError = null;   // why the saved config is not running
+
+/* every sample is stored like a POST /api/flows batch tagged source 'dcs' */
+async function onConnectorSample(sample) {
+  const plant = await getPlantConfig();
+  const now = new Date();
+  const readings = [];
+  sample.flows.forEach((flow, mill) => {
+    if (flow !== null && mill < plant.bunkerCount) readings.push({ ts: sample.ts, mill, flow, source: 'dcs' });
+  });
+  const generation = sample.generation !== null && sample.generation >= 0 ? { ts: sample.ts, mw: sample.generation, source: 'dcs' } : null;
+  if (readings.length || generation) await recordLiveReadings(plant, readings, generation, now);
+}
+
+/* stop the running connector and start it again from the saved config (if enabled and valid) */
+async function restartConnector() {
+  if (connector) connector.stop();
+  connector = null;
+  connectorError = null;
+  const doc = await ConnectorConfig.findOne({ key: 'default' }).lean();
+  const config = doc && doc.config;
+  if (!config || !config.enabled) return;
+  const plant = await getPlantConfig();
+  const errors = validateConnectorConfig(config, plant.bunkerCount);
+  if (errors.length) {
+    connectorError = errors.join('; ');
+    console.error('DCS connector not started:', connectorError);
+    return;
+  }
+  connector = createConnector(config, plant.bunkerCount, onConnectorSample);
+  connector.start();
+  console.log(`DCS connector started (${config.protocol}, ${config.mills.length} mills)`);
+}
+
+mongoose.connection.once('open', () => {
+  restartConnector().catch(err => console.error('DCS connector start error:', err));
+});
+
+/**
+ * Saved connector config and the state of the polling loop:
+ * { config, updatedAt, status: { running, protocol, pollMs, samples, errors, lastSampleAt, lastError, lastErrorAt } | null, error }
+ */
+app.get('/api/connector', requirePermission('settings:edit'), async (req, res) => {
   try {
-    const items = await Coal.find().lean();
-    return res.json(items);
+    const doc = await ConnectorConfig.findOne({ key: 'default' }).lean();
+    return res.json({
+      config: doc ? doc.config : null,
+      updatedAt: doc ? doc.updatedAt : null,
+      status: connector ? connector.status() : null,
+      error: connectorError
+    });
   } catch (err) {
-    console.error('GET /api/coal/list error:', err);
+    console.error('GET /api/connector error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
-app.get('/api/coalnames', async (req, res) => {
+
+/**
+ * Replace the connector config and restart polling with it.
+ * Body: the config described in connector.js ({ enabled, protocol, pollMs, modbus | opcua, mills, generation })
+ */
+app.put('/api/connector', requirePermission('settings:edit'), async (req, res) => {
   try {
-    // minimal payload: _id and coal name
-    const items = await Coal.find({}, { coal: 1 }).lean();
-    return res.json(items);
+    const config = req.body || {};
+    const plant = await getPlantConfig();
+    const errors = validateConnectorConfig(config, plant.bunkerCount);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+
+    const saved = await ConnectorConfig.findOne({ key: 'default' }).lean();
+    await ConnectorConfig.updateOne(
+      { key: 'default' },
+      { $set: { config, updatedAt: new Date(), updatedBy: req.user._id } },
+      { upsert: true }
+    );
+    await restartConnector();
+    auditChange(res, { action: 'connector.update', entity: 'connector', entityId: 'default', before: saved ? saved.config : null, after: config });
+    return res.json({ config, status: connector ? connector.status() : null, error: connectorError });
   } catch (err) {
-    console.error('GET /api/coalnames error:', err);
+    console.error('PUT /api/connector error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
-/* -------------------- Server-side AFT formula -------------------- */
-function calcAFT(ox) {
-  // ox: { SiO2, Al2O3, Fe2O3, CaO, MgO, Na2O, K2O, SO3, TiO2 }
-  const total = Object.keys(ox || {}).reduce((s, k) => s + (Number(ox[k]) || 0), 0);
-  if (total === 0) return 0;
-  const SiO2 = Number(ox.SiO2) || 0;
-  const Al2O3 = Number(ox.Al2O3) || 0;
-  const Fe2O3 = Number(ox.Fe2O3) || 0;
-  const CaO = Number(ox.CaO) || 0;
-  const MgO = Number(ox.MgO) || 0;
-  const Na2O = Number(ox.Na2O) || 0;
-  const K2O = Number(ox.K2O) || 0;
-  const SO3 = Number(ox.SO3) || 0;
-  const TiO2 = Number(ox.TiO2) || 0;
-
-  const sum = SiO2 + Al2O3;
-  let aft = 0;
-  if (sum < 55) {
-    aft = 1245 + (1.1 * SiO2) + (0.95 * Al2O3) - (2.5 * Fe2O3) - (2.98 * CaO) - (4.5 * MgO)
-      - (7.89 * (Na2O + K2O)) - (1.7 * SO3) - (0.63 * TiO2);
-  } else if (sum < 75) {
-    aft = 1323 + (1.45 * SiO2) + (0.683 * Al2O3) - (2.39 * Fe2O3) - (3.1 * CaO) - (4.5 * MgO)
-      - (7.49 * (Na2O + K2O)) - (2.1 * SO3) - (0.63 * TiO2);
-  } else {
-    aft = 1395 + (1.2 * SiO2) + (0.9 * Al2O3) - (2.5 * Fe2O3) - (3.1 * CaO) - (4.5 * MgO)
-      - (7.2 * (Na2O + K2O)) - (1.7 * SO3) - (0.63 * TiO2);
-  }
-  return Number(aft);
-}
-
-/* -------------------- compute blend metrics (per-mill aware) -------------------- */
-async function computeBlendMetrics(rows, flows, generation) {
-  // rows: array (each row may have: coal (string or object), percentages[], gcv, cost)
-  const oxKeys = ["SiO2","Al2O3","Fe2O3","CaO","MgO","Na2O","K2O","SO3","TiO2"];
+/* -------------------- Alarms (limits on the live blend) -------------------- */
+// The rules in plant.alarms (see DEFAULT_ALARMS) are checked against the newest blend with the fresh
+// measured flows and generation laid over it: after every blend save, on measured flow updates and once
+// a minute, since bunkers run down as time passes. A rule raises an alarm when its value crosses the limit
+// and clears it only once the value is back past the limit by the hysteresis, so a value hovering at the
+// limit does not flap. There is at most one open alarm per key (the rule, or rule:mill).
+const ALARM_TICK_MS = 60 * 1000;
+const ALARM_FLOW_MIN_INTERVAL_MS = 10 * 1000;   // flow updates come every few seconds; evaluate at most this often
+const ALARM_LIST_MAX = 500;
 
-  // Load all coal docs once
-  const allCoals = await Coal.find().lean();
-  const byId = {};
-  const byNameLower = {};
-  allCoals.forEach(c => {
-    if (c._id) byId[String(c._id)] = c;
-    if (c.coal) byNameLower[String(c.coal).toLowerCase()] = c;
-  });
+const AlarmSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  rule: { type: String, required: true },
+  mill: { type: Number, default: null },
+  priority: { type: String, enum: ALARM_PRIORITIES, default: 'medium' },
+  message: { type: String, default: '' },
+  value: { type: Number, default: null },        // value that raised the alarm
+  limit: { type: Number, default: null },        // limit it crossed
+  clearValue: { type: Number, default: null },   // value that cleared it; null when the rule stopped applying
+  blend: { type: mongoose.Schema.Types.ObjectId, default: null },   // newest blend when raised
+  active: { type: Boolean, default: true },      // raised and not cleared yet
+  raisedAt: { type: Date, default: Date.now },
+  acknowledgedAt: { type: Date, default: null },
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  clearedAt: { type: Date, default: null }
+}, { collection: 'alarms' });
+AlarmSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { active: true } });
+AlarmSchema.index({ raisedAt: -1 });
 
-  function findCoalRef(ref) {
-    if (!ref) return null;
-    if (byId[String(ref)]) return byId[String(ref)];
-    const lower = String(ref).toLowerCase();
-    if (byNameLower[lower]) return byNameLower[lower];
-    return null;
-  }
+const Alarm = mongoose.model('Alarm', AlarmSchema);
 
-  // helper to get per-mill coalRef from row (row.coal may be string or object)
-  function coalRefForRowAndMill(row, mill) {
-    if (!row) return null;
-    if (row.coal && typeof row.coal === 'object' && row.coal !== null) {
-      return row.coal[String(mill)] || '';
-    }
-    return row.coal || '';
+/* flows and generation the unit runs at: fresh measurements where there are any, else the blend's plan */
+function operatingPoint(blend, live) {
+  const planned = Array.isArray(blend.flows) ? blend.flows : [];
+  const mills = live ? live.mills : [];
+  const count = Math.max(planned.length, mills.length);
+  const flows = [];
+  for (let m = 0; m < count; m++) {
+    const r = mills[m];
+    flows.push((r && !r.stale && r.flow !== null) ? Number(r.flow) : (Number(planned[m]) || 0));
   }
+  const gen = live && live.generation && !live.generation.stale ? Number(live.generation.mw) : Number(blend.generation);
+  return { flows, generation: Number.isFinite(gen) ? gen : null };
+}
 
-  const blendedGCVPerMill = [];
-  const aftPerMill = [];
+function flowWeighted(values, flows) {
+  let sum = 0;
+  let weight = 0;
+  (values || []).forEach((v, m) => {
+    const f = Number(flows[m]) || 0;
+    if (v === null || v === undefined || f <= 0) return;
+    sum += Number(v) * f;
+    weight += f;
+  });
+  return weight > 0 ? sum / weight : null;
+}
 
-  for (let m = 0; m < 6; m++) {
-    let blendedGCV = 0;
-    const ox = {};
-    oxKeys.forEach(k => ox[k] = 0);
+/**
+ * What each enabled rule measures now: [{ key, rule, mill, value, limit, message }].
+ * message describes the reading for when it raises an alarm.
+ */
+function alarmReadings(blend, live, plant, now) {
+  const rules = plant.alarms;
+  const op = operatingPoint(blend, live);
+  const aft = Array.isArray(blend.aftPerMill) ? blend.aftPerMill : [];
+  const label = m => plant.millLabels[m] || defaultMillLabel(m);
+  const out = [];
 
-    for (let i = 0; i < (rows ? rows.length : 0); i++) {
-      const row = rows[i] || {};
-      const perc = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
-      const weight = perc / 100;
+  if (rules.avgAftLow.enabled) {
+    const avg = flowWeighted(aft, op.flows);
+    const limit = rules.avgAftLow.threshold;
+    if (avg !== null) out.push({ key: 'avgAftLow', rule: 'avgAftLow', mill: null, value: avg, limit, message: `Average AFT ${avg.toFixed(0)} °C below ${limit} °C` });
+  }
 
-      // resolve per-mill coalRef if supplied
-      const coalRef = coalRefForRowAndMill(row, m);
-      const coalDoc = findCoalRef(coalRef);
+  if (rules.millAftBand.enabled) {
+    const { low, high } = rules.millAftBand;
+    aft.forEach((v, m) => {
+      if (v === null || v === undefined || !(op.flows[m] > 0)) return;
+      out.push({
+        key: `millAftBand:${m}`, rule: 'millAftBand', mill: m, value: Number(v), limit: v < low ? low : high,
+        message: `${label(m)} AFT ${Number(v).toFixed(0)} °C outside ${low}–${high} °C`
+      });
+    });
+  }
 
-      // gcv: prefer explicit row.gcv (global) else coalDoc.gcv
-      const gcvVal = (row.gcv !== undefined && row.gcv !== null && row.gcv !== '') ? Number(row.gcv) : (coalDoc ? (Number(coalDoc.gcv) || 0) : 0);
-      blendedGCV += gcvVal * weight;
+  if (rules.gcvShortfall.enabled) {
+    const avg = flowWeighted(blend.blendedGCVPerMill, op.flows);
+    const tph = op.flows.reduce((s, f) => s + toTph(f, plant.thermal), 0);
+    if (avg !== null && tph > 0 && op.generation > 0) {
+      const requiredKcal = op.generation * designHeatRate(plant.thermal) / tph;
+      const margin = (toKcalPerKg(avg, plant.thermal) - requiredKcal) / requiredKcal * 100;
+      const unit = plant.thermal.gcvUnit;
+      out.push({
+        key: 'gcvShortfall', rule: 'gcvShortfall', mill: null, value: margin, limit: rules.gcvShortfall.threshold,
+        message: `Average GCV ${avg.toFixed(0)} ${unit} is ${Math.abs(margin).toFixed(1)} % ${margin < 0 ? 'below' : 'above'} the ` +
+          `${fromKcalPerKg(requiredKcal, plant.thermal).toFixed(0)} ${unit} ${op.generation.toFixed(0)} MW needs (margin limit ${rules.gcvShortfall.threshold} %)`
+      });
+    }
+  }
 
-      // accumulate oxides from coalDoc if present (or from row(if provided))
-      if (coalDoc) {
-        oxKeys.forEach(k => {
-          ox[k] += (Number(coalDoc[k]) || 0) * weight;
-        });
-      } else {
-        oxKeys.forEach(k => {
-          if (row[k] !== undefined && row[k] !== null && row[k] !== '') {
-            ox[k] += (Number(row[k]) || 0) * weight;
-          }
-        });
-      }
-    } // rows loop
+  if (rules.bunkerEmpty.enabled) {
+    // drain times follow the fresh measured flows, as on the dashboard countdowns
+    computeDrainSchedule(blend, plant, now, live ? freshFlows(live) : null).bunkers.forEach(b => {
+      if (!b.emptyAt || !(op.flows[b.bunker] > 0)) return;
+      const minutes = Math.max(0, (b.emptyAt.getTime() - now.getTime()) / 60000);
+      out.push({
+        key: `bunkerEmpty:${b.bunker}`, rule: 'bunkerEmpty', mill: b.bunker, value: minutes, limit: rules.bunkerEmpty.threshold,
+        message: minutes > 0 ? `${b.label} bunker runs empty in ${Math.ceil(minutes)} min` : `${b.label} bunker has run empty`
+      });
+    });
+  }
+  return out;
+}
 
-    blendedGCVPerMill.push(Number(blendedGCV));
-    const oxTotal = Object.values(ox).reduce((s, v) => s + (Number(v) || 0), 0);
-    const aftVal = (oxTotal === 0) ? null : Number(calcAFT(ox));
-    aftPerMill.push(aftVal);
-  } // mills loop
+/* 'alarm', 'normal', or 'hold' inside the hysteresis band (the open / closed state stays as it is) */
+function alarmState(rule, value) {
+  const h = Number(rule.hysteresis) || 0;
+  if (rule.low !== undefined) {
+    if (value < rule.low || value > rule.high) return 'alarm';
+    return (value >= rule.low + h && value <= rule.high - h) ? 'normal' : 'hold';
+  }
+  if (value < rule.threshold) return 'alarm';
+  return value >= rule.threshold + h ? 'normal' : 'hold';
+}
 
-  // totals & weighted averages using flows
-  let totalFlow = 0;
-  let weightedGCV = 0;
-  let weightedAFT = 0;
-  let contributedAFTFlow = 0;
+function alarmEvent(alarm, state) {
+  return { id: alarm._id, key: alarm.key, rule: alarm.rule, mill: alarm.mill, priority: alarm.priority, message: alarm.message, state };
+}
 
-  for (let m = 0; m < 6; m++) {
-    const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
-    totalFlow += flow;
-    weightedGCV += flow * (blendedGCVPerMill[m] || 0);
+async function evaluateAlarms(now) {
+  const plant = await getPlantConfig();
+  const [blend, live, open] = await Promise.all([
+    Blend.findOne({}, { rows: 0, oxidesPerMill: 0, analysesUsed: 0 }).sort({ createdAt: -1 }).lean(),
+    latestFlows(plant, now),
+    Alarm.find({ active: true }).lean()
+  ]);
+  const openByKey = new Map(open.map(a => [a.key, a]));
+  const seen = new Set();
 
-    const aftVal = aftPerMill[m];
-    if (aftVal !== null && !isNaN(aftVal)) {
-      weightedAFT += flow * aftVal;
-      contributedAFTFlow += flow;
+  for (const r of (blend ? alarmReadings(blend, live, plant, now) : [])) {
+    seen.add(r.key);
+    const state = alarmState(plant.alarms[r.rule], r.value);
+    const current = openByKey.get(r.key);
+    if (!current && state === 'alarm') {
+      const doc = await Alarm.create({
+        key: r.key, rule: r.rule, mill: r.mill, priority: plant.alarms[r.rule].priority, message: r.message,
+        value: r.value, limit: r.limit, blend: blend._id, raisedAt: now
+      });
+      broadcastEvent('alarm-changed', alarmEvent(doc, 'raised'));
+      notify('alarm-raised', alarmPayload(doc, plant), `alarm-raised:${doc.key}`);
+    } else if (current && state === 'normal') {
+      await clearAlarm(current, r.value, now, plant);
     }
   }
+  // rule disabled, mill stopped, bunker refilled by a new blend...
+  for (const a of open) {
+    if (!seen.has(a.key)) await clearAlarm(a, null, now, plant);
+  }
+}
 
-  const avgGCV = totalFlow > 0 ? (weightedGCV / totalFlow) : 0;
-  const avgAFT = contributedAFTFlow > 0 ? (weightedAFT / contributedAFTFlow) : null;
-  const heatRate = (generation && generation > 0 && totalFlow > 0) ? ((totalFlow * avgGCV) / generation) : null;
+async function clearAlarm(alarm, value, now, plant) {
+  const updated = await Alarm.findOneAndUpdate({ _id: alarm._id, active: true }, { active: false, clearedAt: now, clearValue: value }, { new: true }).lean();
+  if (!updated) return;
+  broadcastEvent('alarm-changed', alarmEvent(updated, 'cleared'));
+  notify('alarm-cleared', alarmPayload(updated, plant, { clearValue: value, raisedAt: updated.raisedAt }), `alarm-cleared:${updated.key}`);
+}
 
-  // compute cost rate (weighted by sum of percentages per row)
-  function rowQtySum(row) {
-    if (!row || !Array.isArray(row.percentages)) return 0;
-    return row.percentages.reduce((s, v) => s + (Number(v) || 0), 0);
-  }
-  const qtyPerRow = (rows || []).map(rowQtySum);
-  const costPerRow = (rows || []).map((r, idx) => {
-    if (r && r.cost !== undefined && r.cost !== null && r.cost !== '') return Number(r.cost) || 0;
-    const cdoc = findCoalRef((r || {}).coal);
-    return cdoc ? (Number(cdoc.cost) || 0) : 0;
-  });
+let alarmRun = Promise.resolve();
+let lastFlowEvaluation = 0;
 
-  let totalCost = 0, totalQty = 0;
-  for (let i = 0; i < qtyPerRow.length; i++) {
-    totalCost += (qtyPerRow[i] || 0) * (costPerRow[i] || 0);
-    totalQty += (qtyPerRow[i] || 0);
+/* queue an evaluation behind the running one; measured flow updates are thinned to one per ALARM_FLOW_MIN_INTERVAL_MS */
+function scheduleAlarmEvaluation(reason) {
+  if (reason === 'flows') {
+    if (Date.now() - lastFlowEvaluation < ALARM_FLOW_MIN_INTERVAL_MS) return;
+    lastFlowEvaluation = Date.now();
   }
-  const costRate = totalQty > 0 ? (totalCost / totalQty) : 0;
+  alarmRun = alarmRun
+    .then(() => evaluateAlarms(new Date()))
+    .catch(err => console.error(`Alarm evaluation (${reason}) error:`, err));
+}
 
-  // Build per-bunker structure (independent storage)
-  const bunkers = [];
-  for (let m = 0; m < 6; m++) {
-    const layers = [];
-    for (let rIdx = 0; rIdx < (rows || []).length; rIdx++) {
-      const row = rows[rIdx];
-      const pct = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
-      if (!pct || pct <= 0) continue;
-      const coalRef = coalRefForRowAndMill(row, m);
-      const coalDoc = findCoalRef(coalRef);
-// server.js — when building bunkers inside computeBlendMetrics()
-layers.push({
-  rowIndex: rIdx + 1,
-  coal: coalDoc ? coalDoc.coal : (coalRef || ''),
-  percent: Number(pct),
-  gcv: coalDoc ? (Number(coalDoc.gcv) || Number(row.gcv || 0)) : Number(row.gcv || 0),
-  cost: coalDoc ? (Number(coalDoc.cost) || Number(row.cost || 0)) : Number(row.cost || 0),
-  color: coalDoc ? (coalDoc.color || coalDoc.colour || null) : (row.color || null) // <-- new
+mongoose.connection.once('open', () => {
+  scheduleAlarmEvaluation('start');
+  setInterval(() => scheduleAlarmEvaluation('tick'), ALARM_TICK_MS);
 });
 
+/**
+ * Alarms, newest first.
+ * Query:
+ *   active      true = open only, false = cleared only (default both)
+ *   from, to    raisedAt range (ISO date or epoch ms)
+ *   limit       default 100, max 500
+ * Response: { items, open: { total, unacknowledged, byPriority: { <priority>: n } } }
+ */
+app.get('/api/alarms', requirePermission('blend:read'), async (req, res) => {
+  try {
+    const q = req.query || {};
+    const filter = {};
+    if (q.active === 'true') filter.active = true;
+    else if (q.active === 'false') filter.active = false;
+
+    const from = parseDateParam(q.from);
+    const to = parseDateParam(q.to);
+    if (from === undefined || to === undefined) return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds' });
+    if (from || to) {
+      filter.raisedAt = {};
+      if (from) filter.raisedAt.$gte = from;
+      if (to) filter.raisedAt.$lte = to;
     }
-    bunkers.push({ layers });
+    const limit = Math.min(ALARM_LIST_MAX, Math.max(1, parseInt(q.limit, 10) || 100));
+
+    const [items, open] = await Promise.all([
+      Alarm.find(filter).sort({ raisedAt: -1 }).limit(limit).populate('acknowledgedBy', 'name email').lean(),
+      Alarm.find({ active: true }, { priority: 1, acknowledgedAt: 1 }).lean()
+    ]);
+    const byPriority = {};
+    ALARM_PRIORITIES.forEach(p => { byPriority[p] = open.filter(a => a.priority === p).length; });
+    return res.json({
+      items,
+      open: { total: open.length, unacknowledged: open.filter(a => !a.acknowledgedAt).length, byPriority }
+    });
+  } catch (err) {
+    console.error('GET /api/alarms error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
   }
+});
 
-  return {
-    totalFlow: Number(totalFlow),
-    avgGCV: Number(avgGCV),
-    avgAFT: (avgAFT === null ? null : Number(avgAFT)),
-    heatRate: (heatRate === null ? null : Number(heatRate)),
-    costRate: Number(costRate),
-    aftPerMill: aftPerMill.map(v => (v === null ? null : Number(v))),
-    blendedGCVPerMill: blendedGCVPerMill.map(v => Number(v)),
-    bunkers
-  };
+/**
+ * Acknowledge an alarm, open or already cleared. 409 when it was acknowledged before.
+ */
+app.post('/api/alarms/:id/acknowledge', requirePermission('alarms:ack'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Alarm not found' });
+    const updated = await Alarm.findOneAndUpdate(
+      { _id: req.params.id, acknowledgedAt: null },
+      { acknowledgedAt: new Date(), acknowledgedBy: req.user._id },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      const exists = await Alarm.exists({ _id: req.params.id });
+      return exists ? res.status(409).json({ error: 'Alarm already acknowledged' }) : res.status(404).json({ error: 'Alarm not found' });
+    }
+    broadcastEvent('alarm-changed', alarmEvent(updated, 'acknowledged'));
+    return res.json({ message: 'Acknowledged', id: updated._id, acknowledgedAt: updated.acknowledgedAt });
+  } catch (err) {
+    console.error('POST /api/alarms/:id/acknowledge error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Notifications (email / webhooks) -------------------- */
+// Alarm raised / cleared and blend saves go out on the channels of the notifier config (see notifier.js).
+// Every delivery is a document in the notifications collection first, so a relay or receiver that is down
+// only delays it: the outbox retries pending ones with a doubling wait until retry.attempts are used up.
+// Inside quiet hours they are stored as 'suppressed'; an alarm key that already went to a channel within
+// dedupMinutes is stored as 'duplicate'. Neither is delivered later.
+const NOTIFY_OUTBOX_MS = 15 * 1000;
+const NOTIFY_BATCH = 20;
+const NOTIFY_LIST_MAX = 500;
+const NOTIFY_DEFAULT_DEDUP_MINUTES = 30;
+const MASKED_PASSWORD = '********';
+
+const NotifierConfigSchema = new mongoose.Schema({
+  key: { type: String, default: 'default', unique: true },
+  config: { type: mongoose.Schema.Types.Mixed, default: null },
+  updatedAt: { type: Date, default: Date.now },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { collection: 'notifierconfig' });
+
+const NotifierConfig = mongoose.model('NotifierConfig', NotifierConfigSchema);
+
+const NotificationSchema = new mongoose.Schema({
+  event: { type: String, enum: NOTIFY_EVENTS, required: true },
+  channel: { type: String, required: true },
+  type: { type: String, enum: ['email', 'webhook'], required: true },
+  dedupKey: { type: String, default: null },
+  priority: { type: String, default: 'low' },
+  payload: { type: mongoose.Schema.Types.Mixed, default: null },
+  status: { type: String, enum: ['pending', 'sent', 'failed', 'suppressed', 'duplicate'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  sentAt: { type: Date, default: null }
+}, { collection: 'notifications' });
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ channel: 1, dedupKey: 1, createdAt: -1 });
+NotificationSchema.index({ createdAt: -1 });
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+let notifierConfigCache;   // undefined = not loaded, null = none saved
+
+async function getNotifierConfig() {
+  if (notifierConfigCache !== undefined) return notifierConfigCache;
+  const doc = await NotifierConfig.findOne({ key: 'default' }).lean();
+  notifierConfigCache = doc && doc.config ? doc.config : null;
+  return notifierConfigCache;
+}
+
+function maskNotifierConfig(config) {
+  if (!config || !config.smtp || !config.smtp.pass) return config;
+  return Object.assign({}, config, { smtp: Object.assign({}, config.smtp, { pass: MASKED_PASSWORD }) });
 }
 
-/* -------------------- Blend endpoints (create / update / latest) -------------------- */
 /**
- * Create a new Blend document; compute metrics server-side and store them.
- * Body: { rows: [.], flows: [.], generation: number }
+ * Store one notification per channel that takes this event; dedupKey (e.g. 'alarm-raised:millAftBand:2')
+ * de-duplicates within dedupMinutes. Returns the created documents.
  */
-app.post('/api/blend', async (req, res) => {
-  try {
-    const { rows, flows, generation } = req.body;
-    if (!Array.isArray(rows) || !Array.isArray(flows)) {
-      return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
+async function queueNotification(event, payload, dedupKey) {
+  const config = await getNotifierConfig();
+  if (!config || !config.enabled) return [];
+  const now = new Date();
+  const priority = payload.priority || 'low';
+  const full = Object.assign({ event, plant: config.plant || 'Plant', at: now, priority }, payload);
+  const dedupMinutes = config.dedupMinutes === undefined ? NOTIFY_DEFAULT_DEDUP_MINUTES : config.dedupMinutes;
+  const quiet = isQuiet(config.quietHours, priority, now);
+
+  const docs = [];
+  for (const ch of channelsFor(config, event, priority)) {
+    let status = 'pending';
+    let lastError = null;
+    if (quiet) {
+      status = 'suppressed';
+      lastError = 'quiet hours';
+    } else if (dedupKey && dedupMinutes > 0) {
+      const recent = await Notification.exists({
+        channel: ch.name, dedupKey, status: { $in: ['pending', 'sent'] },
+        createdAt: { $gte: new Date(now.getTime() - dedupMinutes * 60000) }
+      });
+      if (recent) {
+        status = 'duplicate';
+        lastError = `already sent within ${dedupMinutes} min`;
+      }
     }
+    docs.push({ event, channel: ch.name, type: ch.type, dedupKey: dedupKey || null, priority, payload: full, status, lastError, nextAttemptAt: now, createdAt: now });
+  }
+  if (!docs.length) return [];
+  const created = await Notification.insertMany(docs);
+  if (docs.some(d => d.status === 'pending')) processOutbox();
+  return created;
+}
 
-    // load coal docs once and build lookup maps
-    const allCoals = await Coal.find().lean();
-    const byId = {};
-    const byNameLower = {};
-    allCoals.forEach(c => {
-      if (c._id) byId[String(c._id)] = c;
-      if (c.coal) byNameLower[String(c.coal).toLowerCase()] = c;
-    });
-
-    // helper to resolve row.coal entries (handle string or object mapping -> resolved names if possible)
-    function resolveRowCoalField(row) {
-      if (!row) return row;
-      const copy = Object.assign({}, row);
-      if (copy.coal && typeof copy.coal === 'object') {
-        const newMap = {};
-        Object.keys(copy.coal).forEach(k => {
-          const ref = copy.coal[k];
-          if (ref && byId[ref]) newMap[k] = byId[ref].coal;
-          else if (ref && byNameLower[String(ref).toLowerCase()]) newMap[k] = byNameLower[String(ref).toLowerCase()].coal;
-          else newMap[k] = ref || '';
-        });
-        copy.coal = newMap;
-      } else {
-        const ref = copy.coal ? String(copy.coal) : '';
-        if (ref) {
-          if (byId[ref]) copy.coal = byId[ref].coal;
-          else if (byNameLower[ref.toLowerCase()]) copy.coal = byNameLower[ref.toLowerCase()].coal;
+/* fire and forget from the alarm and blend paths: a notification problem must not fail the caller */
+function notify(event, payload, dedupKey) {
+  queueNotification(event, payload, dedupKey).catch(err => console.error(`Notification (${event}) error:`, err));
+}
+
+function alarmPayload(alarm, plant, extra) {
+  return Object.assign({
+    alarmId: alarm._id,
+    priority: alarm.priority,
+    mill: alarm.mill,
+    millLabel: alarm.mill === null || alarm.mill === undefined ? null : (plant.millLabels[alarm.mill] || defaultMillLabel(alarm.mill)),
+    metric: alarm.rule,
+    value: alarm.value,
+    limit: alarm.limit,
+    message: alarm.message
+  }, extra || {});
+}
+
+function notifyBlendSaved(doc, user, how) {
+  notify('blend-saved', {
+    priority: 'low',
+    message: `Blend revision ${doc.rev || 1} ${how} by ${user.name || user.email}`,
+    blend: { id: doc._id, lineage: doc.lineage, rev: doc.rev || 1 },
+    summary: blendSummary(doc)
+  });
+}
+
+let outboxRunning = false;
+
+/* deliver pending notifications that are due; failures are retried later, the last one marks them failed */
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
+  try {
+    const config = await getNotifierConfig();
+    if (!config || !config.enabled) return;
+    const attemptsAllowed = (config.retry || {}).attempts || 4;
+    for (;;) {
+      const due = await Notification.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } }).sort({ nextAttemptAt: 1 }).limit(NOTIFY_BATCH).lean();
+      if (!due.length) break;
+      for (const n of due) {
+        const channel = (config.channels || []).find(ch => ch.name === n.channel);
+        const attempts = n.attempts + 1;
+        if (!channel) {
+          await Notification.updateOne({ _id: n._id }, { status: 'failed', attempts, lastError: 'channel no longer configured' });
+          continue;
+        }
+        try {
+          await deliver(config, channel, n.payload);
+          await Notification.updateOne({ _id: n._id }, { status: 'sent', attempts, sentAt: new Date(), lastError: null });
+        } catch (err) {
+          const message = err.message || String(err);
+          if (attempts >= attemptsAllowed) {
+            console.error(`Notification ${n._id} to ${n.channel} failed after ${attempts} attempts:`, message);
+            await Notification.updateOne({ _id: n._id }, { status: 'failed', attempts, lastError: message });
+          } else {
+            await Notification.updateOne({ _id: n._id }, {
+              attempts, lastError: message, nextAttemptAt: new Date(Date.now() + retryDelayMs(config, attempts))
+            });
+          }
         }
       }
-      // sanitize percentages, gcv, cost
-      if (Array.isArray(copy.percentages)) copy.percentages = copy.percentages.map(v => Number(v) || 0);
-      else copy.percentages = [0,0,0,0,0,0];
-      copy.gcv = (copy.gcv !== undefined && copy.gcv !== null) ? Number(copy.gcv) : 0;
-      copy.cost = (copy.cost !== undefined && copy.cost !== null) ? Number(copy.cost) : 0;
-      return copy;
     }
+  } catch (err) {
+    console.error('Notification outbox error:', err);
+  } finally {
+    outboxRunning = false;
+  }
+}
 
-    const rowsToSave = (rows || []).map(row => resolveRowCoalField(row));
-
-    // compute metrics including bunkers
-    const metrics = await computeBlendMetrics(rowsToSave, flows, generation);
+mongoose.connection.once('open', () => {
+  setInterval(processOutbox, NOTIFY_OUTBOX_MS);
+});
 
-    // create and save blend - include bunkers from metrics
-    const doc = new Blend(Object.assign({}, {
-      rows: rowsToSave,
-      flows,
-      generation,
-      bunkers: metrics.bunkers || []
-    }, metrics));
-    await doc.save();
-    return res.status(201).json({ message: 'Saved', id: doc._id });
+/**
+ * Saved notifier config (smtp.pass masked) with when it was saved.
+ */
+app.get('/api/notifications/config', requirePermission('settings:edit'), async (req, res) => {
+  try {
+    const doc = await NotifierConfig.findOne({ key: 'default' }).lean();
+    return res.json({ config: doc ? maskNotifierConfig(doc.config) : null, updatedAt: doc ? doc.updatedAt : null });
   } catch (err) {
-    console.error('POST /api/blend error:', err);
+    console.error('GET /api/notifications/config error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
 /**
- * Update existing Blend by ID; recompute metrics and save
+ * Replace the notifier config. Body: the config described in notifier.js.
+ * smtp.pass sent back masked keeps the saved password.
  */
-app.put('/api/blend/:id', async (req, res) => {
+app.put('/api/notifications/config', requirePermission('settings:edit'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { rows, flows, generation } = req.body;
-    if (!Array.isArray(rows) || !Array.isArray(flows)) {
-      return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
-    }
-
-    // load coal docs once and build lookup maps
-    const allCoals = await Coal.find().lean();
-    const byId = {};
-    const byNameLower = {};
-    allCoals.forEach(c => {
-      if (c._id) byId[String(c._id)] = c;
-      if (c.coal) byNameLower[String(c.coal).toLowerCase()] = c;
-    });
-
-    // same resolve function as POST
-    function resolveRowCoalField(row) {
-      if (!row) return row;
-      const copy = Object.assign({}, row);
-      if (copy.coal && typeof copy.coal === 'object') {
-        const newMap = {};
-        Object.keys(copy.coal).forEach(k => {
-          const ref = copy.coal[k];
-          if (ref && byId[ref]) newMap[k] = byId[ref].coal;
-          else if (ref && byNameLower[String(ref).toLowerCase()]) newMap[k] = byNameLower[String(ref).toLowerCase()].coal;
-          else newMap[k] = ref || '';
-        });
-        copy.coal = newMap;
-      } else {
-        const ref = copy.coal ? String(copy.coal) : '';
-        if (ref) {
-          if (byId[ref]) copy.coal = byId[ref].coal;
-          else if (byNameLower[ref.toLowerCase()]) copy.coal = byNameLower[ref.toLowerCase()].coal;
-        }
-      }
-      if (Array.isArray(copy.percentages)) copy.percentages = copy.percentages.map(v => Number(v) || 0);
-      else copy.percentages = [0,0,0,0,0,0];
-      copy.gcv = (copy.gcv !== undefined && copy.gcv !== null) ? Number(copy.gcv) : 0;
-      copy.cost = (copy.cost !== undefined && copy.cost !== null) ? Number(copy.cost) : 0;
-      return copy;
-    }
-
-    const rowsToSave = (rows || []).map(row => resolveRowCoalField(row));
-    const metrics = await computeBlendMetrics(rowsToSave, flows, generation);
+    const config = req.body || {};
+    const errors = validateNotifierConfig(config);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
 
-    const updated = await Blend.findByIdAndUpdate(
-      id,
-      Object.assign({}, { rows: rowsToSave, flows, generation, bunkers: metrics.bunkers || [] }, metrics),
-      { new: true }
+    const saved = await getNotifierConfig();
+    if (config.smtp && config.smtp.pass === MASKED_PASSWORD) config.smtp.pass = saved && saved.smtp ? saved.smtp.pass : undefined;
+    await NotifierConfig.updateOne(
+      { key: 'default' },
+      { $set: { config, updatedAt: new Date(), updatedBy: req.user._id } },
+      { upsert: true }
     );
+    notifierConfigCache = undefined;
+    processOutbox();
+    auditChange(res, {
+      action: 'notifications.update', entity: 'notifications', entityId: 'default',
+      before: maskNotifierConfig(saved), after: maskNotifierConfig(config),
+      details: { passwordChanged: ((saved && saved.smtp) || {}).pass !== (config.smtp || {}).pass }
+    });
+    return res.json({ config: maskNotifierConfig(config) });
+  } catch (err) {
+    console.error('PUT /api/notifications/config error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
 
-    if (!updated) return res.status(404).json({ error: 'Blend not found' });
-
-    return res.json({ message: 'Updated', id: updated._id });
+/**
+ * Send a test message on one channel right away, bypassing the outbox, quiet hours and de-duplication.
+ * Body: { channel: name }. 502 with the reason when the delivery fails.
+ */
+app.post('/api/notifications/test', requirePermission('settings:edit'), async (req, res) => {
+  try {
+    const config = await getNotifierConfig();
+    const channel = config && (config.channels || []).find(ch => ch.name === (req.body || {}).channel);
+    if (!channel) return res.status(404).json({ error: 'Channel not found in the saved config' });
+    const payload = {
+      event: 'alarm-raised', test: true, plant: config.plant || 'Plant', at: new Date(), priority: 'low',
+      mill: null, millLabel: null, metric: 'test', value: null, limit: null,
+      message: `Test notification from ${req.user.name || req.user.email}`
+    };
+    try {
+      await deliver(config, channel, payload);
+    } catch (sendErr) {
+      return res.status(502).json({ error: sendErr.message || String(sendErr) });
+    }
+    return res.json({ message: 'Sent', channel: channel.name });
   } catch (err) {
-    console.error('PUT /api/blend/:id error:', err);
+    console.error('POST /api/notifications/test error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
 /**
- * Return the latest Blend document (most recent createdAt)
+ * Notification log, newest first.
+ * Query: status (pending|sent|failed|suppressed|duplicate), limit (default 50, max 500)
  */
-app.get('/api/blend/latest', async (req, res) => {
+app.get('/api/notifications', requirePermission('settings:edit'), async (req, res) => {
   try {
-    const latest = await Blend.findOne().sort({ createdAt: -1 }).lean();
-    if (!latest) return res.status(404).json({ error: 'No blends found' });
-    return res.json(latest);
+    const q = req.query || {};
+    const filter = {};
+    if (q.status) filter.status = String(q.status);
+    const limit = Math.min(NOTIFY_LIST_MAX, Math.max(1, parseInt(q.limit, 10) || 50));
+    const items = await Notification.find(filter, { payload: 0 }).sort({ createdAt: -1 }).limit(limit).lean();
+    return res.json({ items });
   } catch (err) {
-    console.error('GET /api/blend/latest error:', err);
+    console.error('GET /api/notifications error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
 /* -------------------- Optional helper endpoints for debugging -------------------- */
-app.get('/api/coal/count', async (req, res) => {
+app.get('/api/coal/count', requirePermission('coal:read'), async (req, res) => {
   try {
     const c = await Coal.countDocuments();
     return res.json({ count: c });
@@ -520,6 +5126,16 @@ app.get('/api/coal/count', async (req, res) => {
 });
 
 /* -------------------- Start server -------------------- */
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+}
+
+// for the tests (test/)
+module.exports = {
+  app, AftModel, Alarm, Audit, Blend, Coal, FlowReading, GenerationReading, Notification, NotifierConfig, PlantConfig, Scenario, Session,
+  User,
+  alarmState, auditDiff, blendAtOperatingPoint, computeDrainSchedule, diagnoseInfeasible, diffBlends, evaluateAlarms, fitAftBand,
+  fitAftModel, hashPassword, normalizePlantConfig, parseOptimizeRequest, processOutbox, queueNotification, solveBlendLp
+};
 
@@ -0,0 +1,100 @@
+// simulator.js — offline stand-in for the DCS: a Modbus TCP server with drifting mill feeder flows and unit MW.
+// Usage: node simulator.js [--port 5020] [--mills 6] [--unit 1]
+// Register map (holding and input registers alike, float32 big-endian, 2 registers per value):
+//   mill i flow (t/h) at address 2*i, generation (MW) at address 100.
+// On start it prints a matching connector config to paste into Plant Settings.
+const net = require('net');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf('--' + name);
+  return (i >= 0 && process.argv[i + 1] !== undefined) ? Number(process.argv[i + 1]) : fallback;
+}
+
+const PORT = arg('port', 5020);
+const MILLS = arg('mills', 6);
+const UNIT_ID = arg('unit', 1);
+const GENERATION_ADDRESS = 100;
+const REGISTER_COUNT = 128;
+
+const registers = Buffer.alloc(REGISTER_COUNT * 2);
+
+/* values move slowly around a base with a little noise; a mill is occasionally tripped */
+function update() {
+  const t = Date.now() / 1000;
+  let total = 0;
+  for (let m = 0; m < MILLS; m++) {
+    const base = 38 + 4 * m;
+    const tripped = Math.floor(t / 600) % (MILLS + 3) === m;   // one mill off for 10 min now and then
+    const flow = tripped ? 0 : base + 3 * Math.sin(t / 120 + m) + (Math.random() - 0.5);
+    registers.writeFloatBE(flow, m * 4);
+    total += flow;
+  }
+  registers.writeFloatBE(total * 1.9 + (Math.random() - 0.5) * 2, GENERATION_ADDRESS * 2);
+}
+
+function exception(header, fn, code) {
+  const res = Buffer.alloc(9);
+  header.copy(res, 0, 0, 4);
+  res.writeUInt16BE(3, 4);
+  res.writeUInt8(header.readUInt8(6), 6);
+  res.writeUInt8(fn | 0x80, 7);
+  res.writeUInt8(code, 8);
+  return res;
+}
+
+function handle(frame) {
+  const fn = frame.readUInt8(7);
+  if (fn !== 3 && fn !== 4) return exception(frame, fn, 1);                 // illegal function
+  const address = frame.readUInt16BE(8);
+  const count = frame.readUInt16BE(10);
+  if (count < 1 || count > 125 || address + count > REGISTER_COUNT) return exception(frame, fn, 2);   // illegal address
+
+  const data = registers.subarray(address * 2, (address + count) * 2);
+  const res = Buffer.alloc(9 + data.length);
+  frame.copy(res, 0, 0, 4);
+  res.writeUInt16BE(3 + data.length, 4);
+  res.writeUInt8(frame.readUInt8(6), 6);
+  res.writeUInt8(fn, 7);
+  res.writeUInt8(data.length, 8);
+  data.copy(res, 9);
+  return res;
+}
+
+const server = net.createServer(socket => {
+  let buffer = Buffer.alloc(0);
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 7) {
+      const len = buffer.readUInt16BE(4);
+      if (buffer.length < 6 + len) return;
+      const frame = buffer.subarray(0, 6 + len);
+      buffer = buffer.subarray(6 + len);
+      if (frame.length >= 12) socket.write(handle(frame));
+    }
+  });
+  socket.on('error', () => { /* client went away */ });
+});
+
+update();
+const ticker = setInterval(update, 1000);
+
+server.listen(PORT, () => {
+  console.log(`Modbus TCP simulator on port ${PORT} (${MILLS} mills, unit ${UNIT_ID})`);
+  const config = {
+    enabled: true,
+    protocol: 'modbus',
+    pollMs: 5000,
+    modbus: { host: '127.0.0.1', port: PORT, unitId: UNIT_ID },
+    mills: Array.from({ length: MILLS }, (_, m) => ({ mill: m, register: m * 2, function: 3, type: 'float32' })),
+    generation: { register: GENERATION_ADDRESS, function: 3, type: 'float32' }
+  };
+  console.log('Connector config:\n' + JSON.stringify(config, null, 2));
+});
+
+function shutdown() {
+  clearInterval(ticker);
+  server.close();
+  process.exit(0);
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { fitAftBand, fitAftModel } = server;
+
+const OXIDES = ['SiO2', 'Al2O3', 'Fe2O3', 'CaO', 'MgO', 'Na2O', 'K2O', 'SO3', 'TiO2'];
+const BASE_BAND = { intercept: 1250, coefficients: { SiO2: 1.1, Al2O3: 0.95, Fe2O3: -2.5, CaO: -2.98, MgO: -4.5, Na2O: -7.89, K2O: -7.89, SO3: -1.7, TiO2: -0.63 } };
+const TRUTH = { intercept: 1180, SiO2: 1.6, Al2O3: 0.7, Fe2O3: -3.2 };
+
+// ash analyses where SiO2, Al2O3 and Fe2O3 vary independently and the other oxides are fixed
+function samples(n, noise) {
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const ox = { SiO2: 45 + (i * 7) % 13, Al2O3: 20 + (i * 5) % 11, Fe2O3: 4 + (i * 3) % 7, CaO: 2, MgO: 1, Na2O: 0.5, K2O: 0.8, SO3: 1, TiO2: 1.2 };
+    const fixed = OXIDES.slice(3).reduce((s, k) => s + BASE_BAND.coefficients[k] * ox[k], 0);
+    const measured = TRUTH.intercept + TRUTH.SiO2 * ox.SiO2 + TRUTH.Al2O3 * ox.Al2O3 + TRUTH.Fe2O3 * ox.Fe2O3 + fixed + (noise ? noise(i) : 0);
+    out.push({ ox, measured });
+  }
+  return out;
+}
+
+const close = (a, b, tol) => assert.ok(Math.abs(a - b) < tol, `${a} is not within ${tol} of ${b}`);
+
+test('fitAftBand: without ridge recovers the coefficients of the oxides that vary', () => {
+  const fit = fitAftBand(samples(20), BASE_BAND, 0);
+  assert.deepStrictEqual(fit.estimated, ['SiO2', 'Al2O3', 'Fe2O3']);
+  close(fit.coefficients.SiO2, TRUTH.SiO2, 1e-6);
+  close(fit.coefficients.Al2O3, TRUTH.Al2O3, 1e-6);
+  close(fit.coefficients.Fe2O3, TRUTH.Fe2O3, 1e-6);
+  close(fit.intercept, TRUTH.intercept, 1e-4);
+  // oxides that do not vary keep the base coefficient
+  OXIDES.slice(3).forEach(k => assert.strictEqual(fit.coefficients[k], BASE_BAND.coefficients[k]));
+});
+
+test('fitAftBand: the ridge term pulls the coefficients towards the base band', () => {
+  const loose = fitAftBand(samples(20), BASE_BAND, 0.01);
+  const tight = fitAftBand(samples(20), BASE_BAND, 1000);
+  ['SiO2', 'Al2O3', 'Fe2O3'].forEach(k => {
+    const base = BASE_BAND.coefficients[k];
+    assert.ok(Math.abs(tight.coefficients[k] - base) < Math.abs(loose.coefficients[k] - base), k);
+    close(tight.coefficients[k], base, 0.01);
+  });
+});
+
+test('fitAftBand: collinear oxides make the system singular', () => {
+  const collinear = samples(10).map(s => ({ ox: Object.assign({}, s.ox, { Al2O3: s.ox.SiO2 / 2 }), measured: s.measured }));
+  assert.strictEqual(fitAftBand(collinear, BASE_BAND, 0), null);
+});
+
+const BASE_MODEL = { id: 'one', name: 'One band', selector: ['SiO2', 'Al2O3'], bands: [Object.assign({ below: null }, BASE_BAND)] };
+const measurements = list => list.map((s, i) => ({ _id: `m${i}`, oxides: s.ox, measuredAFT: s.measured }));
+
+test('fitAftModel: reports base, fitted and cross-validated errors', () => {
+  // deterministic noise of +-10 °C
+  const noisy = samples(30, i => ((i * 37) % 21) - 10);
+  const { bands, report } = fitAftModel(measurements(noisy), BASE_MODEL, { ridge: 0, minSamples: 10 });
+  assert.strictEqual(bands.length, 1);
+  assert.strictEqual(report.samples, 30);
+  assert.strictEqual(report.bands[0].fitted, true);
+  const o = report.overall;
+  assert.strictEqual(o.crossValidated.n, 30);
+  assert.ok(o.fitted.rmse < o.base.rmse);
+  // out-of-sample errors are never below the in-sample ones of a least-squares fit
+  assert.ok(o.crossValidated.rmse > o.fitted.rmse);
+  assert.ok(o.crossValidated.rmse < 15, `cv rmse ${o.crossValidated.rmse}`);
+});
+
+test('fitAftModel: leave-one-out on noiseless data predicts every sample', () => {
+  const { report } = fitAftModel(measurements(samples(15)), BASE_MODEL, { ridge: 0, minSamples: 5 });
+  close(report.overall.crossValidated.rmse, 0, 1e-3);
+  close(report.overall.fitted.rmse, 0, 1e-3);
+});
+
+test('fitAftModel: a band with too few samples keeps the base numbers', () => {
+  const { bands, report } = fitAftModel(measurements(samples(4)), BASE_MODEL, { ridge: 0.1, minSamples: 5 });
+  assert.strictEqual(report.bands[0].fitted, false);
+  assert.strictEqual(report.bands[0].reason, '4 of the 5 samples needed');
+  assert.deepStrictEqual(bands[0], { below: null, intercept: 1250, coefficients: BASE_BAND.coefficients });
+  assert.deepStrictEqual(report.overall.crossValidated, report.overall.base);
+});
+
+test('fitAftModel: large bands are cross-validated in folds, still predicting every sample once', () => {
+  const noisy = samples(130, i => ((i * 37) % 21) - 10);
+  const { report } = fitAftModel(measurements(noisy), BASE_MODEL, { ridge: 0, minSamples: 10 });
+  assert.strictEqual(report.overall.crossValidated.n, 130);
+  assert.ok(report.overall.crossValidated.rmse > report.overall.fitted.rmse);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { server, query } = require('./helpers');
+
+const { Alarm, Blend, alarmState, evaluateAlarms } = server;
+
+test('alarmState: a low limit raises below it and clears only past the hysteresis band', () => {
+  const rule = { threshold: 1250, hysteresis: 10 };
+  assert.strictEqual(alarmState(rule, 1249), 'alarm');
+  assert.strictEqual(alarmState(rule, 1250), 'hold');
+  assert.strictEqual(alarmState(rule, 1259.9), 'hold');
+  assert.strictEqual(alarmState(rule, 1260), 'normal');
+  assert.strictEqual(alarmState({ threshold: 30 }, 30), 'normal');
+});
+
+test('alarmState: a band raises outside it and clears only inside the band narrowed by the hysteresis', () => {
+  const rule = { low: 1200, high: 1500, hysteresis: 10 };
+  assert.strictEqual(alarmState(rule, 1199), 'alarm');
+  assert.strictEqual(alarmState(rule, 1501), 'alarm');
+  assert.strictEqual(alarmState(rule, 1205), 'hold');
+  assert.strictEqual(alarmState(rule, 1495), 'hold');
+  assert.strictEqual(alarmState(rule, 1210), 'normal');
+  assert.strictEqual(alarmState(rule, 1490), 'normal');
+});
+
+// only the average AFT and bunker rules; the alarms collection kept in memory
+function setUp(t, state) {
+  t.mock.method(server.PlantConfig, 'findOne', () => query({
+    key: 'default', bunkerCount: 2,
+    alarms: { millAftBand: { enabled: false }, gcvShortfall: { enabled: false } }
+  }));
+  t.mock.method(server.NotifierConfig, 'findOne', () => query(null));
+  t.mock.method(Blend, 'findOne', () => query(state.blend));
+  t.mock.method(server.FlowReading, 'aggregate', () => query(state.readings || []));
+  t.mock.method(server.GenerationReading, 'findOne', () => query(null));
+  const store = [];
+  t.mock.method(Alarm, 'find', () => query(store.filter(a => a.active)));
+  t.mock.method(Alarm, 'create', async doc => {
+    const saved = Object.assign({ _id: new mongoose.Types.ObjectId(), active: true }, doc);
+    store.push(saved);
+    return saved;
+  });
+  t.mock.method(Alarm, 'findOneAndUpdate', (filter, update) => {
+    const a = store.find(x => String(x._id) === String(filter._id) && x.active);
+    return query(a ? Object.assign(a, update) : null);
+  });
+  return store;
+}
+
+const NOW = new Date('2026-03-01T08:00:00Z');
+const aftBlend = avg => ({ _id: new mongoose.Types.ObjectId(), createdAt: NOW, flows: [50, 50], aftPerMill: [avg, avg] });
+
+test('evaluateAlarms: one open alarm per key, raised and cleared through the hysteresis band', async t => {
+  const state = {};
+  const store = setUp(t, state);
+  const step = async avg => {
+    state.blend = aftBlend(avg);
+    await evaluateAlarms(NOW);
+    return store.map(a => [a.key, a.active, a.value, a.clearValue === undefined ? null : a.clearValue]);
+  };
+
+  assert.deepStrictEqual(await step(1230), [['avgAftLow', true, 1230, null]]);
+  // still low, or back in the band: the open alarm stays, no second one
+  assert.deepStrictEqual(await step(1240), [['avgAftLow', true, 1230, null]]);
+  assert.deepStrictEqual(await step(1255), [['avgAftLow', true, 1230, null]]);
+  assert.deepStrictEqual(await step(1265), [['avgAftLow', false, 1230, 1265]]);
+  // inside the band nothing is raised again
+  assert.deepStrictEqual(await step(1255), [['avgAftLow', false, 1230, 1265]]);
+  assert.deepStrictEqual((await step(1220))[1], ['avgAftLow', true, 1220, null]);
+
+  // the rule stops applying (no AFT on the blend): the open alarm is cleared without a value
+  state.blend = { _id: new mongoose.Types.ObjectId(), createdAt: NOW, flows: [50, 50] };
+  await evaluateAlarms(NOW);
+  assert.deepStrictEqual(store.filter(a => a.active), []);
+  assert.strictEqual(store[1].clearValue, null);
+});
+
+test('evaluateAlarms: bunker empty time follows the fresh measured mill flow', async t => {
+  // saved an hour ago: 100 t at 50 t/h, so 60 min left at the planned flow
+  const state = {
+    blend: { _id: new mongoose.Types.ObjectId(), createdAt: new Date(NOW.getTime() - 3600 * 1000), flows: [50, 0], bunkers: [{ layers: [{ coal: 'Indo A', percent: 100, tons: 100 }] }] }
+  };
+  const store = setUp(t, state);
+  await evaluateAlarms(NOW);
+  assert.deepStrictEqual(store, []);
+
+  // measured 150 t/h: the remaining 50 t last 20 min, under the 30 min limit
+  state.readings = [{ _id: 0, flow: 150, ts: NOW, source: 'dcs' }];
+  await evaluateAlarms(NOW);
+  assert.strictEqual(store.length, 1);
+  assert.strictEqual(store[0].key, 'bunkerEmpty:0');
+  assert.ok(Math.abs(store[0].value - 20) < 1e-6);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { server, query, startApp, testUser } = require('./helpers');
+
+const { auditDiff, hashPassword, Audit, Session, User } = server;
+
+test('auditDiff: unchanged documents give no entries', () => {
+  assert.deepStrictEqual(auditDiff({ a: 1, b: { c: [1, 2] } }, { a: 1, b: { c: [1, 2] } }), []);
+});
+
+test('auditDiff: nested fields and array items are listed by dotted path', () => {
+  const before = { name: 'Indo A', props: { gcv: 4200, ash: 8 }, percentages: [60, 40] };
+  const after = { name: 'Indo A', props: { gcv: 4250, ash: 8 }, percentages: [60, 35, 5] };
+  assert.deepStrictEqual(auditDiff(before, after), [
+    { path: 'props.gcv', before: 4200, after: 4250 },
+    { path: 'percentages.1', before: 40, after: 35 },
+    { path: 'percentages.2', before: null, after: 5 }
+  ]);
+});
+
+test('auditDiff: a missing side is null and an added object is listed per field', () => {
+  assert.deepStrictEqual(auditDiff(null, { name: 'Local B', props: { gcv: 3600 } }), [
+    { path: 'name', before: null, after: 'Local B' },
+    { path: 'props.gcv', before: null, after: 3600 }
+  ]);
+  assert.deepStrictEqual(auditDiff({ note: 'x' }, {}), [{ path: 'note', before: 'x', after: null }]);
+});
+
+test('auditDiff: ids, versions and password hashes are ignored', () => {
+  const id = new mongoose.Types.ObjectId();
+  const before = { _id: id, __v: 0, updatedAt: new Date(1), passwordHash: 'scrypt$a$b', role: 'viewer' };
+  const after = { _id: new mongoose.Types.ObjectId(), __v: 1, updatedAt: new Date(2), passwordHash: 'scrypt$c$d', role: 'engineer' };
+  assert.deepStrictEqual(auditDiff(before, after), [{ path: 'role', before: 'viewer', after: 'engineer' }]);
+});
+
+test('GET /api/audit pages on (at, _id) so entries of the same millisecond are not skipped', async t => {
+  const app = await startApp(t, testUser('shift_in_charge'));
+  t.after(() => app.close());
+  const calls = [];
+  t.mock.method(Audit, 'find', filter => {
+    const q = query([]);
+    q.sort = sort => { calls.push({ filter, sort }); return q; };
+    return q;
+  });
+
+  const at = '2026-10-01T06:00:00.000Z';
+  const id = new mongoose.Types.ObjectId().toString();
+  const res = await app.request('GET', `/api/audit?entity=blend&before=${at}&beforeId=${id}`);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { items: [], more: false });
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].sort, { at: -1, _id: -1 });
+  const { filter } = calls[0];
+  assert.strictEqual(filter.entity, 'blend');
+  assert.strictEqual(filter.$and.length, 1);
+  const [older, sameMs] = filter.$and[0].$or;
+  assert.deepStrictEqual(older, { at: { $lt: new Date(at) } });
+  assert.deepStrictEqual(sameMs.at, new Date(at));
+  assert.strictEqual(String(sameMs._id.$lt), id);
+});
+
+test('GET /api/audit refuses beforeId without before, or one that is not an id', async t => {
+  const app = await startApp(t, testUser('admin'));
+  t.after(() => app.close());
+  t.mock.method(Audit, 'find', () => query([]));
+
+  const id = new mongoose.Types.ObjectId().toString();
+  assert.strictEqual((await app.request('GET', `/api/audit?beforeId=${id}`)).status, 400);
+  assert.strictEqual((await app.request('GET', '/api/audit?before=2026-10-01T06:00:00Z&beforeId=nope')).status, 400);
+  assert.strictEqual(Audit.find.mock.callCount(), 0);
+});
+
+test('POST /api/auth/login records failed logins with the reason, and logins', async t => {
+  const app = await startApp(t, testUser('viewer'));
+  t.after(() => app.close());
+  const user = Object.assign(testUser('engineer'), { passwordHash: await hashPassword('right horse'), save: async () => {} });
+  t.mock.method(User, 'findOne', ({ email }) => Promise.resolve(email === user.email ? user : null));
+  t.mock.method(Session, 'create', async doc => doc);
+
+  assert.strictEqual((await app.request('POST', '/api/auth/login', { email: 'Nobody@Plant.test', password: 'x' })).status, 401);
+  assert.strictEqual((await app.request('POST', '/api/auth/login', { email: user.email, password: 'wrong' })).status, 401);
+  assert.strictEqual((await app.request('POST', '/api/auth/login', { email: user.email })).status, 400);
+  assert.strictEqual((await app.request('POST', '/api/auth/login', { email: user.email, password: 'right horse' })).status, 200);
+
+  assert.deepStrictEqual(app.audits.map(a => [a.action, a.userEmail, a.status, a.details && a.details.reason]), [
+    ['auth.login-failed', 'nobody@plant.test', 401, 'unknown email'],
+    ['auth.login-failed', user.email, 401, 'wrong password'],
+    ['auth.login-failed', user.email, 400, 'email or password missing'],
+    ['auth.login', user.email, 200, undefined]
+  ]);
+  assert.strictEqual(app.audits[0].user, null);
+  assert.strictEqual(app.audits[1].entityId, String(user._id));
+  assert.strictEqual(app.audits[3].user, user._id);
+  assert.strictEqual(app.audits[3].role, 'engineer');
+});
+
+test('POST /api/auth/logout records the logout of the session it ends, and nothing without one', async t => {
+  const user = testUser('engineer');
+  const app = await startApp(t, user);
+  t.after(() => app.close());
+  const sessions = [{ _id: new mongoose.Types.ObjectId(), user: user._id }, null];
+  t.mock.method(Session, 'findOneAndDelete', () => query(sessions.shift()));
+
+  assert.strictEqual((await app.request('POST', '/api/auth/logout')).status, 200);
+  assert.strictEqual((await app.request('POST', '/api/auth/logout')).status, 200);
+  assert.strictEqual(app.audits.length, 1);
+  assert.strictEqual(app.audits[0].action, 'auth.logout');
+  assert.strictEqual(app.audits[0].entityId, String(user._id));
+  assert.strictEqual(app.audits[0].userEmail, user.email);
+});
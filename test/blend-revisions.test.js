@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { server, query, startApp, testUser } = require('./helpers');
+
+const { diffBlends, Blend } = server;
+
+function blend(fields) {
+  return Object.assign({
+    rows: [{ coal: 'Indo A', percentages: [60, 40], gcv: 4200, cost: 5000 }, { coal: 'Local B', percentages: [40, 60], gcv: 3600, cost: 3800 }],
+    flows: [40, 42],
+    generation: 500,
+    aftPerMill: [1250, 1260],
+    blendedGCVPerMill: [3960, 3840],
+    avgGCV: 3900
+  }, fields);
+}
+
+test('diffBlends: identical revisions are unchanged', () => {
+  const d = diffBlends(blend(), blend());
+  assert.strictEqual(d.changed, false);
+  assert.deepStrictEqual(d.rows, []);
+  assert.deepStrictEqual(d.flows, []);
+  assert.deepStrictEqual(d.perMill, []);
+  assert.deepStrictEqual(d.totals, {});
+  assert.strictEqual(d.generation, null);
+});
+
+test('diffBlends: lists changed percentages, coals, flows and totals with deltas', () => {
+  const b = blend({
+    rows: [{ coal: 'Indo A', percentages: [70, 40], gcv: 4200, cost: 5200 }, { coal: { 0: 'Local B', 1: 'Local C' }, percentages: [30, 60], gcv: 3600, cost: 3800 }],
+    flows: [40, 45],
+    generation: 520,
+    aftPerMill: [1250, 1275],
+    avgGCV: 3950
+  });
+  const d = diffBlends(blend(), b);
+  assert.strictEqual(d.changed, true);
+  assert.deepStrictEqual(d.rows, [
+    { rowIndex: 1, coal: [], percentages: [{ mill: 0, from: 60, to: 70, delta: 10 }], cost: { from: 5000, to: 5200, delta: 200 } },
+    { rowIndex: 2, coal: [{ mill: 1, from: 'Local B', to: 'Local C' }], percentages: [{ mill: 0, from: 40, to: 30, delta: -10 }] }
+  ]);
+  assert.deepStrictEqual(d.flows, [{ mill: 1, from: 42, to: 45, delta: 3 }]);
+  assert.deepStrictEqual(d.perMill, [{ mill: 1, aft: { from: 1260, to: 1275, delta: 15 } }]);
+  assert.deepStrictEqual(d.generation, { from: 500, to: 520, delta: 20 });
+  assert.deepStrictEqual(d.totals.avgGCV, { from: 3900, to: 3950, delta: 50 });
+});
+
+test('diffBlends: a row added in the newer revision shows every non-zero value', () => {
+  const a = blend();
+  const b = blend({ rows: a.rows.concat([{ coal: 'Washed D', percentages: [0, 5], gcv: 4500, cost: 6100 }]) });
+  const d = diffBlends(a, b);
+  assert.strictEqual(d.rows.length, 1);
+  assert.strictEqual(d.rows[0].rowIndex, 3);
+  assert.deepStrictEqual(d.rows[0].coal, [{ mill: 0, from: null, to: 'Washed D' }, { mill: 1, from: null, to: 'Washed D' }]);
+  assert.deepStrictEqual(d.rows[0].percentages, [{ mill: 1, from: 0, to: 5, delta: 5 }]);
+  assert.deepStrictEqual(d.rows[0].gcv, { from: null, to: 4500, delta: null });
+});
+
+test('PUT /api/blend/:id answers 409 with the newest revision when the base is stale', async t => {
+  const app = await startApp(t, testUser('operator'));
+  t.after(() => app.close());
+  const lineage = new mongoose.Types.ObjectId();
+  const stale = { _id: lineage, lineage, rev: 1 };
+  const head = { _id: new mongoose.Types.ObjectId(), lineage, rev: 2 };
+  t.mock.method(server.PlantConfig, 'findOne', () => query(null));
+  t.mock.method(Blend, 'findById', () => query(stale));
+  const findOne = t.mock.method(Blend, 'findOne', () => query(head));
+  const save = t.mock.method(Blend.prototype, 'save', async () => { throw new Error('must not save'); });
+
+  const res = await app.request('PUT', `/api/blend/${lineage}`, { rows: [], flows: [40, 42] });
+  assert.strictEqual(res.status, 409);
+  assert.deepStrictEqual(res.body, { error: 'Blend was changed by someone else', latestId: String(head._id), latestRev: 2 });
+  assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], { $or: [{ lineage }, { _id: lineage }] });
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('PUT /api/blend/:id answers 409 when a concurrent save of the same base wins the race', async t => {
+  const app = await startApp(t, testUser('operator'));
+  t.after(() => app.close());
+  const lineage = new mongoose.Types.ObjectId();
+  const head = { _id: lineage, lineage, rev: 1 };
+  t.mock.method(server.PlantConfig, 'findOne', () => query(null));
+  t.mock.method(server.AftModel, 'find', () => query([]));
+  t.mock.method(server.Coal, 'find', () => query([]));
+  t.mock.method(Blend, 'findById', () => query(head));
+  t.mock.method(Blend, 'findOne', () => query(head));
+  // the unique (lineage, rev) index rejects the second revision 2
+  t.mock.method(Blend.prototype, 'save', async () => { throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 }); });
+
+  const res = await app.request('PUT', `/api/blend/${lineage}`, { rows: [], flows: [40, 42] });
+  assert.strictEqual(res.status, 409);
+  assert.deepStrictEqual(res.body, { error: 'Blend was changed by someone else' });
+});
+
+test('PUT /api/blend/:id answers 404 for a malformed id', async t => {
+  const app = await startApp(t, testUser('operator'));
+  t.after(() => app.close());
+  const res = await app.request('PUT', '/api/blend/not-an-id', { rows: [], flows: [] });
+  assert.strictEqual(res.status, 404);
+});
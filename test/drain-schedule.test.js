@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { computeDrainSchedule, normalizePlantConfig } = server;
+
+const START = new Date('2026-03-01T06:00:00Z');
+const at = minutes => new Date(START.getTime() + minutes * 60000);
+
+// bunker 0: 100 t of Local B at the bottom, 50 t of Indo A above it; bunker 1 unused
+function blend(fields) {
+  return Object.assign({
+    _id: 'b1',
+    createdAt: START,
+    flows: [50, 0],
+    bunkers: [{ layers: [{ coal: 'Indo A', percent: 33.3, tons: 50, rowIndex: 1 }, { coal: 'Local B', percent: 66.7, tons: 100, rowIndex: 2 }] }, { layers: [] }]
+  }, fields);
+}
+
+test('computeDrainSchedule: drains bottom layer first at the mill flow', () => {
+  const plant = normalizePlantConfig({ bunkerCount: 2 });
+  const s = computeDrainSchedule(blend(), plant, at(30));
+  const b = s.bunkers[0];
+  assert.deepStrictEqual(b.layers.map(l => [l.coal, l.durationSec, l.status]), [['Local B', 7200, 'draining'], ['Indo A', 3600, 'queued']]);
+  assert.deepStrictEqual(b.layers[0].startsAt, START);
+  assert.deepStrictEqual(b.layers[1].startsAt, at(120));
+  assert.strictEqual(b.activeLayer, 0);
+  assert.deepStrictEqual(b.emptyAt, at(180));
+  assert.deepStrictEqual(s.nextChangeAt, at(120));
+  assert.strictEqual(s.rev, 1);
+  // no flow: nothing drains, and a bunker without layers has no empty time
+  assert.deepStrictEqual(s.bunkers[1], { bunker: 1, label: 'Coal Mill B', flow: null, measuredFlow: null, capacity: null, layers: [], activeLayer: null, emptyAt: null });
+});
+
+test('computeDrainSchedule: later in the schedule the finished layer is done', () => {
+  const plant = normalizePlantConfig({ bunkerCount: 2 });
+  const s = computeDrainSchedule(blend(), plant, at(150));
+  assert.deepStrictEqual(s.bunkers[0].layers.map(l => l.status), ['done', 'draining']);
+  assert.strictEqual(s.bunkers[0].activeLayer, 1);
+  assert.deepStrictEqual(s.nextChangeAt, at(180));
+
+  const empty = computeDrainSchedule(blend(), plant, at(200));
+  assert.strictEqual(empty.bunkers[0].activeLayer, null);
+  assert.strictEqual(empty.nextChangeAt, null);
+});
+
+test('computeDrainSchedule: flows in kg/s are converted to t/h', () => {
+  const plant = normalizePlantConfig({ bunkerCount: 2, thermal: { flowUnit: 'kg/s' } });
+  const s = computeDrainSchedule(blend({ flows: [50 / 3.6, 0] }), plant, at(30));
+  assert.deepStrictEqual(s.bunkers[0].layers.map(l => l.durationSec), [7200, 3600]);
+});
+
+test('computeDrainSchedule: layers without tonnage use percent of capacity, else stay unknown', () => {
+  const plant = normalizePlantConfig({ bunkerCount: 2 });
+  const layers = [{ coal: 'Indo A', percent: 25 }, { coal: 'Local B', percent: 75 }];
+
+  const sized = computeDrainSchedule(blend({ bunkerCapacity: 200, bunkers: [{ layers }] }), plant, at(30));
+  assert.deepStrictEqual(sized.bunkers[0].layers.map(l => [l.tons, l.durationSec]), [[150, 10800], [50, 3600]]);
+  assert.deepStrictEqual(sized.bunkers[0].emptyAt, at(240));
+
+  // the bottom layer's size is unknown, so everything above it is too; it started at the save
+  const unsized = computeDrainSchedule(blend({ bunkers: [{ layers }] }), plant, at(30));
+  const u = unsized.bunkers[0];
+  assert.deepStrictEqual(u.layers.map(l => [l.tons, l.durationSec, l.status]), [[null, null, 'unknown'], [null, null, 'unknown']]);
+  assert.deepStrictEqual(u.layers[0].startsAt, START);
+  assert.strictEqual(u.layers[1].startsAt, null);
+  assert.strictEqual(u.emptyAt, null);
+  assert.strictEqual(u.activeLayer, 0);
+});
+
+test('computeDrainSchedule: from now on a fresh measured flow sets the pace', () => {
+  const plant = normalizePlantConfig({ bunkerCount: 2 });
+  // 30 min at the planned 50 t/h left 75 t of the bottom layer; at 25 t/h that takes 3 h
+  const s = computeDrainSchedule(blend(), plant, at(30), [25, null]);
+  const b = s.bunkers[0];
+  assert.strictEqual(b.flow, 50);
+  assert.strictEqual(b.measuredFlow, 25);
+  assert.deepStrictEqual(b.layers.map(l => [l.durationSec, l.status]), [[(30 + 180) * 60, 'draining'], [7200, 'queued']]);
+  assert.deepStrictEqual(b.layers[1].startsAt, at(210));
+  assert.deepStrictEqual(b.emptyAt, at(330));
+  assert.deepStrictEqual(s.nextChangeAt, at(210));
+
+  // a layer the plan had finished before now is not touched
+  const later = computeDrainSchedule(blend(), plant, at(150), [25, null]);
+  assert.deepStrictEqual(later.bunkers[0].layers.map(l => [l.durationSec, l.status]), [[7200, 'done'], [(30 + 60) * 60, 'draining']]);
+});
+
+test('computeDrainSchedule: a stopped mill stops its bunker, a blend without the flow takes the measured one', () => {
+  const plant = normalizePlantConfig({ bunkerCount: 2 });
+  const stopped = computeDrainSchedule(blend(), plant, at(30), [0, null]).bunkers[0];
+  assert.deepStrictEqual(stopped.layers.map(l => [l.durationSec, l.status]), [[null, 'unknown'], [null, 'unknown']]);
+  assert.deepStrictEqual(stopped.layers[0].startsAt, START);
+  assert.strictEqual(stopped.emptyAt, null);
+
+  const unplanned = computeDrainSchedule(blend({ flows: [0, 0] }), plant, at(30), [50, null]).bunkers[0];
+  assert.deepStrictEqual(unplanned.layers.map(l => [l.durationSec, l.status]), [[7200, 'draining'], [3600, 'queued']]);
+  assert.deepStrictEqual(unplanned.emptyAt, at(180));
+});
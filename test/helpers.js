@@ -0,0 +1,53 @@
+// Shared set-up for the tests: server.js without a database, and stand-ins for the model calls it makes.
+const mongoose = require('mongoose');
+
+// a model call that was not stubbed fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const server = require('../server');
+
+/* chainable stand-in for a mongoose query that resolves to `result` */
+function query(result) {
+  const q = {};
+  ['lean', 'sort', 'limit', 'skip', 'select', 'populate'].forEach(k => { q[k] = () => q; });
+  q.exec = () => Promise.resolve(result);
+  q.then = (ok, fail) => Promise.resolve(result).then(ok, fail);
+  return q;
+}
+
+/**
+ * Start the app on a free port with every request authenticated as `user` (Bearer token).
+ * Audit entries are collected instead of written.
+ * Returns { request(method, path, body), audits, close() }.
+ */
+async function startApp(t, user) {
+  const audits = [];
+  t.mock.method(server.Audit, 'create', async entry => { audits.push(entry); return entry; });
+  t.mock.method(server.Session, 'findOne', () => query({ _id: new mongoose.Types.ObjectId(), user: user._id, expiresAt: new Date(Date.now() + 3600 * 1000) }));
+  t.mock.method(server.User, 'findById', () => query(user));
+  const listener = await new Promise(resolve => {
+    const l = server.app.listen(0, '127.0.0.1', () => resolve(l));
+  });
+  const base = `http://127.0.0.1:${listener.address().port}`;
+  return {
+    audits,
+    async request(method, path, body) {
+      const res = await fetch(base + path, {
+        method,
+        headers: { Authorization: 'Bearer test', 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    },
+    close() {
+      listener.closeAllConnections();
+      return new Promise(resolve => listener.close(resolve));
+    }
+  };
+}
+
+function testUser(role) {
+  return { _id: new mongoose.Types.ObjectId(), email: `${role}@plant.test`, name: role, role, active: true };
+}
+
+module.exports = { server, query, startApp, testUser };
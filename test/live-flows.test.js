@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { server, query, startApp, testUser } = require('./helpers');
+
+const { Blend, blendAtOperatingPoint } = server;
+
+const NOW = new Date('2026-03-01T08:00:00Z');
+
+function live(mills, generation) {
+  return {
+    asOf: NOW,
+    flows: mills.map(m => m.flow),
+    mills: mills.map((m, i) => Object.assign({ mill: i, ts: NOW, source: 'dcs' }, m)),
+    generation
+  };
+}
+
+function stubMetrics(t) {
+  t.mock.method(server.PlantConfig, 'findOne', () => query({ key: 'default', bunkerCount: 2 }));
+  t.mock.method(server.AftModel, 'find', () => query([]));
+  t.mock.method(server.Coal, 'find', () => query([]));
+}
+
+const saved = {
+  _id: new mongoose.Types.ObjectId(), createdAt: new Date('2026-03-01T06:00:00Z'),
+  rows: [{ coal: 'Indo A', percentages: [100, 100], gcv: 4200, cost: 5000 }],
+  flows: [40, 42], generation: 500, totalFlow: 82, bunkers: [{ layers: [{ coal: 'Indo A', percent: 100, tons: 100 }] }]
+};
+
+test('blendAtOperatingPoint: the blend stays as saved without fresh measurements', async () => {
+  const stale = live([{ flow: 55, stale: true }, { flow: null, stale: true }], { mw: 480, ts: NOW, stale: true });
+  assert.strictEqual(await blendAtOperatingPoint(saved, stale), saved);
+});
+
+test('blendAtOperatingPoint: fresh flows and generation replace the planned ones', async t => {
+  stubMetrics(t);
+  const fresh = live([{ flow: 50, stale: false }, { flow: 60, stale: true }], { mw: 520, ts: NOW, stale: false });
+  const b = await blendAtOperatingPoint(saved, fresh);
+  assert.deepStrictEqual(b.flows, [50, 42]);
+  assert.strictEqual(b.generation, 520);
+  assert.deepStrictEqual(b.plannedFlows, [40, 42]);
+  assert.strictEqual(b.plannedGeneration, 500);
+  assert.strictEqual(b.totalFlow, 92);
+  assert.deepStrictEqual(b.operatingPoint, { asOf: NOW, measuredFlows: [true, false], measuredGeneration: true });
+  // layer contents are the saved ones
+  assert.strictEqual(b.bunkers, saved.bunkers);
+});
+
+test('GET /api/blend/:id/schedule follows fresh measured flows for the latest blend only', async t => {
+  const app = await startApp(t, testUser('viewer'));
+  t.after(() => app.close());
+  stubMetrics(t);
+  const blend = {
+    _id: new mongoose.Types.ObjectId(), createdAt: new Date(Date.now() - 3600 * 1000),
+    flows: [50, 0], bunkers: [{ layers: [{ coal: 'Indo A', percent: 100, tons: 100 }] }]
+  };
+  let newest = blend;
+  t.mock.method(Blend, 'findById', () => query(blend));
+  t.mock.method(Blend, 'findOne', () => query({ _id: newest._id }));
+  t.mock.method(server.FlowReading, 'aggregate', () => query([{ _id: 0, flow: 25, ts: new Date(), source: 'dcs' }]));
+  t.mock.method(server.GenerationReading, 'findOne', () => query(null));
+
+  // 1 h at 50 t/h left 50 t, which take 2 h at the measured 25 t/h
+  const res = await app.request('GET', `/api/blend/${blend._id}/schedule`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.bunkers[0].measuredFlow, 25);
+  assert.strictEqual(res.body.bunkers[0].layers[0].durationSec, 3 * 3600);
+
+  newest = { _id: new mongoose.Types.ObjectId() };
+  const past = await app.request('GET', `/api/blend/${blend._id}/schedule`);
+  assert.strictEqual(past.body.bunkers[0].measuredFlow, null);
+  assert.strictEqual(past.body.bunkers[0].layers[0].durationSec, 2 * 3600);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const mongoose = require('mongoose');
+const { server, query } = require('./helpers');
+
+const { Notification, processOutbox, queueNotification } = server;
+
+// webhook receiver that answers 500 to the first `failures` requests
+async function receiver(t, failures) {
+  const received = [];
+  const srv = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(failures-- > 0 ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => srv.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    srv.closeAllConnections();
+    return new Promise(resolve => srv.close(resolve));
+  });
+  return { url: `http://127.0.0.1:${srv.address().port}/hook`, received };
+}
+
+// the saved notifier config is loaded once per process, so the tests change this object in place
+const config = { enabled: true, plant: 'Unit 1', channels: [], retry: { attempts: 3, backoffMs: 1000 }, dedupMinutes: 30, quietHours: null };
+
+// the notifications collection in memory
+function outbox(t) {
+  const store = [];
+  const matches = (n, f) => Object.keys(f).every(k => {
+    const c = f[k];
+    if (c && c.$in) return c.$in.includes(n[k]);
+    if (c && c.$lte) return n[k] <= c.$lte;
+    if (c && c.$gte) return n[k] >= c.$gte;
+    return n[k] === c;
+  });
+  t.mock.method(server.NotifierConfig, 'findOne', () => query({ key: 'default', config }));
+  t.mock.method(Notification, 'insertMany', async docs => {
+    const created = docs.map(d => Object.assign({ _id: new mongoose.Types.ObjectId(), attempts: 0 }, d));
+    store.push(...created);
+    return created;
+  });
+  t.mock.method(Notification, 'exists', filter => query(store.some(n => matches(n, filter)) ? { _id: 1 } : null));
+  t.mock.method(Notification, 'find', filter => query(store.filter(n => matches(n, filter)).map(n => Object.assign({}, n))));
+  t.mock.method(Notification, 'updateOne', (filter, update) => {
+    Object.assign(store.find(n => String(n._id) === String(filter._id)), update);
+    return query({ acknowledged: true });
+  });
+  return store;
+}
+
+// queueNotification starts the outbox without waiting for it
+async function drained(store) {
+  for (let i = 0; i < 200 && store.some(n => n.status === 'pending' && n.nextAttemptAt <= new Date()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  await new Promise(resolve => setTimeout(resolve, 20));
+}
+
+const clock = d => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+
+test('queueNotification: the same dedup key within dedupMinutes is logged as a duplicate, not sent', async t => {
+  const hook = await receiver(t, 0);
+  config.channels = [{ name: 'hook', type: 'webhook', url: hook.url, events: ['alarm-raised'] }];
+  const store = outbox(t);
+
+  await queueNotification('alarm-raised', { priority: 'high', message: 'Average AFT low' }, 'alarm-raised:avgAftLow');
+  await drained(store);
+  await queueNotification('alarm-raised', { priority: 'high', message: 'Average AFT low' }, 'alarm-raised:avgAftLow');
+  await queueNotification('alarm-raised', { priority: 'high', message: 'Mill B AFT out of band' }, 'alarm-raised:millAftBand:1');
+  await drained(store);
+
+  assert.deepStrictEqual(store.map(n => [n.dedupKey, n.status]), [
+    ['alarm-raised:avgAftLow', 'sent'],
+    ['alarm-raised:avgAftLow', 'duplicate'],
+    ['alarm-raised:millAftBand:1', 'sent']
+  ]);
+  assert.deepStrictEqual(hook.received.map(p => p.message), ['Average AFT low', 'Mill B AFT out of band']);
+});
+
+test('queueNotification: quiet hours suppress all but the bypassing priorities', async t => {
+  const hook = await receiver(t, 0);
+  config.channels = [{ name: 'hook', type: 'webhook', url: hook.url, events: ['alarm-raised'] }];
+  const now = new Date();
+  config.quietHours = { start: clock(new Date(now.getTime() - 3600 * 1000)), end: clock(new Date(now.getTime() + 3600 * 1000)), bypassPriority: 'critical' };
+  t.after(() => { config.quietHours = null; });
+  const store = outbox(t);
+
+  await queueNotification('alarm-raised', { priority: 'high', message: 'Bunker A runs empty in 25 min' });
+  await queueNotification('alarm-raised', { priority: 'critical', message: 'Bunker A has run empty' });
+  await drained(store);
+
+  assert.deepStrictEqual(store.map(n => [n.priority, n.status, n.lastError]), [['high', 'suppressed', 'quiet hours'], ['critical', 'sent', null]]);
+  assert.deepStrictEqual(hook.received.map(p => p.message), ['Bunker A has run empty']);
+});
+
+test('processOutbox: failed deliveries are retried with back-off until they go out', async t => {
+  const hook = await receiver(t, 2);
+  config.channels = [{ name: 'hook', type: 'webhook', url: hook.url, events: ['blend-saved'] }];
+  const store = outbox(t);
+  store.push({ _id: new mongoose.Types.ObjectId(), event: 'blend-saved', channel: 'hook', type: 'webhook', status: 'pending', attempts: 0, nextAttemptAt: new Date(0), payload: { message: 'Blend revision 4 saved' } });
+  const n = store[0];
+
+  const started = Date.now();
+  await processOutbox();
+  assert.deepStrictEqual([n.status, n.attempts, n.lastError], ['pending', 1, 'Webhook hook: HTTP 500']);
+  assert.ok(Math.abs(n.nextAttemptAt.getTime() - started - 1000) < 500);
+  // not due yet: nothing is sent
+  await processOutbox();
+  assert.strictEqual(hook.received.length, 1);
+
+  n.nextAttemptAt = new Date(0);
+  await processOutbox();
+  assert.deepStrictEqual([n.status, n.attempts], ['pending', 2]);
+  assert.ok(Math.abs(n.nextAttemptAt.getTime() - Date.now() - 2000) < 500);
+
+  n.nextAttemptAt = new Date(0);
+  await processOutbox();
+  assert.deepStrictEqual([n.status, n.attempts, n.lastError], ['sent', 3, null]);
+  assert.strictEqual(hook.received.length, 3);
+});
+
+test('processOutbox: the last allowed attempt marks the notification failed', async t => {
+  const hook = await receiver(t, 10);
+  config.channels = [{ name: 'hook', type: 'webhook', url: hook.url, events: ['blend-saved'] }];
+  const store = outbox(t);
+  const logged = t.mock.method(console, 'error', () => {});
+  store.push({ _id: new mongoose.Types.ObjectId(), event: 'blend-saved', channel: 'hook', type: 'webhook', status: 'pending', attempts: 2, nextAttemptAt: new Date(0), payload: { message: 'Blend revision 4 saved' } });
+
+  await processOutbox();
+  assert.deepStrictEqual([store[0].status, store[0].attempts, store[0].lastError], ['failed', 3, 'Webhook hook: HTTP 500']);
+  assert.strictEqual(logged.mock.callCount(), 1);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { channelsFor, isQuiet, retryDelayMs } = require('../notifier');
+
+// quiet hours are server local time
+const at = (h, m) => new Date(2026, 2, 1, h, m);
+
+test('isQuiet: an overnight window covers both sides of midnight, end excluded', () => {
+  const quiet = { start: '22:00', end: '06:00', bypassPriority: 'critical' };
+  assert.strictEqual(isQuiet(quiet, 'high', at(23, 30)), true);
+  assert.strictEqual(isQuiet(quiet, 'low', at(2, 0)), true);
+  assert.strictEqual(isQuiet(quiet, 'high', at(22, 0)), true);
+  assert.strictEqual(isQuiet(quiet, 'high', at(6, 0)), false);
+  assert.strictEqual(isQuiet(quiet, 'high', at(12, 0)), false);
+});
+
+test('isQuiet: priorities at or above bypassPriority always go out', () => {
+  assert.strictEqual(isQuiet({ start: '22:00', end: '06:00', bypassPriority: 'critical' }, 'critical', at(23, 30)), false);
+  assert.strictEqual(isQuiet({ start: '22:00', end: '06:00', bypassPriority: 'high' }, 'high', at(23, 30)), false);
+  assert.strictEqual(isQuiet({ start: '22:00', end: '06:00', bypassPriority: 'high' }, 'medium', at(23, 30)), true);
+  // without a bypass priority only critical gets through
+  assert.strictEqual(isQuiet({ start: '12:00', end: '14:00' }, 'critical', at(13, 0)), false);
+  assert.strictEqual(isQuiet({ start: '12:00', end: '14:00' }, 'high', at(13, 0)), true);
+});
+
+test('isQuiet: no window, an empty one or a malformed one is never quiet', () => {
+  assert.strictEqual(isQuiet(null, 'low', at(23, 30)), false);
+  assert.strictEqual(isQuiet({ start: '08:00', end: '08:00' }, 'low', at(8, 0)), false);
+  assert.strictEqual(isQuiet({ start: '8pm', end: '06:00' }, 'low', at(23, 30)), false);
+});
+
+test('retryDelayMs: the back-off doubles with every failed attempt', () => {
+  const config = { retry: { attempts: 5, backoffMs: 1000 } };
+  assert.deepStrictEqual([1, 2, 3, 4].map(n => retryDelayMs(config, n)), [1000, 2000, 4000, 8000]);
+  // default: 30 s
+  assert.strictEqual(retryDelayMs({}, 1), 30000);
+});
+
+test('channelsFor: picks the channels that take the event at its priority', () => {
+  const config = {
+    channels: [
+      { name: 'shift', type: 'email', events: ['alarm-raised', 'alarm-cleared'] },
+      { name: 'pager', type: 'webhook', events: ['alarm-raised'], minPriority: 'high' },
+      { name: 'log', type: 'webhook', events: ['blend-saved'] }
+    ]
+  };
+  assert.deepStrictEqual(channelsFor(config, 'alarm-raised', 'medium').map(c => c.name), ['shift']);
+  assert.deepStrictEqual(channelsFor(config, 'alarm-raised', 'critical').map(c => c.name), ['shift', 'pager']);
+  assert.deepStrictEqual(channelsFor(config, 'blend-saved', 'low').map(c => c.name), ['log']);
+});
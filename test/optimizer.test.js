@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { diagnoseInfeasible, normalizePlantConfig, parseOptimizeRequest, solveBlendLp } = server;
+
+const plant = normalizePlantConfig({ bunkerCount: 2 });
+const coals = [
+  { _id: 'c1', coal: 'Cheap', gcv: 4000, cost: 3000, SiO2: 40, SulphurS: 0.5 },
+  { _id: 'c2', coal: 'Dear', gcv: 4000, cost: 6000, SiO2: 60, SulphurS: 0.5 }
+];
+
+// AFT depends only on the band (SiO2 below 50 or not), so the only way to meet minAFT is to steer the blended SiO2
+function stepModel(lowAft, highAft) {
+  return {
+    id: 'step', name: 'Step', selector: ['SiO2'],
+    bands: [{ below: 50, intercept: lowAft, coefficients: {} }, { below: null, intercept: highAft, coefficients: {} }]
+  };
+}
+
+function solve(aftModel, constraints) {
+  const { errors, problem } = parseOptimizeRequest({ flows: [50, 30], constraints }, plant, coals, aftModel);
+  assert.deepStrictEqual(errors, []);
+  return { problem, solved: solveBlendLp(problem, problem.limits) };
+}
+
+const silica = (shares, i) => shares[0][i] * 40 + shares[1][i] * 60;
+
+test('optimizer: without an AFT limit the cheapest coal is used alone', () => {
+  const { solved } = solve(stepModel(1000, 1400), {});
+  assert.deepStrictEqual(solved.shares.map(s => s.map(v => Math.round(v * 1000) / 1000)), [[1, 1], [0, 0]]);
+  // 80 t/h at 3000 per tonne
+  assert.ok(Math.abs(solved.cost - 240000) < 1);
+});
+
+test('optimizer: big-M rows keep each mill in the band whose AFT meets the limit (lower bound)', () => {
+  const { solved } = solve(stepModel(1000, 1400), { minAFT: 1200 });
+  assert.ok(solved);
+  [0, 1].forEach(i => {
+    assert.ok(Math.abs(solved.shares[0][i] + solved.shares[1][i] - 1) < 1e-6);
+    // above the band boundary by the margin, and no more than needed
+    assert.ok(silica(solved.shares, i) >= 50 + 0.05 - 1e-6, `mill ${i} SiO2 ${silica(solved.shares, i)}`);
+    assert.ok(silica(solved.shares, i) < 50.5, `mill ${i} SiO2 ${silica(solved.shares, i)}`);
+  });
+});
+
+test('optimizer: big-M rows keep each mill in the band whose AFT meets the limit (upper bound)', () => {
+  // here the low-silica band melts higher; the cheap coal is the high-silica one
+  const cheapHigh = [Object.assign({}, coals[0], { SiO2: 60 }), Object.assign({}, coals[1], { SiO2: 40 })];
+  const { errors, problem } = parseOptimizeRequest({ flows: [50, 30], constraints: { minAFT: 1200 } }, plant, cheapHigh, stepModel(1400, 1000));
+  assert.deepStrictEqual(errors, []);
+  const solved = solveBlendLp(problem, problem.limits);
+  [0, 1].forEach(i => {
+    const sio2 = solved.shares[0][i] * 60 + solved.shares[1][i] * 40;
+    assert.ok(sio2 <= 50 - 0.05 + 1e-6 && sio2 > 49.5, `mill ${i} SiO2 ${sio2}`);
+  });
+});
+
+test('optimizer: an AFT limit no band reaches is infeasible, and named as the cause', () => {
+  const { problem, solved } = solve(stepModel(1000, 1400), { minAFT: 1500, maxSulphur: 1 });
+  assert.strictEqual(solved, null);
+  assert.deepStrictEqual(diagnoseInfeasible(problem, problem.limits), ['minAFT']);
+});
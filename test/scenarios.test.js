@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { server, query, startApp, testUser } = require('./helpers');
+
+const { Blend, Scenario } = server;
+
+test('POST /api/scenarios/:id/promote audits the change against the full previous revision', async t => {
+  const app = await startApp(t, testUser('operator'));
+  t.after(() => app.close());
+  const lineage = new mongoose.Types.ObjectId();
+  const prev = {
+    _id: new mongoose.Types.ObjectId(), lineage, rev: 3,
+    rows: [{ coal: 'Indo A', percentages: [60, 40], gcv: 4200, cost: 5000 }],
+    flows: [40, 42], generation: 500, bunkerCapacity: 300, bunkerCapacities: []
+  };
+  const scenario = {
+    _id: new mongoose.Types.ObjectId(), name: 'More Indo',
+    rows: [{ coal: 'Indo A', percentages: [70, 40], gcv: 4200, cost: 5000 }],
+    flows: [40, 45], generation: 520, bunkerCapacity: 300, bunkerCapacities: []
+  };
+  t.mock.method(server.PlantConfig, 'findOne', () => query({ key: 'default', bunkerCount: 2 }));
+  t.mock.method(server.AftModel, 'find', () => query([]));
+  t.mock.method(server.Coal, 'find', () => query([]));
+  t.mock.method(server.NotifierConfig, 'findOne', () => query(null));
+  // the alarm evaluation the save triggers
+  t.mock.method(server.FlowReading, 'aggregate', () => query([]));
+  t.mock.method(server.GenerationReading, 'findOne', () => query(null));
+  t.mock.method(server.Alarm, 'find', () => query([]));
+  t.mock.method(Scenario, 'findById', () => query(scenario));
+  t.mock.method(Scenario, 'updateOne', () => query({ acknowledged: true }));
+  const findOne = t.mock.method(Blend, 'findOne', () => query(prev));
+  const saved = [];
+  t.mock.method(Blend.prototype, 'save', async function () { saved.push(this); return this; });
+
+  const res = await app.request('POST', `/api/scenarios/${scenario._id}/promote`);
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.rev, 4);
+  assert.strictEqual(res.body.lineage, String(lineage));
+  assert.strictEqual(saved.length, 1);
+
+  // the previous revision is loaded whole, only the bulky per-bunker results left out
+  assert.deepStrictEqual(findOne.mock.calls[1].arguments[1], { bunkers: 0, oxidesPerMill: 0 });
+
+  assert.strictEqual(app.audits.length, 1);
+  const entry = app.audits[0];
+  assert.strictEqual(entry.action, 'blend.promote');
+  const byPath = Object.fromEntries(entry.diff.map(d => [d.path, d]));
+  assert.deepStrictEqual(byPath['rows.0.percentages.0'], { path: 'rows.0.percentages.0', before: 60, after: 70 });
+  assert.deepStrictEqual(byPath['flows.1'], { path: 'flows.1', before: 42, after: 45 });
+  assert.deepStrictEqual(byPath.generation, { path: 'generation', before: 500, after: 520 });
+  // unchanged inputs are not listed
+  assert.strictEqual(byPath['flows.0'], undefined);
+  assert.strictEqual(byPath.bunkerCapacity, undefined);
+  assert.strictEqual(byPath['rows.0.coal'], undefined);
+});